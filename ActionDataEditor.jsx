@@ -0,0 +1,420 @@
+import React from "react";
+import { useQuery } from "@tanstack/react-query";
+import { base44 } from "@/api/base44Client";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, X, KeyRound } from "lucide-react";
+import { generateWebhookSecret } from "./webhooks";
+
+// Select value meaning "leave this field unchanged" / "use the trigger task"
+const UNSET = "__unset";
+
+const PRIORITY_OPTIONS = [
+  { value: "low", label: "Low" },
+  { value: "medium", label: "Medium" },
+  { value: "high", label: "High" },
+];
+
+const CATEGORY_OPTIONS = [
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+  { value: "project", label: "Project" },
+  { value: "someday", label: "Someday" },
+];
+
+const STATUS_OPTIONS = [
+  { value: "todo", label: "To Do" },
+  { value: "in_progress", label: "In Progress" },
+  { value: "completed", label: "Completed" },
+];
+
+function FieldError({ message }) {
+  if (!message) return null;
+  return <p className="text-xs text-red-600">{message}</p>;
+}
+
+function OptionSelect({ id, value, onChange, options, unsetLabel }) {
+  return (
+    <Select
+      value={value || UNSET}
+      onValueChange={(v) => onChange(v === UNSET ? undefined : v)}
+    >
+      <SelectTrigger id={id}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={UNSET}>{unsetLabel}</SelectItem>
+        {options.map((option) => (
+          <SelectItem key={option.value} value={option.value}>
+            {option.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+/**
+ * ActionDataEditor Component
+ *
+ * Per-action editor for TaskAutomation.action_data:
+ * - create_task: title, description, priority, category, due date
+ * - update_task: status/priority/category patch and due-date shift,
+ *   applied to the trigger task or a chosen task
+ * - create_note: title, content, tags
+ * - send_email: recipient, subject, body
+ * - call_webhook: URL, custom headers, signing secret
+ *
+ * Text fields accept {{template}} variables.
+ *
+ * @param {string} actionType - TaskAutomation action_type
+ * @param {Object} value - action_data
+ * @param {Function} onChange - Called with updated action_data
+ * @param {Object} errors - Field → error message (from validateActionData)
+ * @param {Array} stepTaskOptions - Tasks created by earlier workflow steps, as
+ *   { value: "{{steps.N.id}}", label } (offered as update_task targets)
+ * @param {string} idPrefix - Prefix for input ids when several editors share a form
+ */
+export default function ActionDataEditor({
+  actionType,
+  value = {},
+  onChange,
+  errors = {},
+  stepTaskOptions = [],
+  idPrefix = "",
+}) {
+  const { data: tasks = [] } = useQuery({
+    queryKey: ["tasks"],
+    queryFn: () => base44.entities.Task.list("-created_date"),
+    enabled: actionType === "update_task",
+  });
+
+  const set = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  if (actionType === "create_task") {
+    return (
+      <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
+        <h4 className="font-medium text-slate-900">Task Details</h4>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}task_title`}>New Task Title</Label>
+          <Input
+            id={`${idPrefix}task_title`}
+            value={value.title || ""}
+            onChange={(e) => set("title", e.target.value)}
+            placeholder="e.g., Follow up: {{task.title}}"
+          />
+          <FieldError message={errors.title} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}task_description`}>Task Description</Label>
+          <Textarea
+            id={`${idPrefix}task_description`}
+            value={value.description || ""}
+            onChange={(e) => set("description", e.target.value)}
+            placeholder="Details for the new task"
+            rows={2}
+          />
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}task_priority`}>Priority</Label>
+            <OptionSelect
+              id={`${idPrefix}task_priority`}
+              value={value.priority}
+              onChange={(v) => set("priority", v)}
+              options={PRIORITY_OPTIONS}
+              unsetLabel="Default (Medium)"
+            />
+            <FieldError message={errors.priority} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}task_category`}>Category</Label>
+            <OptionSelect
+              id={`${idPrefix}task_category`}
+              value={value.category}
+              onChange={(v) => set("category", v)}
+              options={CATEGORY_OPTIONS}
+              unsetLabel="Default (Daily)"
+            />
+            <FieldError message={errors.category} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}task_due_date`}>Due Date</Label>
+            <Input
+              id={`${idPrefix}task_due_date`}
+              value={value.due_date || ""}
+              onChange={(e) => set("due_date", e.target.value)}
+              placeholder="e.g., {{today+3d}}"
+            />
+            <FieldError message={errors.due_date} />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (actionType === "update_task") {
+    return (
+      <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
+        <h4 className="font-medium text-slate-900">Task Changes</h4>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}update_target`}>Apply To</Label>
+          <Select
+            value={value.task_id || UNSET}
+            onValueChange={(v) => set("task_id", v === UNSET ? undefined : v)}
+          >
+            <SelectTrigger id={`${idPrefix}update_target`}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={UNSET}>The task that triggered this automation</SelectItem>
+              {stepTaskOptions.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+              {tasks.map((task) => (
+                <SelectItem key={task.id} value={task.id}>
+                  {task.title}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}update_status`}>Status</Label>
+            <OptionSelect
+              id={`${idPrefix}update_status`}
+              value={value.status}
+              onChange={(v) => set("status", v)}
+              options={STATUS_OPTIONS}
+              unsetLabel="Leave unchanged"
+            />
+            <FieldError message={errors.status} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}update_priority`}>Priority</Label>
+            <OptionSelect
+              id={`${idPrefix}update_priority`}
+              value={value.priority}
+              onChange={(v) => set("priority", v)}
+              options={PRIORITY_OPTIONS}
+              unsetLabel="Leave unchanged"
+            />
+            <FieldError message={errors.priority} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}update_category`}>Category</Label>
+            <OptionSelect
+              id={`${idPrefix}update_category`}
+              value={value.category}
+              onChange={(v) => set("category", v)}
+              options={CATEGORY_OPTIONS}
+              unsetLabel="Leave unchanged"
+            />
+            <FieldError message={errors.category} />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor={`${idPrefix}update_shift`}>Shift Due Date (days)</Label>
+            <Input
+              id={`${idPrefix}update_shift`}
+              type="number"
+              value={value.due_date_shift_days ?? ""}
+              onChange={(e) =>
+                set(
+                  "due_date_shift_days",
+                  e.target.value === "" ? undefined : parseInt(e.target.value)
+                )
+              }
+              placeholder="e.g., 2 or -1"
+            />
+            <FieldError message={errors.due_date_shift_days} />
+          </div>
+        </div>
+        <FieldError message={errors.patch} />
+      </div>
+    );
+  }
+
+  if (actionType === "create_note") {
+    return (
+      <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
+        <h4 className="font-medium text-slate-900">Note Details</h4>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}note_title`}>Note Title *</Label>
+          <Input
+            id={`${idPrefix}note_title`}
+            value={value.title || ""}
+            onChange={(e) => set("title", e.target.value)}
+            placeholder="e.g., Notes on {{task.title}}"
+          />
+          <FieldError message={errors.title} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}note_content`}>Content *</Label>
+          <Textarea
+            id={`${idPrefix}note_content`}
+            value={value.content || ""}
+            onChange={(e) => set("content", e.target.value)}
+            placeholder="What should the note say?"
+            rows={3}
+          />
+          <FieldError message={errors.content} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}note_tags`}>Tags</Label>
+          <Input
+            id={`${idPrefix}note_tags`}
+            value={(value.tags || []).join(", ")}
+            onChange={(e) =>
+              set(
+                "tags",
+                e.target.value.split(",").map((tag) => tag.trim()).filter(Boolean)
+              )
+            }
+            placeholder="e.g., review, weekly"
+          />
+          <FieldError message={errors.tags} />
+        </div>
+      </div>
+    );
+  }
+
+  if (actionType === "send_email") {
+    return (
+      <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
+        <h4 className="font-medium text-slate-900">Email Details</h4>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}email_to`}>Recipient</Label>
+          <Input
+            id={`${idPrefix}email_to`}
+            value={value.to || ""}
+            onChange={(e) => set("to", e.target.value)}
+            placeholder="Leave empty to send to yourself"
+          />
+          <FieldError message={errors.to} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}email_subject`}>Subject *</Label>
+          <Input
+            id={`${idPrefix}email_subject`}
+            value={value.subject || ""}
+            onChange={(e) => set("subject", e.target.value)}
+            placeholder="e.g., Completed: {{task.title}}"
+          />
+          <FieldError message={errors.subject} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}email_body`}>Body</Label>
+          <Textarea
+            id={`${idPrefix}email_body`}
+            value={value.body || ""}
+            onChange={(e) => set("body", e.target.value)}
+            rows={4}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (actionType === "call_webhook") {
+    const headers = Object.entries(value.headers || {});
+    const setHeaders = (entries) => set("headers", Object.fromEntries(entries));
+
+    return (
+      <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
+        <h4 className="font-medium text-slate-900">Webhook Details</h4>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}webhook_url`}>URL *</Label>
+          <Input
+            id={`${idPrefix}webhook_url`}
+            value={value.url || ""}
+            onChange={(e) => set("url", e.target.value)}
+            placeholder="https://example.com/hooks/timora"
+          />
+          <p className="text-xs text-slate-500">
+            Receives a JSON POST with the trigger event and task. The endpoint must allow
+            cross-origin requests.
+          </p>
+          <FieldError message={errors.url} />
+        </div>
+        <div className="space-y-2">
+          <Label>Headers</Label>
+          {headers.map(([name, headerValue], index) => (
+            <div key={index} className="flex gap-2">
+              <Input
+                value={name}
+                onChange={(e) =>
+                  setHeaders(headers.map((entry, i) => (i === index ? [e.target.value, entry[1]] : entry)))
+                }
+                placeholder="Header name"
+              />
+              <Input
+                value={headerValue}
+                onChange={(e) =>
+                  setHeaders(headers.map((entry, i) => (i === index ? [entry[0], e.target.value] : entry)))
+                }
+                placeholder="Value"
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                onClick={() => setHeaders(headers.filter((_, i) => i !== index))}
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={() => setHeaders([...headers, ["", ""]])}
+            disabled={headers.some(([name]) => !name)}
+          >
+            <Plus className="w-3 h-3 mr-1" />
+            Add Header
+          </Button>
+          <FieldError message={errors.headers} />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor={`${idPrefix}webhook_secret`}>Signing Secret</Label>
+          <div className="flex gap-2">
+            <Input
+              id={`${idPrefix}webhook_secret`}
+              className="font-mono"
+              value={value.secret || ""}
+              onChange={(e) => set("secret", e.target.value)}
+              placeholder="Leave empty to send unsigned"
+            />
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => set("secret", generateWebhookSecret())}
+            >
+              <KeyRound className="w-4 h-4 mr-1" />
+              Generate
+            </Button>
+          </div>
+          <p className="text-xs text-slate-500">
+            Requests carry X-Timora-Signature: sha256=HMAC(secret, "timestamp.body"), using the
+            X-Timora-Timestamp header.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+}
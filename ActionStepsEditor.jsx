@@ -0,0 +1,178 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, Trash2, ChevronUp, ChevronDown } from "lucide-react";
+import ActionDataEditor from "./ActionDataEditor";
+import TemplatePreview from "./TemplatePreview";
+import { createActionStep } from "./automationEngine";
+
+const ACTION_OPTIONS = [
+  { value: "create_task", label: "Create Task" },
+  { value: "update_task", label: "Update Task" },
+  { value: "send_email", label: "Send Email" },
+  { value: "create_note", label: "Create Note" },
+  { value: "call_webhook", label: "Call Webhook" },
+];
+
+/**
+ * ActionStepsEditor Component
+ *
+ * Editor for an automation's ordered workflow steps (TaskAutomation.actions).
+ * Steps can be added, removed and moved up or down; each has its own action,
+ * action_data and failure handling. Later steps can use what earlier ones
+ * created as {{steps.N.field}}, and update_task steps can target a task
+ * created by an earlier step.
+ *
+ * @param {Array} steps - Workflow steps (see getAutomationSteps)
+ * @param {Function} onChange - Called with the updated steps
+ * @param {Array} errors - Per-step field → error maps (from validateActionSteps)
+ * @param {string} triggerType - Trigger type (picks the preview sample)
+ * @param {Object} payload - Example incoming webhook payload for previews
+ */
+export default function ActionStepsEditor({ steps, onChange, errors = [], triggerType, payload = null }) {
+  const updateStep = (index, changes) => {
+    onChange(steps.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    const reordered = [...steps];
+    const [step] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, step);
+    onChange(reordered);
+  };
+
+  const removeStep = (index) => {
+    onChange(steps.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h4 className="font-medium text-slate-900">Actions (Then)</h4>
+        <p className="text-xs text-slate-500">
+          Run in order. Use {"{{steps.1.id}}"} or {"{{steps.1.title}}"} to refer to what an earlier
+          step created.
+        </p>
+      </div>
+
+      {steps.map((step, index) => {
+        const number = index + 1;
+        const stepTaskOptions = steps
+          .slice(0, index)
+          .map((earlier, i) => ({ earlier, number: i + 1 }))
+          .filter(({ earlier }) => earlier.action_type === "create_task")
+          .map(({ number: earlierNumber }) => ({
+            value: `{{steps.${earlierNumber}.id}}`,
+            label: `The task created in step ${earlierNumber}`,
+          }));
+
+        return (
+          <div key={step.id} className="space-y-3 p-4 border border-slate-200 rounded-lg">
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="flex items-center justify-center w-7 h-7 rounded-full bg-purple-100 text-purple-700 text-sm font-medium">
+                {number}
+              </div>
+              <div className="space-y-1 flex-1 min-w-40">
+                <Label htmlFor={`step${number}_action`}>Action</Label>
+                <Select
+                  value={step.action_type}
+                  onValueChange={(value) => updateStep(index, { action_type: value, action_data: {} })}
+                >
+                  <SelectTrigger id={`step${number}_action`}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ACTION_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-1 min-w-40">
+                <Label htmlFor={`step${number}_on_error`}>If it fails</Label>
+                <Select
+                  value={step.on_error || "abort"}
+                  onValueChange={(value) => updateStep(index, { on_error: value })}
+                >
+                  <SelectTrigger id={`step${number}_on_error`}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="abort">Stop the workflow</SelectItem>
+                    <SelectItem value="continue">Continue with the next step</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="flex items-center">
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => moveStep(index, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => moveStep(index, 1)}
+                  disabled={index === steps.length - 1}
+                  title="Move down"
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => removeStep(index)}
+                  disabled={steps.length === 1}
+                  title="Remove step"
+                >
+                  <Trash2 className="w-4 h-4 text-red-500" />
+                </Button>
+              </div>
+            </div>
+
+            <ActionDataEditor
+              actionType={step.action_type}
+              value={step.action_data}
+              onChange={(actionData) => updateStep(index, { action_data: actionData })}
+              errors={errors[index] || {}}
+              stepTaskOptions={stepTaskOptions}
+              idPrefix={`step${number}_`}
+            />
+
+            <TemplatePreview
+              actionData={step.action_data}
+              triggerType={triggerType}
+              payload={payload}
+              previousSteps={steps.slice(0, index)}
+            />
+          </div>
+        );
+      })}
+
+      <Button
+        type="button"
+        variant="outline"
+        onClick={() => onChange([...steps, createActionStep()])}
+      >
+        <Plus className="w-4 h-4 mr-2" />
+        Add Step
+      </Button>
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import React, { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { base44 } from "@/api/base44Client";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -12,6 +14,26 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { X, ArrowRight } from "lucide-react";
+import ConditionBuilder from "./ConditionBuilder";
+import ActionStepsEditor from "./ActionStepsEditor";
+import ScheduleBuilder from "./ScheduleBuilder";
+import IncomingWebhookSettings from "./IncomingWebhookSettings";
+import TaskPicker from "./TaskPicker";
+import {
+  buildActionFields,
+  createActionStep,
+  getAutomationSteps,
+  validateActionSteps,
+  DEFAULT_EVENT_LEAD_MINUTES,
+  DEFAULT_RATE_LIMITS,
+} from "./automationEngine";
+import { TASK_TRIGGERS, createConditionGroup, pruneConditions } from "./automationConditions";
+import { createDefaultSchedule, validateCron } from "./cronSchedule";
+import {
+  generateWebhookSigningSecret,
+  generateWebhookToken,
+  validateWebhookPayload,
+} from "./incomingWebhooks";
 
 export default function AutomationForm({ automation, onSubmit, onCancel }) {
   const [formData, setFormData] = useState(automation || {
@@ -19,13 +41,57 @@ export default function AutomationForm({ automation, onSubmit, onCancel }) {
     description: "",
     trigger_type: "task_completed",
     action_type: "create_task",
+    trigger_conditions: createConditionGroup(),
     action_data: {},
     is_active: true,
+    ...DEFAULT_RATE_LIMITS,
+  });
+
+  const [steps, setSteps] = useState(() => {
+    const existing = getAutomationSteps(automation);
+    return existing.length > 0 ? existing : [createActionStep()];
+  });
+
+  const [errors, setErrors] = useState({});
+
+  const { data: tasks = [] } = useQuery({
+    queryKey: ["tasks"],
+    queryFn: () => base44.entities.Task.list("-created_date"),
   });
 
+  const isTaskTrigger = TASK_TRIGGERS.includes(formData.trigger_type);
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+
+    const actionErrors = {};
+    const stepErrors = validateActionSteps(steps);
+    if (stepErrors.some((stepError) => Object.keys(stepError).length > 0)) {
+      actionErrors.steps = stepErrors;
+    }
+    if (formData.trigger_type === "time_based") {
+      const scheduleError = validateCron(formData.trigger_conditions?.schedule?.cron);
+      if (scheduleError) actionErrors.schedule = scheduleError;
+    }
+    if (formData.trigger_type === "event_starting") {
+      const minutesBefore = formData.trigger_conditions?.minutes_before;
+      if (minutesBefore !== undefined && (!Number.isInteger(minutesBefore) || minutesBefore < 0)) {
+        actionErrors.minutes_before = "Minutes before must be a whole number of 0 or more";
+      }
+    }
+    if (formData.trigger_type === "incoming_webhook" && formData.webhook_sample_payload) {
+      const payloadErrors = validateWebhookPayload(formData.webhook_sample_payload, {
+        ...formData,
+        actions: steps,
+      });
+      if (payloadErrors.length > 0) actionErrors.webhook = payloadErrors.join("; ");
+    }
+    if (Object.keys(actionErrors).length > 0) {
+      setErrors(actionErrors);
+      return;
+    }
+
+    onSubmit({ ...formData, ...buildActionFields(steps) });
   };
 
   return (
@@ -71,9 +137,28 @@ export default function AutomationForm({ automation, onSubmit, onCancel }) {
               <Label htmlFor="trigger">Trigger (When) *</Label>
               <Select
                 value={formData.trigger_type}
-                onValueChange={(value) =>
-                  setFormData({ ...formData, trigger_type: value })
-                }
+                onValueChange={(value) => {
+                  // Conditions on fields the new trigger doesn't have are dropped
+                  const conditions = pruneConditions(formData.trigger_conditions, value);
+                  setFormData({
+                    ...formData,
+                    trigger_type: value,
+                    trigger_conditions:
+                      value === "time_based" && !conditions.schedule
+                        ? { ...conditions, schedule: createDefaultSchedule() }
+                        : conditions,
+                    webhook_token:
+                      value === "incoming_webhook" && !formData.webhook_token
+                        ? generateWebhookToken()
+                        : formData.webhook_token,
+                    webhook_signing_secret:
+                      value === "incoming_webhook" && !formData.webhook_signing_secret
+                        ? generateWebhookSigningSecret()
+                        : formData.webhook_signing_secret,
+                    // Only task triggers can be scoped to one task
+                    trigger_task_id: TASK_TRIGGERS.includes(value) ? formData.trigger_task_id : null,
+                  });
+                }}
               >
                 <SelectTrigger>
                   <SelectValue />
@@ -84,6 +169,11 @@ export default function AutomationForm({ automation, onSubmit, onCancel }) {
                   <SelectItem value="task_overdue">Task Overdue</SelectItem>
                   <SelectItem value="time_based">Specific Time</SelectItem>
                   <SelectItem value="status_changed">Status Changed</SelectItem>
+                  <SelectItem value="incoming_webhook">Incoming Webhook</SelectItem>
+                  <SelectItem value="focus_session_completed">Focus Session Completed</SelectItem>
+                  <SelectItem value="note_created">Note Created</SelectItem>
+                  <SelectItem value="note_tagged">Note Tagged</SelectItem>
+                  <SelectItem value="event_starting">Event Starting</SelectItem>
                 </SelectContent>
               </Select>
               <p className="text-xs text-slate-500">
@@ -91,68 +181,153 @@ export default function AutomationForm({ automation, onSubmit, onCancel }) {
               </p>
             </div>
 
-            <div className="space-y-2">
-              <Label htmlFor="action">Action (Then) *</Label>
-              <Select
-                value={formData.action_type}
-                onValueChange={(value) =>
-                  setFormData({ ...formData, action_type: value })
-                }
-              >
-                <SelectTrigger>
-                  <SelectValue />
-                </SelectTrigger>
-                <SelectContent>
-                  <SelectItem value="create_task">Create Task</SelectItem>
-                  <SelectItem value="update_task">Update Task</SelectItem>
-                  <SelectItem value="send_email">Send Email</SelectItem>
-                  <SelectItem value="create_note">Create Note</SelectItem>
-                </SelectContent>
-              </Select>
+            {isTaskTrigger && (
+              <div className="space-y-2">
+                <Label htmlFor="trigger_task">Only For Task</Label>
+                <TaskPicker
+                  id="trigger_task"
+                  tasks={tasks}
+                  value={formData.trigger_task_id}
+                  onChange={(taskId) => setFormData({ ...formData, trigger_task_id: taskId ?? null })}
+                />
+                <p className="text-xs text-slate-500">
+                  {formData.trigger_task_id && !tasks.some((task) => task.id === formData.trigger_task_id)
+                    ? "The linked task was deleted; pick another task or clear the link"
+                    : "Leave as any task to run for every matching task"}
+                </p>
+              </div>
+            )}
+          </div>
+
+          {formData.trigger_type === "time_based" && (
+            <div className="space-y-3 p-4 bg-slate-50 rounded-lg">
+              <div>
+                <h4 className="font-medium text-slate-900">Schedule</h4>
+                <p className="text-xs text-slate-500">
+                  When this automation runs, in your profile's timezone
+                </p>
+              </div>
+              <ScheduleBuilder
+                value={formData.trigger_conditions?.schedule}
+                onChange={(schedule) => {
+                  setFormData({
+                    ...formData,
+                    trigger_conditions: { ...formData.trigger_conditions, schedule },
+                  });
+                  setErrors({});
+                }}
+                error={errors.schedule}
+              />
+            </div>
+          )}
+
+          {formData.trigger_type === "event_starting" && (
+            <div className="space-y-2 p-4 bg-slate-50 rounded-lg">
+              <Label htmlFor="minutes_before">Minutes Before Event</Label>
+              <Input
+                id="minutes_before"
+                type="number"
+                min="0"
+                className="w-32"
+                value={formData.trigger_conditions?.minutes_before ?? DEFAULT_EVENT_LEAD_MINUTES}
+                onChange={(e) => {
+                  setFormData({
+                    ...formData,
+                    trigger_conditions: {
+                      ...formData.trigger_conditions,
+                      minutes_before: Number(e.target.value),
+                    },
+                  });
+                  setErrors({});
+                }}
+              />
               <p className="text-xs text-slate-500">
-                What action to perform
+                Runs once for each calendar event, this long before it starts
               </p>
+              {errors.minutes_before && (
+                <p className="text-xs text-red-600">{errors.minutes_before}</p>
+              )}
             </div>
-          </div>
+          )}
 
-          {formData.action_type === "create_task" && (
-            <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
-              <h4 className="font-medium text-slate-900">Task Details</h4>
-              <div className="space-y-2">
-                <Label htmlFor="task_title">New Task Title</Label>
-                <Input
-                  id="task_title"
-                  value={formData.action_data?.title || ""}
-                  onChange={(e) =>
-                    setFormData({
-                      ...formData,
-                      action_data: { ...formData.action_data, title: e.target.value },
-                    })
-                  }
-                  placeholder="e.g., Follow up on previous task"
-                />
+          {formData.trigger_type === "incoming_webhook" ? (
+            <div className="space-y-3 p-4 bg-slate-50 rounded-lg">
+              <div>
+                <h4 className="font-medium text-slate-900">Incoming Webhook</h4>
+                <p className="text-xs text-slate-500">
+                  Runs whenever a signed request is posted to this URL
+                </p>
               </div>
-              <div className="space-y-2">
-                <Label htmlFor="task_description">Task Description</Label>
-                <Textarea
-                  id="task_description"
-                  value={formData.action_data?.description || ""}
-                  onChange={(e) =>
-                    setFormData({
-                      ...formData,
-                      action_data: {
-                        ...formData.action_data,
-                        description: e.target.value,
-                      },
-                    })
-                  }
-                  placeholder="Details for the new task"
-                  rows={2}
-                />
+              <IncomingWebhookSettings
+                token={formData.webhook_token}
+                signingSecret={formData.webhook_signing_secret}
+                samplePayload={formData.webhook_sample_payload}
+                onChange={(settings) => {
+                  setFormData({ ...formData, ...settings });
+                  setErrors({});
+                }}
+                error={errors.webhook}
+              />
+            </div>
+          ) : (
+            <div className="space-y-3 p-4 bg-slate-50 rounded-lg">
+              <div>
+                <h4 className="font-medium text-slate-900">Conditions (Only If)</h4>
+                <p className="text-xs text-slate-500">
+                  Leave empty to run on every matching trigger
+                </p>
               </div>
+              <ConditionBuilder
+                value={formData.trigger_conditions}
+                onChange={(conditions) =>
+                  setFormData({ ...formData, trigger_conditions: conditions })
+                }
+                triggerType={formData.trigger_type}
+              />
             </div>
           )}
 
+          <ActionStepsEditor
+            steps={steps}
+            onChange={(updated) => {
+              setSteps(updated);
+              setErrors({});
+            }}
+            errors={errors.steps}
+            triggerType={formData.trigger_type}
+            payload={formData.trigger_type === "incoming_webhook" ? formData.webhook_sample_payload : null}
+          />
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="max_runs_per_hour">Max Runs per Hour</Label>
+              <Input
+                id="max_runs_per_hour"
+                type="number"
+                min="1"
+                value={formData.max_runs_per_hour ?? DEFAULT_RATE_LIMITS.max_runs_per_hour}
+                onChange={(e) =>
+                  setFormData({ ...formData, max_runs_per_hour: Number(e.target.value) })
+                }
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="max_runs_per_day">Max Runs per Day</Label>
+              <Input
+                id="max_runs_per_day"
+                type="number"
+                min="1"
+                value={formData.max_runs_per_day ?? DEFAULT_RATE_LIMITS.max_runs_per_day}
+                onChange={(e) =>
+                  setFormData({ ...formData, max_runs_per_day: Number(e.target.value) })
+                }
+              />
+            </div>
+            <p className="text-xs text-slate-500 md:col-span-2">
+              The automation pauses itself if it exceeds either limit
+            </p>
+          </div>
+
           <div className="flex justify-end gap-3 pt-4 border-t">
             <Button type="button" variant="outline" onClick={onCancel}>
               Cancel
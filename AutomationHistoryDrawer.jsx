@@ -0,0 +1,222 @@
+import React, { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import { CheckCircle, XCircle, RotateCcw, History, Ban, AlertTriangle } from "lucide-react";
+import { getAutomationSteps, rerunAutomationRun } from "./automationEngine";
+import WebhookDeliveryLog from "./WebhookDeliveryLog";
+
+const STATUS_FILTERS = [
+  { value: "all", label: "All" },
+  { value: "success", label: "Succeeded" },
+  { value: "partial", label: "Partial" },
+  { value: "failed", label: "Failed" },
+  { value: "skipped", label: "Skipped" },
+];
+
+const STEP_STATUS_CLASSES = {
+  success: "text-green-700",
+  failed: "text-red-600",
+  skipped: "text-slate-400",
+};
+
+/**
+ * AutomationHistoryDrawer Component
+ *
+ * Side drawer listing recent AutomationRun records for one automation:
+ * trigger event, matched conditions, action payload (per step for
+ * workflows), created entities, duration and errors. Failed runs can be re-run; skipped runs show why
+ * the loop guard or rate limit stopped them. Webhook automations also list
+ * their recent deliveries.
+ *
+ * @param {Object} automation - TaskAutomation to show history for (null hides the drawer)
+ * @param {Function} onClose - Called when the drawer closes
+ */
+export default function AutomationHistoryDrawer({ automation, onClose }) {
+  const [statusFilter, setStatusFilter] = useState("all");
+  const queryClient = useQueryClient();
+
+  const { data: runs = [], isLoading } = useQuery({
+    queryKey: ["automationRuns", automation?.id],
+    queryFn: () =>
+      base44.entities.AutomationRun.filter(
+        { automation_id: automation.id },
+        "-created_date",
+        50
+      ),
+    enabled: !!automation,
+  });
+
+  const rerunMutation = useMutation({
+    mutationFn: (run) => rerunAutomationRun(run),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["automationRuns", automation?.id] });
+      queryClient.invalidateQueries({ queryKey: ["automations"] });
+      queryClient.invalidateQueries({ queryKey: ["tasks"] });
+      queryClient.invalidateQueries({ queryKey: ["notes"] });
+      queryClient.invalidateQueries({ queryKey: ["webhookDeliveries", automation?.id] });
+    },
+  });
+
+  const filteredRuns = runs.filter(
+    (run) => statusFilter === "all" || run.status === statusFilter
+  );
+
+  return (
+    <Sheet open={!!automation} onOpenChange={(open) => !open && onClose()}>
+      <SheetContent className="w-full sm:max-w-lg overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle className="flex items-center gap-2">
+            <History className="w-5 h-5 text-purple-600" />
+            {automation?.name} — Run History
+          </SheetTitle>
+        </SheetHeader>
+
+        {(getAutomationSteps(automation).some((step) => step.action_type === "call_webhook") ||
+          automation?.trigger_type === "incoming_webhook") && (
+          <div className="my-4 space-y-3">
+            <h4 className="font-medium text-slate-900 text-sm">Webhook Deliveries</h4>
+            <WebhookDeliveryLog automationId={automation.id} limit={10} />
+          </div>
+        )}
+
+        <div className="flex gap-2 my-4">
+          {STATUS_FILTERS.map((filter) => (
+            <Button
+              key={filter.value}
+              size="sm"
+              variant={statusFilter === filter.value ? "default" : "outline"}
+              onClick={() => setStatusFilter(filter.value)}
+            >
+              {filter.label}
+            </Button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <p className="text-sm text-slate-500">Loading runs...</p>
+        ) : filteredRuns.length === 0 ? (
+          <div className="text-center py-12">
+            <History className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+            <p className="text-slate-500">No runs to show</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {filteredRuns.map((run) => (
+              <div key={run.id} className="p-4 border border-slate-200 rounded-lg space-y-2">
+                <div className="flex items-center justify-between">
+                  {run.status === "success" ? (
+                    <Badge className="bg-green-100 text-green-700 hover:bg-green-200">
+                      <CheckCircle className="w-3 h-3 mr-1" />
+                      Succeeded
+                    </Badge>
+                  ) : run.status === "partial" ? (
+                    <Badge className="bg-orange-100 text-orange-700 hover:bg-orange-200">
+                      <AlertTriangle className="w-3 h-3 mr-1" />
+                      Partial
+                    </Badge>
+                  ) : run.status === "skipped" ? (
+                    <Badge className="bg-amber-100 text-amber-700 hover:bg-amber-200">
+                      <Ban className="w-3 h-3 mr-1" />
+                      Skipped
+                    </Badge>
+                  ) : (
+                    <Badge className="bg-red-100 text-red-700 hover:bg-red-200">
+                      <XCircle className="w-3 h-3 mr-1" />
+                      Failed
+                    </Badge>
+                  )}
+                  <span className="text-xs text-slate-500">
+                    {new Date(run.started_at || run.created_date).toLocaleString()}
+                    {run.duration_ms !== undefined && <> • {run.duration_ms}ms</>}
+                  </span>
+                </div>
+
+                <div className="text-sm text-slate-700">
+                  <span className="text-slate-500">Trigger:</span> {run.trigger_type}
+                  {run.trigger_event?.task?.title && <> on "{run.trigger_event.task.title}"</>}
+                </div>
+
+                {run.matched_conditions?.length > 0 && (
+                  <div className="text-sm text-slate-700">
+                    <span className="text-slate-500">Matched:</span>{" "}
+                    {run.matched_conditions.join("; ")}
+                  </div>
+                )}
+
+                <div className="text-sm text-slate-700">
+                  <span className="text-slate-500">Action:</span> {run.action_type}
+                </div>
+
+                {run.action_payload && (
+                  <pre className="text-xs bg-slate-50 p-2 rounded overflow-x-auto">
+                    {JSON.stringify(run.action_payload, null, 2)}
+                  </pre>
+                )}
+
+                {run.steps?.length > 1 && (
+                  <div className="space-y-2">
+                    {run.steps.map((step) => (
+                      <div key={step.step} className="text-xs space-y-1">
+                        <div className={STEP_STATUS_CLASSES[step.status] || "text-slate-600"}>
+                          Step {step.step}: {step.action_type} — {step.status}
+                          {step.on_error === "continue" && " (continues on failure)"}
+                        </div>
+                        {step.payload && (
+                          <pre className="bg-slate-50 p-2 rounded overflow-x-auto">
+                            {JSON.stringify(step.payload, null, 2)}
+                          </pre>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {run.created_entity_ids?.length > 0 && (
+                  <div className="text-xs text-slate-500">
+                    Created: {run.created_entity_ids.join(", ")}
+                  </div>
+                )}
+
+                {run.causation_chain?.length > 1 && (
+                  <div className="text-xs text-slate-500">
+                    Triggered by another automation (chain depth {run.causation_chain.length})
+                  </div>
+                )}
+
+                {run.retry_of && (
+                  <div className="text-xs text-slate-500">Re-run of {run.retry_of}</div>
+                )}
+
+                {run.error && (
+                  <p className="text-sm text-red-600 bg-red-50 p-2 rounded">{run.error}</p>
+                )}
+
+                {(run.status === "failed" || run.status === "partial") && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => rerunMutation.mutate(run)}
+                    disabled={rerunMutation.isPending}
+                  >
+                    <RotateCcw className="w-3 h-3 mr-1" />
+                    {rerunMutation.isPending && rerunMutation.variables?.id === run.id
+                      ? "Re-running..."
+                      : "Re-run"}
+                  </Button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
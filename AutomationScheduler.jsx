@@ -0,0 +1,66 @@
+import { useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { useSubscription } from "./SubscriptionChecker";
+import { runEventStartingAutomations, runScheduledAutomations } from "./automationEngine";
+import { processIncomingWebhooks } from "./incomingWebhooks";
+import { safeAsync } from "./safeAsyncUtils";
+
+// Cron schedules have minute resolution
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * AutomationScheduler Component
+ *
+ * Background worker that fires time_based automations on their schedule,
+ * event_starting automations ahead of calendar events, and runs
+ * incoming_webhook automations for requests received since the last check. Runs once on load (firing schedules that came due while the
+ * app was closed) and then every minute.
+ * Renders nothing.
+ */
+export default function AutomationScheduler() {
+  const queryClient = useQueryClient();
+  const { isPremium } = useSubscription();
+  const isRunning = useRef(false);
+
+  useEffect(() => {
+    if (!isPremium) return;
+
+    const run = async () => {
+      if (isRunning.current) return;
+      isRunning.current = true;
+
+      const result = await safeAsync(() => runScheduledAutomations(), {
+        errorMessage: "Failed to run scheduled automations",
+      });
+      const upcoming = await safeAsync(() => runEventStartingAutomations(), {
+        errorMessage: "Failed to run event automations",
+      });
+      const incoming = await safeAsync(() => processIncomingWebhooks(), {
+        errorMessage: "Failed to process incoming webhooks",
+      });
+
+      isRunning.current = false;
+
+      const runs = [result.data, upcoming.data].filter(Boolean);
+      const executed = runs.reduce((sum, r) => sum + r.executed, 0);
+      const failed = runs.reduce((sum, r) => sum + r.failed, 0);
+      const skipped = runs.reduce((sum, r) => sum + r.skipped, 0);
+      const { processed = 0, rejected = 0 } = incoming.data || {};
+      if (processed + rejected > 0) {
+        queryClient.invalidateQueries({ queryKey: ["webhookDeliveries"] });
+      }
+      if (executed + failed + skipped + processed > 0) {
+        queryClient.invalidateQueries({ queryKey: ["tasks"] });
+        queryClient.invalidateQueries({ queryKey: ["notes"] });
+        queryClient.invalidateQueries({ queryKey: ["automations"] });
+        queryClient.invalidateQueries({ queryKey: ["automationRuns"] });
+      }
+    };
+
+    run();
+    const interval = setInterval(run, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isPremium, queryClient]);
+
+  return null;
+}
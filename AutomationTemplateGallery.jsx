@@ -0,0 +1,100 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { LayoutTemplate, Plus, Check } from "lucide-react";
+import { AUTOMATION_TEMPLATES } from "./automationTemplates";
+
+const TRIGGER_LABELS = {
+  task_completed: "Task completed",
+  task_overdue: "Task overdue",
+  time_based: "Scheduled",
+  status_changed: "Status changes",
+  focus_session_completed: "Focus session",
+  note_created: "Note created",
+  note_tagged: "Note tagged",
+  event_starting: "Before event",
+};
+
+/**
+ * AutomationTemplateGallery Component
+ *
+ * Dialog listing the prebuilt rules from automationTemplates.js.
+ * Each one can be installed with a single click; installed rules are
+ * regular automations that can be edited afterwards.
+ *
+ * @param {boolean} open - Whether the dialog is shown
+ * @param {Function} onClose - Called when the dialog is dismissed
+ * @param {Function} onInstall - Called with the template to install
+ * @param {string[]} installedNames - Names of existing automations (marks installed templates)
+ * @param {boolean} isInstalling - Disables the install buttons while a rule is being created
+ */
+export default function AutomationTemplateGallery({
+  open,
+  onClose,
+  onInstall,
+  installedNames = [],
+  isInstalling,
+}) {
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <LayoutTemplate className="w-5 h-5 text-purple-600" />
+            Automation Templates
+          </DialogTitle>
+          <DialogDescription>
+            Ready-made rules you can install in one click and adjust later.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          {AUTOMATION_TEMPLATES.map((template) => {
+            const installed = installedNames.includes(template.automation.name);
+            return (
+              <div
+                key={template.id}
+                className="flex items-start justify-between gap-4 p-4 border border-slate-200 rounded-lg"
+              >
+                <div className="flex-1">
+                  <div className="flex items-center gap-2 mb-1">
+                    <h4 className="font-medium text-slate-900">{template.title}</h4>
+                    <Badge variant="outline" className="text-xs text-slate-500">
+                      {TRIGGER_LABELS[template.automation.trigger_type]}
+                    </Badge>
+                  </div>
+                  <p className="text-sm text-slate-600">{template.description}</p>
+                </div>
+                <Button
+                  size="sm"
+                  variant={installed ? "outline" : "default"}
+                  onClick={() => onInstall(template)}
+                  disabled={isInstalling}
+                >
+                  {installed ? (
+                    <>
+                      <Check className="w-4 h-4 mr-1" />
+                      Install again
+                    </>
+                  ) : (
+                    <>
+                      <Plus className="w-4 h-4 mr-1" />
+                      Install
+                    </>
+                  )}
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
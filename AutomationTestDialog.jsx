@@ -0,0 +1,359 @@
+import React, { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { useQuery } from "@tanstack/react-query";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { FlaskConical, CheckCircle, XCircle, AlertCircle } from "lucide-react";
+import { buildTestEvent, previewAutomation } from "./automationEngine";
+import { SAMPLE_EVENT, SAMPLE_NOTE, SAMPLE_SESSION, SAMPLE_TASK } from "./automationTemplating";
+
+// Triggers tested against an edited JSON record instead of a task
+const TEST_SUBJECTS = {
+  focus_session_completed: { option: "session", label: "Focus Session (JSON)", sample: SAMPLE_SESSION },
+  note_created: { option: "note", label: "Note (JSON)", sample: SAMPLE_NOTE },
+  note_tagged: { option: "note", label: "Note (JSON)", sample: SAMPLE_NOTE },
+  event_starting: { option: "calendarEvent", label: "Calendar Event (JSON)", sample: SAMPLE_EVENT },
+};
+
+function Check({ passed, label }) {
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      {passed ? (
+        <CheckCircle className="w-4 h-4 text-green-600" />
+      ) : (
+        <XCircle className="w-4 h-4 text-red-500" />
+      )}
+      <span className={passed ? "text-slate-700" : "text-slate-500"}>{label}</span>
+    </div>
+  );
+}
+
+/**
+ * AutomationTestDialog Component
+ *
+ * Dry-run an automation against an existing task, a synthetic event or,
+ * for incoming webhooks, focus sessions, notes and calendar events, a JSON
+ * payload or record.
+ * Shows whether the trigger and conditions match, the rendered action
+ * payload and the entity that would be created or changed.
+ * Nothing is written.
+ *
+ * @param {Object} automation - TaskAutomation to test (null hides the dialog)
+ * @param {Function} onClose - Called when the dialog closes
+ */
+export default function AutomationTestDialog({ automation, onClose }) {
+  const [source, setSource] = useState("existing");
+  const [taskId, setTaskId] = useState("");
+  const [syntheticTask, setSyntheticTask] = useState(SAMPLE_TASK);
+  const [previousStatus, setPreviousStatus] = useState("todo");
+  const [payloadText, setPayloadText] = useState(null);
+  const [subjectText, setSubjectText] = useState(null);
+  const [sessionsToday, setSessionsToday] = useState(1);
+  const [preview, setPreview] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const { data: user } = useQuery({
+    queryKey: ["user"],
+    queryFn: () => base44.auth.me(),
+  });
+
+  const { data: tasks = [] } = useQuery({
+    queryKey: ["tasks"],
+    queryFn: () => base44.entities.Task.list("-created_date"),
+    enabled: !!automation,
+  });
+
+  const isWebhookTrigger = automation?.trigger_type === "incoming_webhook";
+  const subject = TEST_SUBJECTS[automation?.trigger_type];
+
+  const selectedTask = source === "existing"
+    ? tasks.find((task) => task.id === taskId)
+    : syntheticTask;
+
+  const runTest = async () => {
+    if (!selectedTask && !isWebhookTrigger && !subject) return;
+    setIsRunning(true);
+    try {
+      const payload = isWebhookTrigger
+        ? JSON.parse(payloadText ?? JSON.stringify(automation.webhook_sample_payload || {}))
+        : undefined;
+      const subjectOptions = subject
+        ? { [subject.option]: JSON.parse(subjectText ?? JSON.stringify(subject.sample)), sessionsToday }
+        : {};
+      const event = buildTestEvent(automation.trigger_type, selectedTask, {
+        previousStatus,
+        payload,
+        ...subjectOptions,
+      });
+      setPreview(await previewAutomation(automation, event, user));
+    } catch (error) {
+      setPreview({ error: error.message || String(error) });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleOpenChange = (open) => {
+    if (!open) {
+      setPreview(null);
+      setPayloadText(null);
+      setSubjectText(null);
+      onClose();
+    }
+  };
+
+  return (
+    <Dialog open={!!automation} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FlaskConical className="w-5 h-5 text-purple-600" />
+            Test "{automation?.name}"
+          </DialogTitle>
+          <DialogDescription>
+            Preview what this automation would do. Nothing will be created or changed.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {isWebhookTrigger ? (
+            <div className="space-y-2">
+              <Label>Payload (JSON)</Label>
+              <Textarea
+                value={payloadText ?? JSON.stringify(automation.webhook_sample_payload || {}, null, 2)}
+                onChange={(e) => setPayloadText(e.target.value)}
+                rows={6}
+                className="font-mono text-xs"
+              />
+            </div>
+          ) : subject ? (
+            <div className="space-y-2">
+              <Label>{subject.label}</Label>
+              <Textarea
+                value={subjectText ?? JSON.stringify(subject.sample, null, 2)}
+                onChange={(e) => setSubjectText(e.target.value)}
+                rows={8}
+                className="font-mono text-xs"
+              />
+              {automation.trigger_type === "focus_session_completed" && (
+                <div className="space-y-2">
+                  <Label>Sessions Completed Today</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    className="w-32"
+                    value={sessionsToday}
+                    onChange={(e) => setSessionsToday(parseInt(e.target.value) || 1)}
+                  />
+                </div>
+              )}
+            </div>
+          ) : (
+            <>
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant={source === "existing" ? "default" : "outline"}
+                  onClick={() => setSource("existing")}
+                >
+                  Existing task
+                </Button>
+                <Button
+                  size="sm"
+                  variant={source === "synthetic" ? "default" : "outline"}
+                  onClick={() => setSource("synthetic")}
+                >
+                  Synthetic event
+                </Button>
+              </div>
+
+              {source === "existing" ? (
+                <div className="space-y-2">
+                  <Label>Task</Label>
+                  <Select value={taskId} onValueChange={setTaskId}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select a task" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {tasks.map((task) => (
+                        <SelectItem key={task.id} value={task.id}>
+                          {task.title}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div className="space-y-2 md:col-span-2">
+                    <Label>Title</Label>
+                    <Input
+                      value={syntheticTask.title}
+                      onChange={(e) => setSyntheticTask({ ...syntheticTask, title: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Priority</Label>
+                    <Select
+                      value={syntheticTask.priority}
+                      onValueChange={(priority) => setSyntheticTask({ ...syntheticTask, priority })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="low">Low</SelectItem>
+                        <SelectItem value="medium">Medium</SelectItem>
+                        <SelectItem value="high">High</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Category</Label>
+                    <Select
+                      value={syntheticTask.category}
+                      onValueChange={(category) => setSyntheticTask({ ...syntheticTask, category })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="daily">Daily</SelectItem>
+                        <SelectItem value="weekly">Weekly</SelectItem>
+                        <SelectItem value="project">Project</SelectItem>
+                        <SelectItem value="someday">Someday</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Due Date</Label>
+                    <Input
+                      type="date"
+                      value={syntheticTask.due_date || ""}
+                      onChange={(e) => setSyntheticTask({ ...syntheticTask, due_date: e.target.value })}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label>Status</Label>
+                    <Select
+                      value={syntheticTask.status}
+                      onValueChange={(status) => setSyntheticTask({ ...syntheticTask, status })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="todo">To Do</SelectItem>
+                        <SelectItem value="in_progress">In Progress</SelectItem>
+                        <SelectItem value="completed">Completed</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {automation?.trigger_type === "status_changed" && (
+            <div className="space-y-2">
+              <Label>Previous Status</Label>
+              <Select value={previousStatus} onValueChange={setPreviousStatus}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="todo">To Do</SelectItem>
+                  <SelectItem value="in_progress">In Progress</SelectItem>
+                  <SelectItem value="completed">Completed</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          <Button
+            onClick={runTest}
+            disabled={(!selectedTask && !isWebhookTrigger && !subject) || isRunning}
+            className="bg-gradient-to-r from-purple-600 to-pink-600"
+          >
+            <FlaskConical className="w-4 h-4 mr-2" />
+            {isRunning ? "Testing..." : "Run Test"}
+          </Button>
+
+          {preview && (
+            <div className="space-y-4 pt-4 border-t">
+              {preview.wouldRun !== undefined && (
+                <Badge
+                  className={
+                    preview.wouldRun
+                      ? "bg-green-100 text-green-700 hover:bg-green-200"
+                      : "bg-slate-100 text-slate-600 hover:bg-slate-200"
+                  }
+                >
+                  {preview.wouldRun ? "Would run" : "Would not run"}
+                </Badge>
+              )}
+
+              {preview.wouldRun !== undefined && (
+                <div className="space-y-1">
+                  <Check passed={preview.triggerMatched} label="Trigger matches this event" />
+                  <Check passed={preview.taskMatched} label="Task matches the linked trigger task" />
+                  <Check passed={preview.conditionsMatched} label="Conditions match" />
+                  {preview.conditions.map((condition, i) => (
+                    <div key={i} style={{ paddingLeft: `${(condition.depth + 1) * 1.5}rem` }}>
+                      <Check passed={condition.matched} label={condition.description} />
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {preview.steps.map((step) => (
+                <div key={step.step} className="space-y-2">
+                  {step.effect ? (
+                    <>
+                      <h4 className="font-medium text-slate-900 text-sm">
+                        {preview.steps.length > 1 && <>Step {step.step}: </>}
+                        Would {step.effect.operation} {step.effect.entity}
+                        {step.effect.label && <> "{step.effect.label}"</>}
+                      </h4>
+                      <pre className="text-xs bg-slate-50 p-3 rounded overflow-x-auto">
+                        {JSON.stringify(step.effect.data, null, 2)}
+                      </pre>
+                    </>
+                  ) : step.skipped ? (
+                    <p className="text-sm text-slate-500">
+                      Step {step.step}: skipped because an earlier step failed
+                    </p>
+                  ) : null}
+                </div>
+              ))}
+
+              {preview.error && (
+                <div className="flex items-start gap-2 text-sm text-red-600 bg-red-50 p-3 rounded">
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  {preview.error}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
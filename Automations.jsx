@@ -2,26 +2,108 @@ import React, { useState } from "react";
 import { base44 } from "@/api/base44Client";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { motion } from "framer-motion";
-import { Plus, Zap, Trash2, Edit, Power, PowerOff, ArrowRight } from "lucide-react";
+import {
+  Plus,
+  Zap,
+  Trash2,
+  Edit,
+  Power,
+  PowerOff,
+  ArrowRight,
+  History,
+  FlaskConical,
+  AlertTriangle,
+  Download,
+  Upload,
+  LayoutTemplate,
+  CheckCircle,
+  AlertCircle,
+  Link2,
+  Unlink,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Alert, AlertDescription } from "@/components/ui/alert";
 import PremiumGate from "../components/PremiumGate";
 import { useSubscription } from "../components/SubscriptionChecker";
 import AutomationForm from "../components/AutomationForm";
+import AutomationHistoryDrawer from "../components/AutomationHistoryDrawer";
+import AutomationTestDialog from "../components/AutomationTestDialog";
+import WebhookDeliveryLog from "../components/WebhookDeliveryLog";
+import AutomationTemplateGallery from "../components/AutomationTemplateGallery";
+import { buildAutomationFromTemplate } from "../components/automationTemplates";
+import { buildAutomationExport, prepareAutomationImport } from "../components/automationImportExport";
+import {
+  DEFAULT_EVENT_LEAD_MINUTES,
+  findBrokenTaskLinks,
+  getAutomationSteps,
+  getNextScheduledRun,
+} from "../components/automationEngine";
+import { describeSchedule } from "../components/cronSchedule";
+import { formatInTimeZone, getUserTimeZone } from "../components/timezoneUtils";
 
 export default function Automations() {
   const [showForm, setShowForm] = useState(false);
   const [editingAutomation, setEditingAutomation] = useState(null);
+  const [historyAutomation, setHistoryAutomation] = useState(null);
+  const [testingAutomation, setTestingAutomation] = useState(null);
+  const [showGallery, setShowGallery] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [message, setMessage] = useState(null);
   const queryClient = useQueryClient();
   const { isPremium } = useSubscription();
 
+  const { data: user } = useQuery({
+    queryKey: ["user"],
+    queryFn: () => base44.auth.me(),
+  });
+
+  const toggleAllMutation = useMutation({
+    mutationFn: (paused) => base44.auth.updateMe({ automations_paused: paused }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["user"] });
+    },
+  });
+
+  const timeZone = getUserTimeZone(user);
+
   const { data: automations = [] } = useQuery({
     queryKey: ["automations"],
     queryFn: () => base44.entities.TaskAutomation.list("-created_date"),
     enabled: isPremium,
   });
 
+  const { data: tasks = [], isSuccess: tasksLoaded } = useQuery({
+    queryKey: ["tasks"],
+    queryFn: () => base44.entities.Task.list("-created_date"),
+    enabled: isPremium,
+  });
+
+  const taskTitles = Object.fromEntries(tasks.map((task) => [task.id, task.title]));
+
+  // Task links pointing at deleted tasks (only known once tasks have loaded)
+  const brokenLinks = Object.fromEntries(
+    automations.map((automation) => [
+      automation.id,
+      tasksLoaded ? findBrokenTaskLinks(automation, tasks) : [],
+    ])
+  );
+
+  // Upcoming fire times for active time_based automations (rules saved
+  // without is_active run too, as in the engine)
+  const nextRuns = Object.fromEntries(
+    automations
+      .filter((automation) => automation.is_active !== false)
+      .map((automation) => [automation.id, getNextScheduledRun(automation, timeZone)])
+  );
+
+  // Workflow steps (single-action rules have one)
+  const automationSteps = Object.fromEntries(
+    automations.map((automation) => [automation.id, getAutomationSteps(automation)])
+  );
+
   const createAutomationMutation = useMutation({
     mutationFn: (data) => base44.entities.TaskAutomation.create(data),
     onSuccess: () => {
@@ -31,6 +113,19 @@ export default function Automations() {
     },
   });
 
+  const installTemplateMutation = useMutation({
+    mutationFn: (template) =>
+      base44.entities.TaskAutomation.create(buildAutomationFromTemplate(template)),
+    onSuccess: (automation) => {
+      queryClient.invalidateQueries({ queryKey: ["automations"] });
+      setShowGallery(false);
+      setMessage({ type: "success", text: `Installed "${automation.name}"` });
+    },
+    onError: (error) => {
+      setMessage({ type: "error", text: `Failed to install template: ${error.message}` });
+    },
+  });
+
   const updateAutomationMutation = useMutation({
     mutationFn: ({ id, data }) => base44.entities.TaskAutomation.update(id, data),
     onSuccess: () => {
@@ -45,10 +140,86 @@ export default function Automations() {
     },
   });
 
+  const handleExport = async () => {
+    setMessage(null);
+    try {
+      const tasks = await base44.entities.Task.list();
+      const exportData = buildAutomationExport(automations, tasks);
+
+      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `timora-automations-${new Date().toISOString().split("T")[0]}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Automation export error:", error);
+      setMessage({ type: "error", text: `Failed to export: ${error.message}` });
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    setIsImporting(true);
+    setMessage(null);
+
+    try {
+      let importData;
+      try {
+        importData = JSON.parse(await file.text());
+      } catch {
+        throw new Error("The file is not valid JSON");
+      }
+
+      const tasks = await base44.entities.Task.list();
+      const { automations: prepared, warnings, errors } = prepareAutomationImport(importData, tasks);
+
+      let imported = 0;
+      for (const automation of prepared) {
+        try {
+          await base44.entities.TaskAutomation.create(automation);
+          imported++;
+        } catch (error) {
+          console.error("Failed to import automation:", error);
+          errors.push(`"${automation.name}": ${error.message}`);
+        }
+      }
+
+      queryClient.invalidateQueries({ queryKey: ["automations"] });
+
+      setMessage({
+        type: imported > 0 ? "success" : "error",
+        text:
+          imported > 0
+            ? `Imported ${imported} automation${imported === 1 ? "" : "s"}`
+            : "No automations could be imported",
+        details: [...errors, ...warnings],
+      });
+    } catch (error) {
+      console.error("Automation import error:", error);
+      setMessage({ type: "error", text: `Failed to import: ${error.message}` });
+    } finally {
+      setIsImporting(false);
+      event.target.value = ""; // Reset file input
+    }
+  };
+
   const toggleActive = (automation) => {
+    const activating = !automation.is_active;
     updateAutomationMutation.mutate({
       id: automation.id,
-      data: { ...automation, is_active: !automation.is_active },
+      data: {
+        ...automation,
+        is_active: activating,
+        // Re-activating clears an automatic pause
+        paused_reason: activating ? null : automation.paused_reason,
+        paused_at: activating ? null : automation.paused_at,
+      },
     });
   };
 
@@ -59,6 +230,11 @@ export default function Automations() {
       task_overdue: "When task overdue",
       time_based: "At specific time",
       status_changed: "When status changes",
+      incoming_webhook: "When webhook received",
+      focus_session_completed: "When focus session completed",
+      note_created: "When note created",
+      note_tagged: "When note tagged",
+      event_starting: "Before event starts",
     };
     return labels[trigger] || trigger;
   };
@@ -69,6 +245,7 @@ export default function Automations() {
       update_task: "Update task",
       send_email: "Send email",
       create_note: "Create note",
+      call_webhook: "Call webhook",
     };
     return labels[action] || action;
   };
@@ -90,16 +267,84 @@ export default function Automations() {
                 Create smart workflows that trigger automatically
               </p>
             </div>
-            <Button
-              onClick={() => setShowForm(true)}
-              className="bg-gradient-to-r from-purple-600 to-pink-600"
-            >
-              <Plus className="w-4 h-4 mr-2" />
-              New Automation
-            </Button>
+            <div className="flex items-center gap-4">
+              <label className="flex items-center gap-2 text-sm text-slate-600">
+                <Switch
+                  checked={!user?.automations_paused}
+                  onCheckedChange={(enabled) => toggleAllMutation.mutate(!enabled)}
+                  disabled={toggleAllMutation.isPending}
+                />
+                All automations
+              </label>
+              <Button variant="outline" onClick={() => setShowGallery(true)}>
+                <LayoutTemplate className="w-4 h-4 mr-2" />
+                Templates
+              </Button>
+              <Button
+                variant="outline"
+                onClick={handleExport}
+                disabled={automations.length === 0}
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Export
+              </Button>
+              <label htmlFor="automation-import-file">
+                <Button variant="outline" disabled={isImporting} className="cursor-pointer" asChild>
+                  <span>
+                    <Upload className="w-4 h-4 mr-2" />
+                    {isImporting ? "Importing..." : "Import"}
+                  </span>
+                </Button>
+              </label>
+              <input
+                id="automation-import-file"
+                type="file"
+                accept=".json"
+                onChange={handleImport}
+                className="hidden"
+                disabled={isImporting}
+              />
+              <Button
+                onClick={() => setShowForm(true)}
+                className="bg-gradient-to-r from-purple-600 to-pink-600"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                New Automation
+              </Button>
+            </div>
           </div>
         </motion.div>
 
+        {user?.automations_paused && (
+          <div className="flex items-center gap-3 bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 text-sm text-amber-800">
+            <AlertTriangle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+            All automations are switched off. No rules will run until you turn them back on.
+          </div>
+        )}
+
+        {message && (
+          <Alert
+            variant={message.type === "success" ? "default" : "destructive"}
+            className="mb-6"
+          >
+            {message.type === "success" ? (
+              <CheckCircle className="h-4 w-4" />
+            ) : (
+              <AlertCircle className="h-4 w-4" />
+            )}
+            <AlertDescription>
+              {message.text}
+              {message.details?.length > 0 && (
+                <ul className="mt-2 list-disc pl-5 text-xs space-y-1">
+                  {message.details.map((detail, index) => (
+                    <li key={index}>{detail}</li>
+                  ))}
+                </ul>
+              )}
+            </AlertDescription>
+          </Alert>
+        )}
+
         {showForm && (
           <AutomationForm
             automation={editingAutomation}
@@ -124,7 +369,7 @@ export default function Automations() {
                 <Zap className="w-12 h-12 text-slate-300 mx-auto mb-3" />
                 <p className="text-slate-500">No automations yet</p>
                 <p className="text-sm text-slate-400 mt-1">
-                  Create your first workflow automation
+                  Create your first workflow automation or start from a template
                 </p>
               </CardContent>
             </Card>
@@ -153,8 +398,32 @@ export default function Automations() {
                               Paused
                             </Badge>
                           )}
+                          {brokenLinks[automation.id].length > 0 && (
+                            <Badge className="bg-red-100 text-red-700 hover:bg-red-200">
+                              Broken
+                            </Badge>
+                          )}
                         </div>
 
+                        {brokenLinks[automation.id].length > 0 && (
+                          <div className="flex items-start gap-2 text-sm text-red-700 bg-red-50 rounded-md px-3 py-2 mb-3">
+                            <Unlink className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <div>
+                              {brokenLinks[automation.id].map((problem) => (
+                                <p key={problem}>{problem}</p>
+                              ))}
+                              <p className="text-xs text-red-600">Edit the automation to pick another task.</p>
+                            </div>
+                          </div>
+                        )}
+
+                        {!automation.is_active && automation.paused_reason && (
+                          <div className="flex items-center gap-2 text-sm text-amber-700 bg-amber-50 rounded-md px-3 py-2 mb-3">
+                            <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                            Auto-paused: {automation.paused_reason}
+                          </div>
+                        )}
+
                         {automation.description && (
                           <p className="text-slate-600 mb-4">
                             {automation.description}
@@ -167,15 +436,45 @@ export default function Automations() {
                             <Badge className="bg-blue-100 text-blue-700 hover:bg-blue-200">
                               {getTriggerLabel(automation.trigger_type)}
                             </Badge>
+                            {automation.trigger_task_id && taskTitles[automation.trigger_task_id] && (
+                              <p className="flex items-center gap-1 text-xs text-slate-500 mt-1">
+                                <Link2 className="w-3 h-3" />
+                                Only for "{taskTitles[automation.trigger_task_id]}"
+                              </p>
+                            )}
+                            {automation.trigger_type === "time_based" &&
+                              automation.trigger_conditions?.schedule && (
+                                <p className="text-xs text-slate-500 mt-1">
+                                  {automation.trigger_conditions.schedule.builder
+                                    ? describeSchedule(automation.trigger_conditions.schedule.builder)
+                                    : automation.trigger_conditions.schedule.cron}
+                                </p>
+                              )}
+                            {automation.trigger_type === "event_starting" && (
+                              <p className="text-xs text-slate-500 mt-1">
+                                {automation.trigger_conditions?.minutes_before ?? DEFAULT_EVENT_LEAD_MINUTES} minutes
+                                before each event
+                              </p>
+                            )}
                           </div>
 
                           <ArrowRight className="w-5 h-5 text-slate-400" />
 
                           <div className="flex-1">
-                            <p className="text-xs text-slate-500 mb-1">ACTION</p>
-                            <Badge className="bg-green-100 text-green-700 hover:bg-green-200">
-                              {getActionLabel(automation.action_type)}
-                            </Badge>
+                            <p className="text-xs text-slate-500 mb-1">
+                              {automationSteps[automation.id].length > 1 ? "ACTIONS" : "ACTION"}
+                            </p>
+                            <div className="flex flex-wrap gap-1">
+                              {automationSteps[automation.id].map((step, stepIndex) => (
+                                <Badge
+                                  key={step.id}
+                                  className="bg-green-100 text-green-700 hover:bg-green-200"
+                                >
+                                  {automationSteps[automation.id].length > 1 && <>{stepIndex + 1}. </>}
+                                  {getActionLabel(step.action_type)}
+                                </Badge>
+                              ))}
+                            </div>
                           </div>
                         </div>
 
@@ -184,6 +483,9 @@ export default function Automations() {
                           {automation.last_triggered && (
                             <> • Last: {new Date(automation.last_triggered).toLocaleDateString()}</>
                           )}
+                          {nextRuns[automation.id] && (
+                            <> • Next run: {formatInTimeZone(nextRuns[automation.id], timeZone)}</>
+                          )}
                         </div>
                       </div>
 
@@ -200,6 +502,22 @@ export default function Automations() {
                             <PowerOff className="w-4 h-4 text-slate-400" />
                           )}
                         </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => setTestingAutomation(automation)}
+                          title="Test"
+                        >
+                          <FlaskConical className="w-4 h-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => setHistoryAutomation(automation)}
+                          title="Run history"
+                        >
+                          <History className="w-4 h-4" />
+                        </Button>
                         <Button
                           variant="ghost"
                           size="icon"
@@ -225,6 +543,41 @@ export default function Automations() {
             ))
           )}
         </div>
+
+        {automations.some((automation) => automation.trigger_type === "incoming_webhook") && (
+          <Card className="mt-6 border-slate-200">
+            <CardHeader>
+              <CardTitle className="text-lg">Recent Incoming Webhooks</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <WebhookDeliveryLog
+                direction="incoming"
+                automationNames={Object.fromEntries(
+                  automations.map((automation) => [automation.id, automation.name])
+                )}
+                limit={10}
+              />
+            </CardContent>
+          </Card>
+        )}
+
+        <AutomationHistoryDrawer
+          automation={historyAutomation}
+          onClose={() => setHistoryAutomation(null)}
+        />
+
+        <AutomationTestDialog
+          automation={testingAutomation}
+          onClose={() => setTestingAutomation(null)}
+        />
+
+        <AutomationTemplateGallery
+          open={showGallery}
+          onClose={() => setShowGallery(false)}
+          onInstall={(template) => installTemplateMutation.mutate(template)}
+          installedNames={automations.map((automation) => automation.name)}
+          isInstalling={installTemplateMutation.isPending}
+        />
       </div>
     </div>
   );
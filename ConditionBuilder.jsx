@@ -0,0 +1,242 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, X, FolderPlus } from "lucide-react";
+import {
+  CONDITION_FIELDS,
+  OPERATOR_LABELS,
+  VALUELESS_OPERATORS,
+  createConditionGroup,
+  isConditionGroup,
+} from "./automationConditions";
+
+// Nested groups deeper than this get no "Add group" button
+const MAX_DEPTH = 2;
+
+/**
+ * ConditionBuilder Component
+ *
+ * Editor for TaskAutomation.trigger_conditions.
+ * Builds AND/OR condition groups of field comparisons on the trigger's
+ * task, focus session, note or calendar event.
+ * See automationConditions.js for the stored format.
+ *
+ * @param {Object} value - Condition group
+ * @param {Function} onChange - Called with the updated group
+ * @param {string} triggerType - Current trigger type (limits available fields)
+ */
+export default function ConditionBuilder({ value, onChange, triggerType, depth = 0, onRemove }) {
+  const group = value || createConditionGroup();
+
+  const availableFields = Object.entries(CONDITION_FIELDS).filter(
+    ([, field]) => !field.triggers || field.triggers.includes(triggerType)
+  );
+
+  const updateRule = (index, rule) => {
+    const rules = [...group.rules];
+    rules[index] = rule;
+    onChange({ ...group, rules });
+  };
+
+  const removeRule = (index) => {
+    onChange({ ...group, rules: group.rules.filter((_, i) => i !== index) });
+  };
+
+  const addRule = () => {
+    const [fieldName, field] = availableFields[0];
+    onChange({
+      ...group,
+      rules: [...group.rules, { field: fieldName, operator: field.operators[0], value: "" }],
+    });
+  };
+
+  const addGroup = () => {
+    onChange({ ...group, rules: [...group.rules, createConditionGroup()] });
+  };
+
+  const changeField = (index, fieldName) => {
+    const field = CONDITION_FIELDS[fieldName];
+    updateRule(index, { field: fieldName, operator: field.operators[0], value: "" });
+  };
+
+  const renderValueInput = (rule, index) => {
+    const field = CONDITION_FIELDS[rule.field];
+    if (!field || VALUELESS_OPERATORS.includes(rule.operator)) return null;
+
+    if (rule.operator === "in" || rule.operator === "not_in") {
+      const selected = Array.isArray(rule.value) ? rule.value : [];
+      return (
+        <div className="flex flex-wrap gap-1">
+          {field.options.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() =>
+                updateRule(index, {
+                  ...rule,
+                  value: selected.includes(option.value)
+                    ? selected.filter((v) => v !== option.value)
+                    : [...selected, option.value],
+                })
+              }
+              className={`px-2 py-1 text-xs rounded-md border transition-colors ${
+                selected.includes(option.value)
+                  ? "bg-purple-100 border-purple-500 text-purple-700"
+                  : "border-slate-200 hover:bg-slate-50"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      );
+    }
+
+    if (field.options) {
+      return (
+        <Select
+          value={rule.value || undefined}
+          onValueChange={(v) => updateRule(index, { ...rule, value: v })}
+        >
+          <SelectTrigger className="w-40">
+            <SelectValue placeholder="Select..." />
+          </SelectTrigger>
+          <SelectContent>
+            {field.options.map((option) => (
+              <SelectItem key={option.value} value={option.value}>
+                {option.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      );
+    }
+
+    if (rule.operator === "within_days" || field.type === "number") {
+      return (
+        <Input
+          type="number"
+          min="0"
+          className="w-24"
+          value={rule.value ?? ""}
+          onChange={(e) => updateRule(index, { ...rule, value: parseInt(e.target.value) || 0 })}
+        />
+      );
+    }
+
+    return (
+      <Input
+        className="w-48"
+        value={rule.value ?? ""}
+        onChange={(e) => updateRule(index, { ...rule, value: e.target.value })}
+        placeholder={rule.operator === "includes" || rule.operator === "not_includes" ? "Tag, e.g. todo" : "Text..."}
+      />
+    );
+  };
+
+  return (
+    <div
+      className={`space-y-3 ${
+        depth > 0 ? "p-3 border border-dashed border-purple-200 rounded-lg bg-white" : ""
+      }`}
+    >
+      <div className="flex items-center gap-2 text-sm text-slate-600">
+        <span>Match</span>
+        <Select
+          value={group.logic || "and"}
+          onValueChange={(logic) => onChange({ ...group, logic })}
+        >
+          <SelectTrigger className="w-24 h-8">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="and">all</SelectItem>
+            <SelectItem value="or">any</SelectItem>
+          </SelectContent>
+        </Select>
+        <span>of the following</span>
+        {onRemove && (
+          <Button type="button" variant="ghost" size="icon" className="ml-auto h-8 w-8" onClick={onRemove}>
+            <X className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+
+      {group.rules.map((rule, index) =>
+        isConditionGroup(rule) ? (
+          <ConditionBuilder
+            key={index}
+            value={rule}
+            onChange={(updated) => updateRule(index, updated)}
+            onRemove={() => removeRule(index)}
+            triggerType={triggerType}
+            depth={depth + 1}
+          />
+        ) : (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <Select value={rule.field} onValueChange={(v) => changeField(index, v)}>
+              <SelectTrigger className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {availableFields.map(([fieldName, field]) => (
+                  <SelectItem key={fieldName} value={fieldName}>
+                    {field.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            <Select
+              value={rule.operator}
+              onValueChange={(operator) => updateRule(index, { ...rule, operator })}
+            >
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(CONDITION_FIELDS[rule.field]?.operators || []).map((operator) => (
+                  <SelectItem key={operator} value={operator}>
+                    {OPERATOR_LABELS[operator]}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+
+            {renderValueInput(rule, index)}
+
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="h-8 w-8"
+              onClick={() => removeRule(index)}
+            >
+              <X className="w-4 h-4 text-slate-400" />
+            </Button>
+          </div>
+        )
+      )}
+
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={addRule}>
+          <Plus className="w-3 h-3 mr-1" />
+          Add condition
+        </Button>
+        {depth < MAX_DEPTH && (
+          <Button type="button" variant="outline" size="sm" onClick={addGroup}>
+            <FolderPlus className="w-3 h-3 mr-1" />
+            Add group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -3,13 +3,18 @@ import { base44 } from "@/api/base44Client";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { format, isToday, startOfDay } from "date-fns";
 import { motion } from "framer-motion";
-import { CheckCircle2, Clock, Flame, TrendingUp } from "lucide-react";
+import { CheckCircle2, Clock, Flame, TrendingUp, AlertTriangle } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import QuickAddBar from "../components/QuickAddBar";
 import TaskCard from "../components/TaskCard";
+import { useTaskAutomations } from "../components/useTaskAutomations";
+import { useTaskChecklist } from "../components/useTaskChecklist";
+import { getOverdueTasks, isTaskOverdue } from "../components/overdueDetection";
 
 export default function Dashboard() {
   const queryClient = useQueryClient();
+  const { notifyTaskCreated, notifyTaskUpdated, notifyNoteCreated } = useTaskAutomations();
+  const { updateChecklist } = useTaskChecklist();
   const [greeting, setGreeting] = useState("");
 
   useEffect(() => {
@@ -36,28 +41,35 @@ export default function Dashboard() {
 
   const createTaskMutation = useMutation({
     mutationFn: (taskData) => base44.entities.Task.create(taskData),
-    onSuccess: () => {
+    onSuccess: (task) => {
       queryClient.invalidateQueries({ queryKey: ["tasks"] });
+      notifyTaskCreated(task);
     },
   });
 
   const createNoteMutation = useMutation({
     mutationFn: (noteData) => base44.entities.Note.create(noteData),
-    onSuccess: () => {
+    onSuccess: (note) => {
       queryClient.invalidateQueries({ queryKey: ["notes"] });
+      notifyNoteCreated(note);
     },
   });
 
   const updateTaskMutation = useMutation({
     mutationFn: ({ id, data }) => base44.entities.Task.update(id, data),
-    onSuccess: () => {
+    onSuccess: (task, { id, data, previous }) => {
       queryClient.invalidateQueries({ queryKey: ["tasks"] });
+      notifyTaskUpdated(previous, { ...previous, ...data, ...task, id });
     },
   });
 
+  const overdueTasks = getOverdueTasks(tasks);
+
+  // Overdue tasks get their own section rather than showing twice
   const todayTasks = tasks.filter(
     (task) =>
       task.status !== "completed" &&
+      !isTaskOverdue(task) &&
       (task.due_date === format(new Date(), "yyyy-MM-dd") || task.category === "daily")
   );
 
@@ -100,6 +112,7 @@ export default function Dashboard() {
   const handleToggleTask = (task, newStatus) => {
     updateTaskMutation.mutate({
       id: task.id,
+      previous: task,
       data: {
         ...task,
         status: newStatus,
@@ -221,6 +234,39 @@ export default function Dashboard() {
           />
         </motion.div>
 
+        {/* Overdue Tasks */}
+        {overdueTasks.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 0.55 }}
+            className="mb-8"
+          >
+            <Card className="border-red-200">
+              <CardHeader>
+                <CardTitle className="text-xl font-bold text-red-600 flex items-center gap-2">
+                  <AlertTriangle className="h-5 w-5" />
+                  Overdue ({overdueTasks.length})
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-3">
+                  {overdueTasks.map((task, index) => (
+                    <TaskCard
+                      key={task.id}
+                      task={task}
+                      index={index}
+                      onToggle={handleToggleTask}
+                      onSubtasksChange={updateChecklist}
+                      onEdit={() => {}}
+                    />
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          </motion.div>
+        )}
+
         {/* Today's Tasks */}
         <motion.div
           initial={{ opacity: 0 }}
@@ -248,6 +294,7 @@ export default function Dashboard() {
                       task={task}
                       index={index}
                       onToggle={handleToggleTask}
+                      onSubtasksChange={updateChecklist}
                       onEdit={() => {}}
                     />
                   ))}
@@ -12,6 +12,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
+import { useTaskAutomations } from "../components/useTaskAutomations";
 
 export default function Focus() {
   const [duration, setDuration] = useState(25);
@@ -21,6 +22,7 @@ export default function Focus() {
   const [sessionStarted, setSessionStarted] = useState(null);
 
   const queryClient = useQueryClient();
+  const { notifyFocusSessionCompleted } = useTaskAutomations();
 
   const { data: tasks = [] } = useQuery({
     queryKey: ["tasks"],
@@ -29,8 +31,9 @@ export default function Focus() {
 
   const createSessionMutation = useMutation({
     mutationFn: (sessionData) => base44.entities.FocusSession.create(sessionData),
-    onSuccess: () => {
+    onSuccess: (session) => {
       queryClient.invalidateQueries({ queryKey: ["focusSessions"] });
+      if (session?.completed) notifyFocusSessionCompleted(session);
     },
   });
 
@@ -0,0 +1,216 @@
+import React, { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { format, parseISO } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Plus, Trash2, Upload, CheckCircle, AlertCircle } from "lucide-react";
+import { getNewHolidays, parseIcsHolidays } from "./holidayCalendar";
+
+/**
+ * HolidayCalendar Component
+ *
+ * Manages the user's Holiday records: the non-working days (besides
+ * weekends) that business-days recurring rules skip or shift past.
+ * Holidays are added by hand or imported from an .ics file; imported
+ * dates already in the calendar are left alone.
+ */
+export default function HolidayCalendar() {
+  const [newHoliday, setNewHoliday] = useState({ date: "", name: "" });
+  const [isImporting, setIsImporting] = useState(false);
+  const [message, setMessage] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: holidays = [], isLoading } = useQuery({
+    queryKey: ["holidays"],
+    queryFn: () => base44.entities.Holiday.list("date"),
+  });
+
+  const createHolidayMutation = useMutation({
+    mutationFn: (data) => base44.entities.Holiday.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["holidays"] });
+      setNewHoliday({ date: "", name: "" });
+    },
+  });
+
+  const deleteHolidayMutation = useMutation({
+    mutationFn: (id) => base44.entities.Holiday.delete(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["holidays"] });
+    },
+  });
+
+  const today = format(new Date(), "yyyy-MM-dd");
+  const upcoming = holidays
+    .filter((holiday) => holiday.date >= today)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const alreadyListed = holidays.some((holiday) => holiday.date === newHoliday.date);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newHoliday.date || alreadyListed) return;
+    createHolidayMutation.mutate({
+      date: newHoliday.date,
+      name: newHoliday.name.trim() || "Holiday",
+      source: "manual",
+    });
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    setIsImporting(true);
+    setMessage(null);
+
+    try {
+      const { holidays: parsed, warnings } = parseIcsHolidays(await file.text());
+      const newHolidays = getNewHolidays(parsed, holidays);
+      const errors = [];
+
+      let imported = 0;
+      for (const holiday of newHolidays) {
+        try {
+          await base44.entities.Holiday.create({ ...holiday, source: "ics" });
+          imported++;
+        } catch (error) {
+          console.error("Failed to import holiday:", error);
+          errors.push(`"${holiday.name}" (${holiday.date}): ${error.message}`);
+        }
+      }
+
+      queryClient.invalidateQueries({ queryKey: ["holidays"] });
+
+      const known = parsed.length - newHolidays.length;
+      const allKnown = parsed.length > 0 && newHolidays.length === 0;
+      setMessage({
+        type: imported > 0 || allKnown ? "success" : "error",
+        text:
+          imported > 0
+            ? `Imported ${imported} holiday${imported === 1 ? "" : "s"}`
+            : allKnown
+            ? "Every date in the file is already in your calendar"
+            : "No holidays could be imported",
+        details: [
+          ...errors,
+          ...warnings,
+          ...(known > 0 && !allKnown
+            ? [`${known} date${known === 1 ? " was" : "s were"} already in your calendar`]
+            : []),
+        ],
+      });
+    } catch (error) {
+      console.error("Holiday import error:", error);
+      setMessage({ type: "error", text: `Failed to import: ${error.message}` });
+    } finally {
+      setIsImporting(false);
+      event.target.value = ""; // Reset file input
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-3">
+        <div className="space-y-2">
+          <Label htmlFor="holiday_date">Date</Label>
+          <Input
+            id="holiday_date"
+            type="date"
+            value={newHoliday.date}
+            onChange={(e) => setNewHoliday({ ...newHoliday, date: e.target.value })}
+            className="w-44"
+          />
+        </div>
+        <div className="space-y-2 flex-1 min-w-40">
+          <Label htmlFor="holiday_name">Name</Label>
+          <Input
+            id="holiday_name"
+            value={newHoliday.name}
+            onChange={(e) => setNewHoliday({ ...newHoliday, name: e.target.value })}
+            placeholder="e.g., Company retreat"
+          />
+        </div>
+        <Button
+          type="submit"
+          disabled={!newHoliday.date || alreadyListed || createHolidayMutation.isPending}
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Add
+        </Button>
+        <label htmlFor="holiday-import-file">
+          <Button variant="outline" disabled={isImporting} className="cursor-pointer" asChild>
+            <span>
+              <Upload className="w-4 h-4 mr-2" />
+              {isImporting ? "Importing..." : "Import .ics"}
+            </span>
+          </Button>
+        </label>
+        <input
+          id="holiday-import-file"
+          type="file"
+          accept=".ics,text/calendar"
+          onChange={handleImport}
+          className="hidden"
+          disabled={isImporting}
+        />
+      </form>
+      {alreadyListed && (
+        <p className="text-xs text-slate-500">That date is already in your holiday calendar</p>
+      )}
+
+      {message && (
+        <Alert variant={message.type === "success" ? "default" : "destructive"}>
+          {message.type === "success" ? (
+            <CheckCircle className="h-4 w-4" />
+          ) : (
+            <AlertCircle className="h-4 w-4" />
+          )}
+          <AlertDescription>
+            {message.text}
+            {message.details?.length > 0 && (
+              <ul className="mt-2 list-disc pl-5 text-xs space-y-1">
+                {message.details.map((detail, index) => (
+                  <li key={index}>{detail}</li>
+                ))}
+              </ul>
+            )}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Loading holidays...</p>
+      ) : upcoming.length === 0 ? (
+        <p className="text-sm text-slate-500">No upcoming holidays</p>
+      ) : (
+        <div className="space-y-2">
+          {upcoming.map((holiday) => (
+            <div
+              key={holiday.id}
+              className="flex items-center gap-3 px-3 py-2 rounded-lg bg-slate-50 text-sm"
+            >
+              <span className="min-w-36 text-slate-900">
+                {format(parseISO(holiday.date), "EEE, MMM d, yyyy")}
+              </span>
+              <span className="text-slate-600">{holiday.name}</span>
+              {holiday.source === "ics" && <Badge variant="outline">Imported</Badge>}
+              <Button
+                variant="ghost"
+                size="icon"
+                className="ml-auto"
+                onClick={() => deleteHolidayMutation.mutate(holiday.id)}
+                disabled={deleteHolidayMutation.isPending}
+              >
+                <Trash2 className="w-4 h-4 text-red-500" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
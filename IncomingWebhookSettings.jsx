@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Copy, Check, RefreshCw, Eye, EyeOff } from "lucide-react";
+import {
+  generateWebhookSigningSecret,
+  generateWebhookToken,
+  getIncomingWebhookUrl,
+} from "./incomingWebhooks";
+
+/**
+ * IncomingWebhookSettings Component
+ *
+ * Shows an incoming_webhook automation's secret URL and, separately, the
+ * signing secret senders sign requests with (each with copy and regenerate),
+ * and edits the example payload used for previews.
+ * Payload fields are available to the action as {{payload.field}}.
+ *
+ * @param {string} token - webhook_token
+ * @param {string} signingSecret - webhook_signing_secret
+ * @param {Object} samplePayload - webhook_sample_payload
+ * @param {Function} onChange - Called with the changed fields
+ * @param {string} error - Validation error to show
+ */
+export default function IncomingWebhookSettings({ token, signingSecret, samplePayload, onChange, error }) {
+  const [copied, setCopied] = useState(null);
+  const [showSecret, setShowSecret] = useState(false);
+  const [payloadText, setPayloadText] = useState(
+    samplePayload ? JSON.stringify(samplePayload, null, 2) : ""
+  );
+  const [payloadError, setPayloadError] = useState(null);
+
+  const url = token ? getIncomingWebhookUrl(token) : "";
+
+  const copy = async (field, value) => {
+    await navigator.clipboard.writeText(value);
+    setCopied(field);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  const handlePayloadChange = (text) => {
+    setPayloadText(text);
+    if (!text.trim()) {
+      setPayloadError(null);
+      onChange({ webhook_sample_payload: undefined });
+      return;
+    }
+    try {
+      const parsed = JSON.parse(text);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("Example payload must be a JSON object");
+      }
+      setPayloadError(null);
+      onChange({ webhook_sample_payload: parsed });
+    } catch (e) {
+      setPayloadError(e instanceof SyntaxError ? "Example payload is not valid JSON" : e.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label>Webhook URL</Label>
+        <div className="flex gap-2">
+          <Input value={url} readOnly className="font-mono text-xs" />
+          <Button type="button" variant="outline" size="icon" onClick={() => copy("url", url)} title="Copy URL">
+            {copied === "url" ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            onClick={() => onChange({ webhook_token: generateWebhookToken() })}
+            title="Regenerate URL (the old one stops working)"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </Button>
+        </div>
+        <p className="text-xs text-slate-500">Keep this URL private.</p>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Signing Secret</Label>
+        <div className="flex gap-2">
+          <Input
+            value={signingSecret || ""}
+            type={showSecret ? "text" : "password"}
+            readOnly
+            className="font-mono text-xs"
+          />
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            onClick={() => setShowSecret(!showSecret)}
+            title={showSecret ? "Hide secret" : "Show secret"}
+          >
+            {showSecret ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            onClick={() => copy("secret", signingSecret)}
+            disabled={!signingSecret}
+            title="Copy secret"
+          >
+            {copied === "secret" ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            onClick={() => onChange({ webhook_signing_secret: generateWebhookSigningSecret() })}
+            title="Regenerate secret (requests signed with the old one are rejected)"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </Button>
+        </div>
+        {!signingSecret && (
+          <p className="text-xs text-red-600">
+            Generate a signing secret; requests are rejected until this webhook has one.
+          </p>
+        )}
+        <p className="text-xs text-slate-500">
+          Give the secret to the sending system only; it isn't part of the URL. Requests must be
+          signed with it: X-Timora-Signature: sha256=HMAC(secret, "timestamp.body"), plus
+          X-Timora-Timestamp and a unique X-Timora-Delivery header.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="sample_payload">Example Payload (JSON)</Label>
+        <Textarea
+          id="sample_payload"
+          value={payloadText}
+          onChange={(e) => handlePayloadChange(e.target.value)}
+          placeholder={'{\n  "title": "Deploy finished",\n  "priority": "high"\n}'}
+          rows={5}
+          className="font-mono text-xs"
+        />
+        <p className="text-xs text-slate-500">
+          Used for the preview. Use fields in the action as {"{{payload.title}}"}.
+        </p>
+        {(payloadError || error) && (
+          <p className="text-xs text-red-600">{payloadError || error}</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -19,6 +19,9 @@ import { Button } from "@/components/ui/button";
 import InstallPrompt from "./components/InstallPrompt";
 import OfflineIndicator from "./components/OfflineIndicator";
 import ErrorBoundary from "./components/ErrorBoundary";
+import RecurrenceScheduler from "./components/RecurrenceScheduler";
+import AutomationScheduler from "./components/AutomationScheduler";
+import OverdueDetector from "./components/OverdueDetector";
 
 const navItems = [
   { name: "Dashboard", path: "Dashboard", icon: LayoutDashboard },
@@ -112,6 +115,11 @@ export default function Layout({ children }) {
         {/* Install Prompt */}
         <InstallPrompt />
 
+        {/* Background Jobs */}
+        <RecurrenceScheduler />
+        <AutomationScheduler />
+        <OverdueDetector />
+
         {/* Desktop Sidebar */}
         <aside className="hidden md:fixed md:inset-y-0 md:flex md:w-64 md:flex-col">
           <div className="flex flex-col flex-grow pt-8 pb-4 overflow-y-auto bg-white/80 backdrop-blur-xl border-r border-slate-200">
@@ -1,10 +1,13 @@
-import React from "react";
+import React, { useState } from "react";
 import { motion } from "framer-motion";
 import { Card } from "@/components/ui/card";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Badge } from "@/components/ui/badge";
-import { Flag, Calendar as CalendarIcon, Clock, MoreVertical } from "lucide-react";
-import { format, isToday, isTomorrow, isPast } from "date-fns";
+import { Flag, Calendar as CalendarIcon, Clock, MoreVertical, ListChecks } from "lucide-react";
+import { format, isToday, isTomorrow, parseISO } from "date-fns";
+import { isDueDatePast, isTaskOverdue } from "./overdueDetection";
+import { getSubtaskProgress } from "./subtasks";
+import SubtaskChecklist from "./SubtaskChecklist";
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -21,6 +24,8 @@ import { Button } from "@/components/ui/button";
  * - Swipe gestures for quick actions
  * - Haptic feedback on interactions
  * - Compact but readable layout
+ * - Checklist progress ("3/5") that expands inline to tick items off
+ *   (pass useTaskChecklist's updateChecklist as onSubtasksChange)
  * 
  * Future AI Integration Points:
  * - Smart priority suggestions based on due date
@@ -31,10 +36,18 @@ import { Button } from "@/components/ui/button";
 export default function MobileOptimizedTaskCard({ 
   task, 
   onToggle, 
+  onSubtasksChange,
   onEdit, 
   onDelete,
   index = 0 
 }) {
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const subtaskProgress = getSubtaskProgress(task);
+  const progressColor =
+    subtaskProgress.total > 0 && subtaskProgress.completed === subtaskProgress.total
+      ? "text-green-600 bg-green-50"
+      : "text-slate-600";
+
   const priorityColors = {
     low: "text-slate-400",
     medium: "text-amber-500",
@@ -43,18 +56,17 @@ export default function MobileOptimizedTaskCard({
 
   const getDueDateLabel = () => {
     if (!task.due_date) return null;
-    const date = new Date(task.due_date);
+    const date = parseISO(task.due_date);
     if (isToday(date)) return "Today";
     if (isTomorrow(date)) return "Tomorrow";
-    if (isPast(date)) return "Overdue";
+    if (isDueDatePast(task.due_date)) return "Overdue";
     return format(date, "MMM d");
   };
 
   const dueDateColor = () => {
     if (!task.due_date) return "";
-    const date = new Date(task.due_date);
-    if (isPast(date) && task.status !== "completed") return "text-red-500 bg-red-50";
-    if (isToday(date)) return "text-amber-600 bg-amber-50";
+    if (isTaskOverdue(task)) return "text-red-500 bg-red-50";
+    if (isToday(parseISO(task.due_date))) return "text-amber-600 bg-amber-50";
     return "text-slate-600 bg-slate-50";
   };
 
@@ -122,7 +134,41 @@ export default function MobileOptimizedTaskCard({
               <Badge variant="outline" className="text-xs text-slate-500 capitalize">
                 {task.category}
               </Badge>
+
+              {subtaskProgress.total > 0 && !onSubtasksChange && (
+                <Badge variant="outline" className={`text-xs ${progressColor}`}>
+                  <ListChecks className="h-3 w-3 mr-1" />
+                  {subtaskProgress.completed}/{subtaskProgress.total}
+                </Badge>
+              )}
+
+              {onSubtasksChange && (
+                <button
+                  type="button"
+                  className="min-h-11 px-1 -my-3"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowSubtasks(!showSubtasks);
+                  }}
+                  title={showSubtasks ? "Hide checklist" : "Show checklist"}
+                >
+                  <Badge variant="outline" className={`text-xs ${progressColor}`}>
+                    <ListChecks className="h-3 w-3 mr-1" />
+                    {subtaskProgress.total > 0
+                      ? `${subtaskProgress.completed}/${subtaskProgress.total}`
+                      : "Checklist"}
+                  </Badge>
+                </button>
+              )}
             </div>
+
+            {onSubtasksChange && showSubtasks && (
+              <SubtaskChecklist
+                task={task}
+                onChange={(update) => onSubtasksChange(task, update)}
+                large
+              />
+            )}
           </div>
 
           {/* Mobile-friendly dropdown menu */}
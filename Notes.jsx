@@ -8,10 +8,12 @@ import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import QuickAddBar from "../components/QuickAddBar";
+import { useTaskAutomations } from "../components/useTaskAutomations";
 
 export default function Notes() {
   const [searchQuery, setSearchQuery] = useState("");
   const queryClient = useQueryClient();
+  const { notifyNoteCreated, notifyNoteUpdated } = useTaskAutomations();
 
   const { data: notes = [] } = useQuery({
     queryKey: ["notes"],
@@ -20,15 +22,17 @@ export default function Notes() {
 
   const createNoteMutation = useMutation({
     mutationFn: (noteData) => base44.entities.Note.create(noteData),
-    onSuccess: () => {
+    onSuccess: (note) => {
       queryClient.invalidateQueries({ queryKey: ["notes"] });
+      notifyNoteCreated(note);
     },
   });
 
   const updateNoteMutation = useMutation({
     mutationFn: ({ id, data }) => base44.entities.Note.update(id, data),
-    onSuccess: () => {
+    onSuccess: (note, { id, data, previous }) => {
       queryClient.invalidateQueries({ queryKey: ["notes"] });
+      notifyNoteUpdated(previous, { ...previous, ...data, ...note, id });
     },
   });
 
@@ -47,6 +51,7 @@ export default function Notes() {
     updateNoteMutation.mutate({
       id: note.id,
       data: { ...note, pinned: !note.pinned },
+      previous: note,
     });
   };
 
@@ -0,0 +1,72 @@
+import { useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { base44 } from "@/api/base44Client";
+import { useSubscription } from "./SubscriptionChecker";
+import { detectOverdueTasks } from "./overdueDetection";
+import { runAutomations } from "./automationEngine";
+import { safeAsync } from "./safeAsyncUtils";
+import { getUserTimeZone } from "./timezoneUtils";
+
+// How often to look for tasks that have gone overdue
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * OverdueDetector Component
+ *
+ * Background worker that fires task_overdue automations for tasks that go
+ * overdue (premium only) and then stamps them with overdue_at. Tasks are
+ * only checked while an active task_overdue automation exists and
+ * automations aren't switched off, so nothing is stamped without being
+ * reported; a failed run leaves the task unstamped and it is retried.
+ * "Today" is the user's profile timezone's.
+ * Runs once on load and then every minute.
+ * Renders nothing.
+ */
+export default function OverdueDetector() {
+  const queryClient = useQueryClient();
+  const { isPremium } = useSubscription();
+  const isRunning = useRef(false);
+
+  useEffect(() => {
+    if (!isPremium) return;
+
+    const run = async () => {
+      if (isRunning.current) return;
+      isRunning.current = true;
+
+      const result = await safeAsync(
+        async () => {
+          const automations = await base44.entities.TaskAutomation.filter({ trigger_type: "task_overdue" });
+          if (!automations.some((automation) => automation.is_active !== false)) return null;
+
+          // Global kill switch: leave tasks unstamped so they're reported once it's off
+          const user = await base44.auth.me();
+          if (user?.automations_paused) return null;
+
+          return detectOverdueTasks(new Date(), {
+            onOverdue: (task) => runAutomations({ type: "task_overdue", task }),
+            timeZone: getUserTimeZone(user),
+          });
+        },
+        { errorMessage: "Failed to check for overdue tasks" }
+      );
+
+      const { newlyOverdue = [], cleared = 0 } = result.data || {};
+
+      isRunning.current = false;
+
+      if (newlyOverdue.length + cleared > 0) {
+        queryClient.invalidateQueries({ queryKey: ["tasks"] });
+        queryClient.invalidateQueries({ queryKey: ["notes"] });
+        queryClient.invalidateQueries({ queryKey: ["automations"] });
+        queryClient.invalidateQueries({ queryKey: ["automationRuns"] });
+      }
+    };
+
+    run();
+    const interval = setInterval(run, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isPremium, queryClient]);
+
+  return null;
+}
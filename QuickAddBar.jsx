@@ -29,9 +29,12 @@ export default function QuickAddBar({ onAddTask, onAddNote, compact = false }) {
         due_date: dueDate ? format(dueDate, "yyyy-MM-dd") : undefined,
       });
     } else {
+      // #hashtags in a quick note become its tags
+      const tags = [...new Set([...input.matchAll(/#([\w-]+)/g)].map(([, tag]) => tag.toLowerCase()))];
       onAddNote({
         title: input,
         content: input,
+        ...(tags.length > 0 && { tags }),
       });
     }
 
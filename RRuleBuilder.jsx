@@ -0,0 +1,385 @@
+import React from "react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Repeat, AlertCircle } from "lucide-react";
+import {
+  RRULE_FREQUENCIES,
+  buildRRule,
+  describeRRule,
+  parseRRule,
+  validateRRule,
+} from "./recurrenceRule";
+
+// Monday-first, as shown in the form; values are RRULE weekday indexes (0 = Sunday)
+const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+];
+
+const DAY_SETS = {
+  weekday: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  day: [0, 1, 2, 3, 4, 5, 6],
+};
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+/**
+ * Work out which monthly pattern the builder can show for a rule
+ * @param {Object} rule - Parsed rule
+ * @returns {Object} { mode: "start" | "day" | "position" | "advanced", nth, dayKind }
+ */
+function getMonthlyPattern(rule) {
+  const plainDays = rule.byDay.filter((entry) => entry.nth === 0).map((entry) => entry.weekday);
+
+  if (rule.byDay.length === 0 && rule.bySetPos.length === 0 && rule.byMonthDay.length === 0) {
+    return { mode: "start" };
+  }
+  // Without BYMONTH, yearly days apply to the whole year rather than one month
+  if (rule.freq === "YEARLY" && rule.byMonth.length === 0) return { mode: "advanced" };
+  if (rule.byDay.length === 0 && rule.bySetPos.length === 0) return { mode: "day" };
+  if (rule.byMonthDay.length > 0) return { mode: "advanced" };
+
+  if (rule.byDay.length === 1 && rule.byDay[0].nth !== 0 && rule.bySetPos.length === 0) {
+    return { mode: "position", nth: rule.byDay[0].nth, dayKind: String(rule.byDay[0].weekday) };
+  }
+
+  if (plainDays.length === rule.byDay.length && rule.bySetPos.length === 1) {
+    const dayKind = Object.keys(DAY_SETS).find(
+      (kind) => DAY_SETS[kind].length === plainDays.length && DAY_SETS[kind].every((day) => plainDays.includes(day))
+    );
+    if (dayKind) return { mode: "position", nth: rule.bySetPos[0], dayKind };
+    if (plainDays.length === 1) return { mode: "position", nth: rule.bySetPos[0], dayKind: String(plainDays[0]) };
+  }
+
+  return { mode: "advanced" };
+}
+
+/**
+ * Build the BYDAY/BYSETPOS parts for "the nth <day kind> of the month"
+ * @param {number} nth - 1-5, or -1 for the last
+ * @param {string} dayKind - Weekday index, "weekday", "weekend" or "day"
+ * @returns {Object} { byDay, bySetPos }
+ */
+function buildPosition(nth, dayKind) {
+  if (DAY_SETS[dayKind]) {
+    return { byDay: DAY_SETS[dayKind].map((weekday) => ({ weekday, nth: 0 })), bySetPos: [nth] };
+  }
+  return { byDay: [{ weekday: Number(dayKind), nth }], bySetPos: [] };
+}
+
+/**
+ * RRuleBuilder Component
+ *
+ * Editor for a custom recurrence (RecurringTask.rrule). The visual builder
+ * and the raw RRULE text stay in sync: builder changes rewrite the RRULE,
+ * and a valid typed RRULE is reflected back in the builder. Rules the
+ * builder can't show are still editable as text.
+ *
+ * @param {string} value - RRULE string
+ * @param {Function} onChange - Called with the updated RRULE string
+ * @param {string} startDate - Rule start date (default day of month and month)
+ */
+export default function RRuleBuilder({ value, onChange, startDate }) {
+  const error = validateRRule(value);
+  const rule = error ? null : parseRRule(value);
+  const start = startDate ? new Date(`${startDate}T00:00:00`) : new Date();
+
+  const update = (changes) => {
+    const next = { ...rule, ...changes };
+    // The builder's yearly patterns are within one month, so pin it with BYMONTH
+    if (
+      next.freq === "YEARLY" &&
+      next.byMonth.length === 0 &&
+      next.byDay.length + next.byMonthDay.length + next.bySetPos.length > 0
+    ) {
+      next.byMonth = [start.getMonth() + 1];
+    }
+    onChange(buildRRule(next));
+  };
+
+  const monthly = rule && ["MONTHLY", "YEARLY"].includes(rule.freq) ? getMonthlyPattern(rule) : null;
+  const plainDays = rule ? rule.byDay.filter((entry) => entry.nth === 0).map((entry) => entry.weekday) : [];
+  const unit = rule ? RRULE_FREQUENCIES.find((option) => option.value === rule.freq).unit : "";
+  const ends = rule?.count ? "count" : rule?.until ? "until" : "never";
+
+  const toggleWeekday = (weekday) => {
+    const days = plainDays.includes(weekday)
+      ? plainDays.filter((day) => day !== weekday)
+      : [...plainDays, weekday];
+    update({ byDay: days.map((day) => ({ weekday: day, nth: 0 })) });
+  };
+
+  return (
+    <div className="space-y-4 p-4 bg-slate-50 rounded-lg">
+      {rule && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="rrule_freq">Frequency</Label>
+              <Select
+                value={rule.freq}
+                onValueChange={(freq) =>
+                  update({ freq, byDay: [], byMonthDay: [], bySetPos: [], byMonth: [] })
+                }
+              >
+                <SelectTrigger id="rrule_freq">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {RRULE_FREQUENCIES.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="rrule_interval">Repeat Every</Label>
+              <div className="flex items-center gap-2">
+                <Input
+                  id="rrule_interval"
+                  type="number"
+                  min="1"
+                  className="w-24"
+                  value={rule.interval}
+                  onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value) || 1) })}
+                />
+                <span className="text-sm text-slate-600">
+                  {unit}{rule.interval === 1 ? "" : "s"}
+                </span>
+              </div>
+            </div>
+          </div>
+
+          {["DAILY", "WEEKLY"].includes(rule.freq) && (
+            <div className="space-y-2">
+              <Label>{rule.freq === "DAILY" ? "Only On" : "On"}</Label>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_OPTIONS.map((day) => (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(day.value)}
+                    className={`px-4 py-2 rounded-lg border transition-colors ${
+                      plainDays.includes(day.value)
+                        ? "bg-indigo-100 border-indigo-500 text-indigo-700"
+                        : "border-slate-200 bg-white hover:bg-slate-50"
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+              {plainDays.length === 0 && (
+                <p className="text-xs text-slate-500">
+                  {rule.freq === "DAILY" ? "Every day of the week" : "Same weekday as the start date"}
+                </p>
+              )}
+            </div>
+          )}
+
+          {monthly && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {rule.freq === "YEARLY" && (
+                <div className="space-y-2">
+                  <Label htmlFor="rrule_month">In</Label>
+                  <Select
+                    value={String(rule.byMonth[0] || start.getMonth() + 1)}
+                    onValueChange={(month) => update({ byMonth: [Number(month)] })}
+                    disabled={rule.byMonth.length > 1}
+                  >
+                    <SelectTrigger id="rrule_month">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {MONTHS.map((month, index) => (
+                        <SelectItem key={month} value={String(index + 1)}>
+                          {month}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="rrule_pattern">On</Label>
+                <Select
+                  value={monthly.mode}
+                  onValueChange={(mode) => {
+                    if (mode === "start") update({ byDay: [], byMonthDay: [], bySetPos: [] });
+                    if (mode === "day") update({ byDay: [], byMonthDay: [start.getDate()], bySetPos: [] });
+                    if (mode === "position") update({ byMonthDay: [], ...buildPosition(1, String(start.getDay())) });
+                  }}
+                >
+                  <SelectTrigger id="rrule_pattern">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="start">The start date's day ({start.getDate()})</SelectItem>
+                    <SelectItem value="day">Specific days of the month</SelectItem>
+                    <SelectItem value="position">A weekday position</SelectItem>
+                    {monthly.mode === "advanced" && (
+                      <SelectItem value="advanced">Custom (edit the RRULE below)</SelectItem>
+                    )}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {monthly.mode === "day" && (
+                <div className="space-y-2">
+                  <Label htmlFor="rrule_monthdays">Days</Label>
+                  <Input
+                    id="rrule_monthdays"
+                    defaultValue={rule.byMonthDay.join(", ")}
+                    key={rule.byMonthDay.join(",")}
+                    onBlur={(e) => {
+                      const days = e.target.value
+                        .split(",")
+                        .map((day) => parseInt(day.trim(), 10))
+                        .filter((day) => day && Math.abs(day) <= 31);
+                      if (days.length > 0) update({ byMonthDay: days });
+                    }}
+                    placeholder="e.g., 1, 15, -1"
+                  />
+                  <p className="text-xs text-slate-500">-1 is the last day of the month</p>
+                </div>
+              )}
+
+              {monthly.mode === "position" && (
+                <div className="space-y-2">
+                  <Label>Which</Label>
+                  <div className="flex gap-2">
+                    <Select
+                      value={String(monthly.nth)}
+                      onValueChange={(nth) => update(buildPosition(Number(nth), monthly.dayKind))}
+                    >
+                      <SelectTrigger className="w-28">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="1">First</SelectItem>
+                        <SelectItem value="2">Second</SelectItem>
+                        <SelectItem value="3">Third</SelectItem>
+                        <SelectItem value="4">Fourth</SelectItem>
+                        <SelectItem value="-1">Last</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <Select
+                      value={monthly.dayKind}
+                      onValueChange={(dayKind) => update(buildPosition(monthly.nth, dayKind))}
+                    >
+                      <SelectTrigger className="flex-1">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {WEEKDAY_OPTIONS.map((day) => (
+                          <SelectItem key={day.value} value={String(day.value)}>
+                            {day.label}
+                          </SelectItem>
+                        ))}
+                        <SelectItem value="weekday">Weekday</SelectItem>
+                        <SelectItem value="weekend">Weekend day</SelectItem>
+                        <SelectItem value="day">Day</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="rrule_ends">Ends</Label>
+              <Select
+                value={ends}
+                onValueChange={(mode) =>
+                  update({
+                    count: mode === "count" ? rule.count || 10 : null,
+                    until: mode === "until" ? rule.until || startDate || null : null,
+                  })
+                }
+              >
+                <SelectTrigger id="rrule_ends">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="never">Never</SelectItem>
+                  <SelectItem value="count">After a number of times</SelectItem>
+                  <SelectItem value="until">On a date</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {ends === "count" && (
+              <div className="space-y-2">
+                <Label htmlFor="rrule_count">Occurrences</Label>
+                <Input
+                  id="rrule_count"
+                  type="number"
+                  min="1"
+                  value={rule.count}
+                  onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value) || 1) })}
+                />
+              </div>
+            )}
+
+            {ends === "until" && (
+              <div className="space-y-2">
+                <Label htmlFor="rrule_until">Last Date</Label>
+                <Input
+                  id="rrule_until"
+                  type="date"
+                  value={rule.until || ""}
+                  onChange={(e) => e.target.value && update({ until: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="rrule_text">RRULE</Label>
+        <Input
+          id="rrule_text"
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="FREQ=MONTHLY;BYDAY=2TU"
+          className="font-mono bg-white"
+        />
+      </div>
+
+      {error ? (
+        <p className="flex items-center gap-1 text-xs text-red-600">
+          <AlertCircle className="w-3 h-3" />
+          {error}
+        </p>
+      ) : (
+        <p className="flex items-center gap-1 text-xs text-slate-500">
+          <Repeat className="w-3 h-3" />
+          {describeRRule(rule)}
+        </p>
+      )}
+    </div>
+  );
+}
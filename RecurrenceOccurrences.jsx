@@ -0,0 +1,176 @@
+import React, { useState } from "react";
+import { addDays, format, parseISO, startOfDay } from "date-fns";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { SkipForward, CalendarClock, Undo2, Check } from "lucide-react";
+import {
+  applyRecurrenceTime,
+  getOccurrenceSchedule,
+  getRemainingOccurrences,
+  setOccurrenceException,
+} from "./recurrenceEngine";
+import { toZonedWallClock } from "./timezoneUtils";
+
+// How far ahead the list looks for occurrences
+const LIST_SEARCH_DAYS = 366;
+
+/**
+ * RecurrenceOccurrences Component
+ *
+ * Upcoming occurrences of a recurring rule, where single dates can be
+ * skipped or moved to another day and exceptions restored. Occurrences
+ * that already have a task are read-only; edit the task instead. Dates a
+ * business-days rule skips or shifts for a weekend or holiday are marked,
+ * and the list stops at the rule's occurrence limit.
+ *
+ * @param {Object} rule - RecurringTask record
+ * @param {Array} tasks - Task records (to spot occurrences already generated)
+ * @param {Set<string>} holidayDates - Holiday calendar dates
+ * @param {string} timeZone - IANA timezone the rule's dates are in
+ * @param {Function} onChange - Called with the updated exceptions array
+ * @param {boolean} isSaving - Disables the actions while a change is saved
+ * @param {number} count - How many occurrences to list
+ */
+export default function RecurrenceOccurrences({
+  rule,
+  tasks = [],
+  holidayDates,
+  timeZone,
+  onChange,
+  isSaving,
+  count = 10,
+}) {
+  const [movingDate, setMovingDate] = useState(null);
+  const [moveTo, setMoveTo] = useState("");
+
+  const generatedDates = new Set(
+    tasks.filter((task) => task.recurring_task_id === rule.id).map((task) => task.occurrence_date)
+  );
+
+  const today = startOfDay(timeZone ? toZonedWallClock(new Date(), timeZone) : new Date());
+  const startOfToday = applyRecurrenceTime(today, "00:00", timeZone);
+  let remaining = getRemainingOccurrences(rule);
+  const occurrences = getOccurrenceSchedule(rule, {
+    after: new Date(startOfToday.getTime() - 1),
+    until: addDays(today, LIST_SEARCH_DAYS),
+    holidayDates,
+    timeZone,
+  })
+    .filter((entry) => {
+      // Only occurrences still to be generated count toward the limit
+      if (remaining === null || generatedDates.has(entry.date)) return true;
+      if (remaining === 0) return false;
+      if (entry.occursAt) remaining--;
+      return true;
+    })
+    .slice(0, count);
+
+  const update = (date, exception) => {
+    onChange(setOccurrenceException(rule, date, exception));
+    setMovingDate(null);
+    setMoveTo("");
+  };
+
+  const formatDay = (date) => format(parseISO(date), "EEE, MMM d, yyyy");
+  const formatOccursAt = (occursAt) =>
+    format(timeZone ? toZonedWallClock(occursAt, timeZone) : occursAt, "EEE, MMM d");
+
+  if (occurrences.length === 0) {
+    return <p className="text-sm text-slate-500">No upcoming occurrences</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {occurrences.map(({ date, occursAt, exception, nonWorkday }) => {
+        const generated = generatedDates.has(date);
+
+        return (
+          <div
+            key={date}
+            className="flex flex-wrap items-center gap-3 px-3 py-2 rounded-lg bg-slate-50 text-sm"
+          >
+            <span className={`min-w-36 ${occursAt ? "text-slate-900" : "line-through text-slate-400"}`}>
+              {formatDay(date)}
+            </span>
+
+            {exception?.action === "skip" && <Badge variant="outline">Skipped</Badge>}
+            {nonWorkday && (
+              <Badge variant="outline" className="text-slate-500">
+                {occursAt ? `Non-working day, moved to ${formatOccursAt(occursAt)}` : "Non-working day"}
+              </Badge>
+            )}
+            {exception?.action === "move" && (
+              <Badge className="bg-indigo-100 text-indigo-700 hover:bg-indigo-200">
+                Moved to {formatOccursAt(occursAt)}
+              </Badge>
+            )}
+            {generated && (
+              <Badge className="bg-green-100 text-green-700 hover:bg-green-200">
+                <Check className="w-3 h-3 mr-1" />
+                Task created
+              </Badge>
+            )}
+
+            <div className="flex items-center gap-2 ml-auto">
+              {generated ? null : exception ? (
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => update(date, null)}
+                  disabled={isSaving}
+                >
+                  <Undo2 className="w-4 h-4 mr-1" />
+                  Restore
+                </Button>
+              ) : movingDate === date ? (
+                <>
+                  <Input
+                    type="date"
+                    value={moveTo}
+                    onChange={(e) => setMoveTo(e.target.value)}
+                    className="h-8 w-40"
+                  />
+                  <Button
+                    size="sm"
+                    onClick={() => update(date, { action: "move", moved_to: moveTo })}
+                    disabled={isSaving || !moveTo || moveTo === date}
+                  >
+                    Move
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => setMovingDate(null)}>
+                    Cancel
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => update(date, { action: "skip" })}
+                    disabled={isSaving}
+                  >
+                    <SkipForward className="w-4 h-4 mr-1" />
+                    Skip
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => {
+                      setMovingDate(date);
+                      setMoveTo(date);
+                    }}
+                    disabled={isSaving}
+                  >
+                    <CalendarClock className="w-4 h-4 mr-1" />
+                    Reschedule
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from "react";
+import { format, parseISO } from "date-fns";
+import { CalendarClock, AlertCircle } from "lucide-react";
+import { describeRecurrence, getUpcomingOccurrences } from "./recurrenceEngine";
+import { toZonedWallClock } from "./timezoneUtils";
+
+/**
+ * RecurrencePreview Component
+ *
+ * Live list of the next dates a recurring rule will generate tasks for,
+ * from its start date, end date, pattern and time of day. Shows the
+ * validation problem instead when the rule can't be previewed, and how
+ * completion-relative rules schedule themselves (their dates depend on
+ * when tasks get done).
+ *
+ * @param {Object} rule - Recurring rule being edited
+ * @param {string} error - Validation error that blocks the preview
+ * @param {number} count - How many occurrences to list
+ * @param {Set<string>} holidayDates - Holiday calendar dates for business-days rules
+ * @param {string} timeZone - IANA timezone the rule's times are in (shown in it)
+ */
+export default function RecurrencePreview({ rule, error, count = 10, holidayDates, timeZone }) {
+  const completionRelative = rule.recurrence_type === "after_completion";
+  const occurrences = error || completionRelative
+    ? []
+    : getUpcomingOccurrences(rule, { count, holidayDates, timeZone });
+
+  return (
+    <div className="space-y-2 p-4 bg-white border border-slate-200 rounded-lg">
+      <div className="flex items-center gap-2">
+        <CalendarClock className="w-4 h-4 text-indigo-600" />
+        <h4 className="font-medium text-slate-900 text-sm">Next Occurrences</h4>
+        {!error && (
+          <span className="text-xs text-slate-400">
+            {describeRecurrence(rule)}
+            {timeZone && ` (${timeZone})`}
+          </span>
+        )}
+      </div>
+
+      {error ? (
+        <p className="flex items-center gap-1 text-xs text-red-600">
+          <AlertCircle className="w-3 h-3" />
+          {error}
+        </p>
+      ) : completionRelative ? (
+        <p className="text-sm text-slate-700">
+          The first task is due on the start date
+          {rule.start_date && <> ({format(parseISO(rule.start_date), "EEE, MMM d, yyyy")})</>}. Each
+          next one is created when the previous one is completed, due{" "}
+          {describeRecurrence(rule)}.
+        </p>
+      ) : occurrences.length === 0 ? (
+        <p className="text-xs text-slate-500">No more occurrences; this rule has ended</p>
+      ) : (
+        <ol className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-sm text-slate-700">
+          {occurrences.map((occursAt, index) => (
+            <li key={occursAt.getTime()} className="flex gap-2">
+              <span className="text-slate-400 w-5 text-right">{index + 1}.</span>
+              {format(
+                timeZone ? toZonedWallClock(occursAt, timeZone) : occursAt,
+                "EEE, MMM d, yyyy 'at' HH:mm"
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
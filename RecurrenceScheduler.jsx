@@ -0,0 +1,47 @@
+import { useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { useSubscription } from "./SubscriptionChecker";
+import { generateRecurringTasks } from "./recurrenceEngine";
+import { safeAsync } from "./safeAsyncUtils";
+
+// How often to check recurring rules for due occurrences
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * RecurrenceScheduler Component
+ *
+ * Background worker that turns recurring rules into tasks.
+ * Runs once on load (catching up on missed occurrences) and then every minute.
+ * Renders nothing.
+ */
+export default function RecurrenceScheduler() {
+  const queryClient = useQueryClient();
+  const { isPremium } = useSubscription();
+  const isRunning = useRef(false);
+
+  useEffect(() => {
+    if (!isPremium) return;
+
+    const run = async () => {
+      if (isRunning.current) return;
+      isRunning.current = true;
+
+      const result = await safeAsync(() => generateRecurringTasks(), {
+        errorMessage: "Failed to generate recurring tasks",
+      });
+
+      isRunning.current = false;
+
+      if (result.success && result.data.created > 0) {
+        queryClient.invalidateQueries({ queryKey: ["tasks"] });
+        queryClient.invalidateQueries({ queryKey: ["recurringTasks"] });
+      }
+    };
+
+    run();
+    const interval = setInterval(run, CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isPremium, queryClient]);
+
+  return null;
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { getRecurrenceStats } from "./recurrenceStats";
+
+/**
+ * Format a completion delay
+ * @param {number} minutes - Delay against the due time (negative is early)
+ * @returns {string} e.g. "2h 5m late", "30m early", "On time"
+ */
+function formatDelay(minutes) {
+  const total = Math.abs(minutes);
+  if (total < 1) return "On time";
+
+  const days = Math.floor(total / 1440);
+  const hours = Math.floor((total % 1440) / 60);
+  const mins = Math.round(total % 60);
+  const parts = days > 0
+    ? [`${days}d`, hours > 0 && `${hours}h`]
+    : [hours > 0 && `${hours}h`, mins > 0 && `${mins}m`];
+
+  return `${parts.filter(Boolean).join(" ")} ${minutes > 0 ? "late" : "early"}`;
+}
+
+/**
+ * RecurrenceStats Component
+ *
+ * How well a recurring routine sticks: tasks generated, the share of due
+ * ones completed, how late (or early) they're completed on average and
+ * the current run of completed occurrences.
+ *
+ * @param {Object} rule - RecurringTask record
+ * @param {Array} tasks - Task records
+ * @param {string} timeZone - IANA timezone the rule's times are in
+ */
+export default function RecurrenceStats({ rule, tasks = [], timeZone }) {
+  const stats = getRecurrenceStats(rule, tasks, new Date(), timeZone);
+
+  const items = [
+    { label: "Generated", value: stats.generated },
+    {
+      label: "Completion Rate",
+      value: stats.completionRate === null ? "—" : `${Math.round(stats.completionRate * 100)}%`,
+      hint: stats.completionRate === null ? "Nothing due yet" : `${stats.completed} completed`,
+    },
+    {
+      label: "Average Delay",
+      value: stats.averageDelayMinutes === null ? "—" : formatDelay(stats.averageDelayMinutes),
+      hint: "Against the due time",
+    },
+    {
+      label: "Current Streak",
+      value: stats.streak,
+      hint: stats.streak === 1 ? "occurrence in a row" : "occurrences in a row",
+    },
+  ];
+
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+      {items.map((item) => (
+        <div key={item.label} className="p-3 rounded-lg bg-slate-50">
+          <p className="text-xs text-slate-500">{item.label}</p>
+          <p className="text-lg font-semibold text-slate-900">{item.value}</p>
+          {item.hint && <p className="text-xs text-slate-400">{item.hint}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
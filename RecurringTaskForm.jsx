@@ -1,4 +1,6 @@
 import React, { useState } from "react";
+import { base44 } from "@/api/base44Client";
+import { useQuery } from "@tanstack/react-query";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -13,24 +15,65 @@ import {
 } from "@/components/ui/select";
 import { Checkbox } from "@/components/ui/checkbox";
 import { X } from "lucide-react";
+import RRuleBuilder from "./RRuleBuilder";
+import RecurrencePreview from "./RecurrencePreview";
+import { validateRecurringTask } from "./recurrenceEngine";
+import { getHolidayDates } from "./holidayCalendar";
+import { getUserTimeZone } from "./timezoneUtils";
+
+function FieldError({ message }) {
+  if (!message) return null;
+  return <p className="text-xs text-red-600">{message}</p>;
+}
+
+/**
+ * RRULE matching the old "every N days" custom recurrence
+ * @param {number} interval - recurrence_interval
+ * @returns {string}
+ */
+function intervalToRRule(interval) {
+  return interval > 1 ? `FREQ=DAILY;INTERVAL=${interval}` : "FREQ=DAILY";
+}
 
 export default function RecurringTaskForm({ task, onSubmit, onCancel }) {
-  const [formData, setFormData] = useState(task || {
-    title: "",
-    description: "",
-    priority: "medium",
-    category: "daily",
-    recurrence_type: "daily",
-    recurrence_interval: 1,
-    recurrence_days: [],
-    recurrence_time: "09:00",
-    start_date: new Date().toISOString().split("T")[0],
-    auto_reminder_minutes: 15,
-    is_active: true,
+  const [formData, setFormData] = useState(() => {
+    // Custom rules saved before RRULE support repeated every N days
+    if (task?.recurrence_type === "custom" && !task.rrule) {
+      return { ...task, rrule: intervalToRRule(task.recurrence_interval || 1) };
+    }
+    return task || {
+      title: "",
+      description: "",
+      priority: "medium",
+      category: "daily",
+      recurrence_type: "daily",
+      recurrence_interval: 1,
+      recurrence_days: [],
+      recurrence_time: "09:00",
+      start_date: new Date().toISOString().split("T")[0],
+      auto_reminder_minutes: 15,
+      is_active: true,
+    };
   });
 
+  const { data: holidays = [] } = useQuery({
+    queryKey: ["holidays"],
+    queryFn: () => base44.entities.Holiday.list("date"),
+  });
+
+  const { data: user } = useQuery({
+    queryKey: ["user"],
+    queryFn: () => base44.auth.me(),
+  });
+  const timeZone = getUserTimeZone(user);
+
+  // Checked live so mistakes show up while editing, not after tasks fail to appear
+  const errors = validateRecurringTask(formData);
+  const hasErrors = Object.keys(errors).length > 0;
+
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (hasErrors) return;
     onSubmit(formData);
   };
 
@@ -112,7 +155,14 @@ export default function RecurringTaskForm({ task, onSubmit, onCancel }) {
               <Select
                 value={formData.recurrence_type}
                 onValueChange={(value) =>
-                  setFormData({ ...formData, recurrence_type: value })
+                  setFormData({
+                    ...formData,
+                    recurrence_type: value,
+                    rrule:
+                      value === "custom" && !formData.rrule
+                        ? intervalToRRule(formData.recurrence_interval || 1)
+                        : formData.rrule,
+                  })
                 }
               >
                 <SelectTrigger>
@@ -123,25 +173,36 @@ export default function RecurringTaskForm({ task, onSubmit, onCancel }) {
                   <SelectItem value="weekly">Weekly</SelectItem>
                   <SelectItem value="monthly">Monthly</SelectItem>
                   <SelectItem value="custom">Custom</SelectItem>
+                  <SelectItem value="after_completion">After Completion</SelectItem>
                 </SelectContent>
               </Select>
             </div>
 
-            {formData.recurrence_type !== "weekly" && (
+            {!["weekly", "custom"].includes(formData.recurrence_type) && (
               <div className="space-y-2">
-                <Label htmlFor="interval">Repeat Every</Label>
+                <Label htmlFor="interval">
+                  {formData.recurrence_type === "after_completion"
+                    ? "Days After Completion"
+                    : "Repeat Every"}
+                </Label>
                 <Input
                   id="interval"
                   type="number"
                   min="1"
-                  value={formData.recurrence_interval}
+                  value={formData.recurrence_interval ?? ""}
                   onChange={(e) =>
                     setFormData({
                       ...formData,
-                      recurrence_interval: parseInt(e.target.value),
+                      recurrence_interval: e.target.value === "" ? "" : parseInt(e.target.value),
                     })
                   }
                 />
+                {formData.recurrence_type === "after_completion" && (
+                  <p className="text-xs text-slate-500">
+                    The next task is created once the previous one is completed
+                  </p>
+                )}
+                <FieldError message={errors.recurrence_interval} />
               </div>
             )}
           </div>
@@ -165,32 +226,220 @@ export default function RecurringTaskForm({ task, onSubmit, onCancel }) {
                   </button>
                 ))}
               </div>
+              <FieldError message={errors.recurrence_days} />
+            </div>
+          )}
+
+          {formData.recurrence_type === "monthly" && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="monthly_pattern">On</Label>
+                <Select
+                  value={formData.monthly_pattern || "day_of_month"}
+                  onValueChange={(value) =>
+                    setFormData({
+                      ...formData,
+                      monthly_pattern: value,
+                      ...(value === "nth_weekday" && {
+                        monthly_week: formData.monthly_week || 1,
+                        monthly_weekday: formData.monthly_weekday || "Mon",
+                      }),
+                    })
+                  }
+                >
+                  <SelectTrigger id="monthly_pattern">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="day_of_month">Day of the month</SelectItem>
+                    <SelectItem value="nth_weekday">Weekday of the month</SelectItem>
+                    <SelectItem value="last_day">Last day of the month</SelectItem>
+                    <SelectItem value="last_weekday">Last weekday of the month</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {(formData.monthly_pattern || "day_of_month") === "day_of_month" && (
+                <div className="space-y-2">
+                  <Label htmlFor="monthly_day">Day</Label>
+                  <Input
+                    id="monthly_day"
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={formData.monthly_day ?? ""}
+                    placeholder={formData.start_date ? String(parseInt(formData.start_date.split("-")[2])) : ""}
+                    onChange={(e) =>
+                      setFormData({
+                        ...formData,
+                        monthly_day: e.target.value === "" ? null : parseInt(e.target.value),
+                      })
+                    }
+                  />
+                  {formData.monthly_day > 28 && (
+                    <p className="text-xs text-slate-500">
+                      Falls on the last day in months without a {formData.monthly_day}
+                    </p>
+                  )}
+                  <FieldError message={errors.monthly_day} />
+                </div>
+              )}
+
+              {formData.monthly_pattern === "nth_weekday" && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="space-y-2">
+                    <Label htmlFor="monthly_week">Week</Label>
+                    <Select
+                      value={String(formData.monthly_week || 1)}
+                      onValueChange={(value) =>
+                        setFormData({ ...formData, monthly_week: parseInt(value) })
+                      }
+                    >
+                      <SelectTrigger id="monthly_week">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="1">First</SelectItem>
+                        <SelectItem value="2">Second</SelectItem>
+                        <SelectItem value="3">Third</SelectItem>
+                        <SelectItem value="4">Fourth</SelectItem>
+                        <SelectItem value="-1">Last</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="monthly_weekday">Day</Label>
+                    <Select
+                      value={formData.monthly_weekday || "Mon"}
+                      onValueChange={(value) => setFormData({ ...formData, monthly_weekday: value })}
+                    >
+                      <SelectTrigger id="monthly_weekday">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {weekDays.map((day) => (
+                          <SelectItem key={day} value={day}>{day}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <FieldError message={errors.monthly_weekday} />
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
+          {formData.recurrence_type === "custom" && (
+            <RRuleBuilder
+              value={formData.rrule}
+              onChange={(rrule) => setFormData({ ...formData, rrule })}
+              startDate={formData.start_date}
+            />
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="business_days_only"
+                  checked={!!formData.business_days_only}
+                  onCheckedChange={(checked) =>
+                    setFormData({ ...formData, business_days_only: checked === true })
+                  }
+                />
+                <Label htmlFor="business_days_only">Business days only</Label>
+              </div>
+              {formData.business_days_only && (
+                <p className="text-xs text-slate-500">
+                  Weekends and days in your holiday calendar are non-working days
+                </p>
+              )}
+            </div>
+
+            {formData.business_days_only && formData.recurrence_type !== "after_completion" && (
+              <div className="space-y-2">
+                <Label htmlFor="non_workday_action">On a Weekend or Holiday</Label>
+                <Select
+                  value={formData.non_workday_action || "skip"}
+                  onValueChange={(value) => setFormData({ ...formData, non_workday_action: value })}
+                >
+                  <SelectTrigger id="non_workday_action">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="skip">Skip the occurrence</SelectItem>
+                    <SelectItem value="shift">Move to the next workday</SelectItem>
+                  </SelectContent>
+                </Select>
+                <FieldError message={errors.non_workday_action} />
+              </div>
+            )}
+          </div>
+
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="space-y-2">
-              <Label htmlFor="time">Time of Day</Label>
+              <Label htmlFor="start_date">Start Date</Label>
               <Input
-                id="time"
-                type="time"
-                value={formData.recurrence_time}
+                id="start_date"
+                type="date"
+                value={formData.start_date}
                 onChange={(e) =>
-                  setFormData({ ...formData, recurrence_time: e.target.value })
+                  setFormData({ ...formData, start_date: e.target.value })
                 }
               />
+              <FieldError message={errors.start_date} />
             </div>
 
             <div className="space-y-2">
-              <Label htmlFor="start_date">Start Date</Label>
+              <Label htmlFor="end_date">End Date (optional)</Label>
               <Input
-                id="start_date"
+                id="end_date"
                 type="date"
-                value={formData.start_date}
+                value={formData.end_date || ""}
                 onChange={(e) =>
-                  setFormData({ ...formData, start_date: e.target.value })
+                  setFormData({ ...formData, end_date: e.target.value || null })
                 }
               />
+              <FieldError message={errors.end_date} />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="max_occurrences">End After (optional)</Label>
+              <Input
+                id="max_occurrences"
+                type="number"
+                min="1"
+                value={formData.max_occurrences ?? ""}
+                placeholder="Occurrences"
+                onChange={(e) =>
+                  setFormData({
+                    ...formData,
+                    max_occurrences: e.target.value === "" ? null : parseInt(e.target.value),
+                  })
+                }
+              />
+              {formData.occurrence_count > 0 && (
+                <p className="text-xs text-slate-500">
+                  {formData.occurrence_count} generated so far
+                </p>
+              )}
+              <FieldError message={errors.max_occurrences} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="time">Time of Day</Label>
+              <Input
+                id="time"
+                type="time"
+                value={formData.recurrence_time}
+                onChange={(e) =>
+                  setFormData({ ...formData, recurrence_time: e.target.value })
+                }
+              />
+              <p className="text-xs text-slate-500">In your profile timezone ({timeZone})</p>
+              <FieldError message={errors.recurrence_time} />
             </div>
 
             <div className="space-y-2">
@@ -207,9 +456,21 @@ export default function RecurringTaskForm({ task, onSubmit, onCancel }) {
                   })
                 }
               />
+              <FieldError message={errors.auto_reminder_minutes} />
             </div>
           </div>
 
+          <RecurrencePreview
+            rule={formData}
+            holidayDates={getHolidayDates(holidays)}
+            timeZone={timeZone}
+            error={
+              hasErrors
+                ? errors.pattern || "Fix the highlighted fields to see upcoming dates"
+                : null
+            }
+          />
+
           <div className="space-y-2">
             <Label htmlFor="category">Category</Label>
             <Select
@@ -234,6 +495,7 @@ export default function RecurringTaskForm({ task, onSubmit, onCancel }) {
             </Button>
             <Button
               type="submit"
+              disabled={hasErrors}
               className="bg-gradient-to-r from-indigo-600 to-purple-600"
             >
               {task ? "Update" : "Create"} Recurring Task
@@ -2,17 +2,36 @@ import React, { useState } from "react";
 import { base44 } from "@/api/base44Client";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { motion } from "framer-motion";
-import { Plus, Repeat, Trash2, Edit, Power, PowerOff } from "lucide-react";
+import {
+  Plus,
+  Repeat,
+  Trash2,
+  Edit,
+  Power,
+  PowerOff,
+  CalendarDays,
+  CalendarOff,
+  BarChart3,
+} from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import PremiumGate from "../components/PremiumGate";
 import { useSubscription } from "../components/SubscriptionChecker";
 import RecurringTaskForm from "../components/RecurringTaskForm";
+import RecurrenceOccurrences from "../components/RecurrenceOccurrences";
+import HolidayCalendar from "../components/HolidayCalendar";
+import RecurrenceStats from "../components/RecurrenceStats";
+import { describeRecurrence, getRemainingOccurrences } from "../components/recurrenceEngine";
+import { getHolidayDates } from "../components/holidayCalendar";
+import { getUserTimeZone } from "../components/timezoneUtils";
 
 export default function RecurringTasks() {
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [occurrencesFor, setOccurrencesFor] = useState(null);
+  const [showHolidays, setShowHolidays] = useState(false);
+  const [statsFor, setStatsFor] = useState(null);
   const queryClient = useQueryClient();
   const { isPremium } = useSubscription();
 
@@ -22,6 +41,25 @@ export default function RecurringTasks() {
     enabled: isPremium,
   });
 
+  const { data: tasks = [] } = useQuery({
+    queryKey: ["tasks"],
+    queryFn: () => base44.entities.Task.list("-created_date"),
+    enabled: isPremium && (!!occurrencesFor || !!statsFor),
+  });
+
+  const { data: user } = useQuery({
+    queryKey: ["user"],
+    queryFn: () => base44.auth.me(),
+    enabled: isPremium,
+  });
+  const timeZone = getUserTimeZone(user);
+
+  const { data: holidays = [] } = useQuery({
+    queryKey: ["holidays"],
+    queryFn: () => base44.entities.Holiday.list("date"),
+    enabled: isPremium && !!occurrencesFor,
+  });
+
   const createRecurringMutation = useMutation({
     mutationFn: (data) => base44.entities.RecurringTask.create(data),
     onSuccess: () => {
@@ -52,22 +90,6 @@ export default function RecurringTasks() {
     });
   };
 
-  const getRecurrenceLabel = (task) => {
-    if (task.recurrence_type === "daily") {
-      return task.recurrence_interval === 1 
-        ? "Daily" 
-        : `Every ${task.recurrence_interval} days`;
-    }
-    if (task.recurrence_type === "weekly") {
-      const days = task.recurrence_days?.join(", ") || "Weekly";
-      return `Weekly on ${days}`;
-    }
-    if (task.recurrence_type === "monthly") {
-      return `Every ${task.recurrence_interval || 1} month(s)`;
-    }
-    return "Custom";
-  };
-
   const recurringTasksContent = (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-white to-slate-50">
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8 md:py-12">
@@ -83,16 +105,36 @@ export default function RecurringTasks() {
               </h1>
               <p className="text-slate-500">Automate your routine with smart schedules</p>
             </div>
-            <Button
-              onClick={() => setShowForm(true)}
-              className="bg-gradient-to-r from-indigo-600 to-purple-600"
-            >
-              <Plus className="w-4 h-4 mr-2" />
-              New Recurring Task
-            </Button>
+            <div className="flex items-center gap-3">
+              <Button variant="outline" onClick={() => setShowHolidays(!showHolidays)}>
+                <CalendarOff className="w-4 h-4 mr-2" />
+                Holidays
+              </Button>
+              <Button
+                onClick={() => setShowForm(true)}
+                className="bg-gradient-to-r from-indigo-600 to-purple-600"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                New Recurring Task
+              </Button>
+            </div>
           </div>
         </motion.div>
 
+        {showHolidays && (
+          <Card className="mb-6 border-slate-200">
+            <CardHeader>
+              <CardTitle>Holiday Calendar</CardTitle>
+              <p className="text-sm text-slate-500">
+                Rules set to business days only skip these dates and weekends, or move to the next workday
+              </p>
+            </CardHeader>
+            <CardContent>
+              <HolidayCalendar />
+            </CardContent>
+          </Card>
+        )}
+
         {showForm && (
           <RecurringTaskForm
             task={editingTask}
@@ -139,13 +181,18 @@ export default function RecurringTasks() {
                           </h3>
                           <Badge variant={task.is_active ? "default" : "secondary"}>
                             <Repeat className="w-3 h-3 mr-1" />
-                            {getRecurrenceLabel(task)}
+                            {describeRecurrence(task)}
                           </Badge>
                           {!task.is_active && (
                             <Badge variant="outline" className="text-slate-500">
                               Paused
                             </Badge>
                           )}
+                          {getRemainingOccurrences(task) === 0 && (
+                            <Badge variant="outline" className="text-slate-500">
+                              Ended
+                            </Badge>
+                          )}
                         </div>
 
                         {task.description && (
@@ -168,10 +215,49 @@ export default function RecurringTasks() {
                               <span>Reminder: {task.auto_reminder_minutes}m before</span>
                             </>
                           )}
+                          {task.max_occurrences && (
+                            <>
+                              <span>•</span>
+                              <span>
+                                Occurrences: {task.occurrence_count || 0} of {task.max_occurrences}
+                              </span>
+                            </>
+                          )}
+                          {task.last_generated && (
+                            <>
+                              <span>•</span>
+                              <span>
+                                Last generated: {new Date(task.last_generated).toLocaleDateString()}
+                              </span>
+                            </>
+                          )}
                         </div>
                       </div>
 
                       <div className="flex items-center gap-2">
+                        {/* Completion-relative rules have no calendar dates to skip or move */}
+                        {task.recurrence_type !== "after_completion" && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => setOccurrencesFor(occurrencesFor === task.id ? null : task.id)}
+                            title="Occurrences"
+                          >
+                            <CalendarDays
+                              className={`w-4 h-4 ${occurrencesFor === task.id ? "text-indigo-600" : ""}`}
+                            />
+                          </Button>
+                        )}
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          onClick={() => setStatsFor(statsFor === task.id ? null : task.id)}
+                          title="Stats"
+                        >
+                          <BarChart3
+                            className={`w-4 h-4 ${statsFor === task.id ? "text-indigo-600" : ""}`}
+                          />
+                        </Button>
                         <Button
                           variant="ghost"
                           size="icon"
@@ -203,6 +289,29 @@ export default function RecurringTasks() {
                         </Button>
                       </div>
                     </div>
+
+                    {statsFor === task.id && (
+                      <div className="mt-4 pt-4 border-t border-slate-100 space-y-2">
+                        <h4 className="text-sm font-medium text-slate-900">Stats</h4>
+                        <RecurrenceStats rule={task} tasks={tasks} timeZone={timeZone} />
+                      </div>
+                    )}
+
+                    {occurrencesFor === task.id && (
+                      <div className="mt-4 pt-4 border-t border-slate-100 space-y-2">
+                        <h4 className="text-sm font-medium text-slate-900">Upcoming Occurrences</h4>
+                        <RecurrenceOccurrences
+                          rule={task}
+                          tasks={tasks}
+                          holidayDates={getHolidayDates(holidays)}
+                          timeZone={timeZone}
+                          onChange={(exceptions) =>
+                            updateRecurringMutation.mutate({ id: task.id, data: { exceptions } })
+                          }
+                          isSaving={updateRecurringMutation.isPending}
+                        />
+                      </div>
+                    )}
                   </CardContent>
                 </Card>
               </motion.div>
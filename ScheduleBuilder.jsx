@@ -0,0 +1,199 @@
+import React from "react";
+import { useQuery } from "@tanstack/react-query";
+import { base44 } from "@/api/base44Client";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Clock, AlertCircle } from "lucide-react";
+import {
+  SCHEDULE_FREQUENCIES,
+  WEEKDAY_LABELS,
+  buildCronExpression,
+  createDefaultSchedule,
+  describeSchedule,
+  getNextCronRuns,
+  validateCron,
+} from "./cronSchedule";
+import { formatInTimeZone, getUserTimeZone } from "./timezoneUtils";
+
+/**
+ * ScheduleBuilder Component
+ *
+ * Editor for trigger_conditions.schedule on time_based automations.
+ * Offers a friendly builder (every weekday at 9:00, first Monday of the
+ * month, ...) or a raw cron expression, and previews upcoming runs in the
+ * user's profile timezone.
+ *
+ * @param {Object} value - Schedule: { cron, builder }
+ * @param {Function} onChange - Called with the updated schedule
+ * @param {string} error - Validation error to show
+ */
+export default function ScheduleBuilder({ value, onChange, error }) {
+  const { data: user } = useQuery({
+    queryKey: ["user"],
+    queryFn: () => base44.auth.me(),
+  });
+
+  const schedule = value || createDefaultSchedule();
+  const builder = schedule.builder;
+  const timeZone = getUserTimeZone(user);
+
+  const cronError = validateCron(schedule.cron);
+  const upcoming = cronError ? [] : getNextCronRuns(schedule.cron, new Date(), timeZone, 3);
+
+  const updateBuilder = (changes) => {
+    const next = { ...builder, ...changes };
+    onChange({ cron: buildCronExpression(next), builder: next });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        <Button
+          type="button"
+          size="sm"
+          variant={builder ? "default" : "outline"}
+          onClick={() => onChange(createDefaultSchedule())}
+        >
+          Simple
+        </Button>
+        <Button
+          type="button"
+          size="sm"
+          variant={builder ? "outline" : "default"}
+          onClick={() => onChange({ cron: schedule.cron, builder: null })}
+        >
+          Cron expression
+        </Button>
+      </div>
+
+      {builder ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label>Repeat</Label>
+            <Select
+              value={builder.frequency}
+              onValueChange={(frequency) => updateBuilder({ frequency })}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SCHEDULE_FREQUENCIES.map((frequency) => (
+                  <SelectItem key={frequency.value} value={frequency.value}>
+                    {frequency.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="space-y-2">
+            <Label>Time</Label>
+            <Input
+              type="time"
+              value={builder.time || "09:00"}
+              onChange={(e) => e.target.value && updateBuilder({ time: e.target.value })}
+            />
+          </div>
+
+          {builder.frequency === "monthly_weekday" && (
+            <div className="space-y-2">
+              <Label>Week of Month</Label>
+              <Select
+                value={String(builder.nth || 1)}
+                onValueChange={(nth) => updateBuilder({ nth: Number(nth) })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="1">First</SelectItem>
+                  <SelectItem value="2">Second</SelectItem>
+                  <SelectItem value="3">Third</SelectItem>
+                  <SelectItem value="4">Fourth</SelectItem>
+                  <SelectItem value="5">Fifth</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {(builder.frequency === "weekly" || builder.frequency === "monthly_weekday") && (
+            <div className="space-y-2">
+              <Label>Day</Label>
+              <Select
+                value={String(builder.weekday ?? 1)}
+                onValueChange={(weekday) => updateBuilder({ weekday: Number(weekday) })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {WEEKDAY_LABELS.map((label, index) => (
+                    <SelectItem key={label} value={String(index)}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {builder.frequency === "monthly_day" && (
+            <div className="space-y-2">
+              <Label>Day of Month</Label>
+              <Input
+                type="number"
+                min="1"
+                max="31"
+                value={builder.day_of_month || 1}
+                onChange={(e) =>
+                  updateBuilder({ day_of_month: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })
+                }
+              />
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <Label>Cron Expression</Label>
+          <Input
+            value={schedule.cron || ""}
+            onChange={(e) => onChange({ cron: e.target.value, builder: null })}
+            placeholder="0 9 * * 1-5"
+            className="font-mono"
+          />
+          <p className="text-xs text-slate-500">
+            minute hour day month weekday — e.g. "0 9 * * MON#1" for the first Monday of each month
+          </p>
+        </div>
+      )}
+
+      {(error || cronError) ? (
+        <p className="flex items-center gap-1 text-xs text-red-600">
+          <AlertCircle className="w-3 h-3" />
+          {error || cronError}
+        </p>
+      ) : (
+        <div className="text-xs text-slate-500 space-y-1">
+          <p className="flex items-center gap-1">
+            <Clock className="w-3 h-3" />
+            {builder ? describeSchedule(builder) : schedule.cron} ({timeZone})
+          </p>
+          {upcoming.length > 0 && (
+            <p>
+              Next runs: {upcoming.map((date) => formatInTimeZone(date, timeZone)).join(" • ")}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { Plus, X } from "lucide-react";
+import {
+  addSubtask,
+  removeSubtask,
+  setAutoCompleteSubtasks,
+  toggleSubtask,
+} from "./subtasks";
+
+/**
+ * SubtaskChecklist Component
+ *
+ * Inline checklist for a task card: tick items off, add and remove them,
+ * and choose whether finishing every item completes the task. Clicks don't
+ * reach the card, so ticking an item doesn't open the task.
+ *
+ * @param {Object} task - Task record
+ * @param {Function} onChange - Called with an updater: (latest task) => Task fields to save
+ * @param {boolean} large - Larger touch targets (mobile cards)
+ */
+export default function SubtaskChecklist({ task, onChange, large = false }) {
+  const [newItem, setNewItem] = useState("");
+  const subtasks = task.subtasks || [];
+  const checkboxSize = large ? "h-6 w-6" : "";
+
+  const handleAdd = () => {
+    if (!newItem.trim()) return;
+    const title = newItem;
+    onChange((latest) => addSubtask(latest, title));
+    setNewItem("");
+  };
+
+  return (
+    <div className="mt-3 space-y-2" onClick={(e) => e.stopPropagation()}>
+      {subtasks.map((subtask) => (
+        <div key={subtask.id} className={`flex items-center gap-2 group ${large ? "min-h-11" : ""}`}>
+          <Checkbox
+            checked={!!subtask.completed}
+            onCheckedChange={(checked) => onChange((latest) => toggleSubtask(latest, subtask.id, checked === true))}
+            className={checkboxSize}
+          />
+          <span
+            className={`flex-1 text-sm ${
+              subtask.completed ? "line-through text-slate-400" : "text-slate-700"
+            }`}
+          >
+            {subtask.title}
+          </span>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            className={large ? "h-10 w-10" : "h-6 w-6 opacity-0 group-hover:opacity-100"}
+            onClick={() => onChange((latest) => removeSubtask(latest, subtask.id))}
+            title="Remove item"
+          >
+            <X className="h-3.5 w-3.5 text-slate-400" />
+          </Button>
+        </div>
+      ))}
+
+      <div className="flex items-center gap-2">
+        <Input
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          placeholder="Add an item..."
+          className={large ? "h-11" : "h-8 text-sm"}
+        />
+        <Button
+          type="button"
+          variant="outline"
+          size="icon"
+          className={large ? "h-11 w-11 flex-shrink-0" : "h-8 w-8 flex-shrink-0"}
+          onClick={handleAdd}
+          disabled={!newItem.trim()}
+        >
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {subtasks.length > 0 && (
+        <label className="flex items-center gap-2 text-xs text-slate-500">
+          <Checkbox
+            checked={!!task.auto_complete_subtasks}
+            onCheckedChange={(checked) => onChange((latest) => setAutoCompleteSubtasks(latest, checked === true))}
+          />
+          Complete the task when every item is done
+        </label>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,18 @@
-import React from "react";
+import React, { useState } from "react";
 import { motion } from "framer-motion";
 import { Card } from "@/components/ui/card";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Badge } from "@/components/ui/badge";
-import { Flag, Calendar as CalendarIcon, Clock } from "lucide-react";
-import { format, isToday, isTomorrow, isPast } from "date-fns";
+import { Flag, Calendar as CalendarIcon, Clock, ListChecks } from "lucide-react";
+import { format, isToday, isTomorrow, parseISO } from "date-fns";
+import { isDueDatePast, isTaskOverdue } from "./overdueDetection";
+import { getSubtaskProgress } from "./subtasks";
+import SubtaskChecklist from "./SubtaskChecklist";
+
+export default function TaskCard({ task, onToggle, onSubtasksChange, onEdit, index = 0 }) {
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  const subtaskProgress = getSubtaskProgress(task);
 
-export default function TaskCard({ task, onToggle, onEdit, index = 0 }) {
   const priorityColors = {
     low: "text-slate-400",
     medium: "text-amber-500",
@@ -15,18 +21,17 @@ export default function TaskCard({ task, onToggle, onEdit, index = 0 }) {
 
   const getDueDateLabel = () => {
     if (!task.due_date) return null;
-    const date = new Date(task.due_date);
+    const date = parseISO(task.due_date);
     if (isToday(date)) return "Today";
     if (isTomorrow(date)) return "Tomorrow";
-    if (isPast(date)) return "Overdue";
+    if (isDueDatePast(task.due_date)) return "Overdue";
     return format(date, "MMM d");
   };
 
   const dueDateColor = () => {
     if (!task.due_date) return "";
-    const date = new Date(task.due_date);
-    if (isPast(date) && task.status !== "completed") return "text-red-500 bg-red-50";
-    if (isToday(date)) return "text-amber-600 bg-amber-50";
+    if (isTaskOverdue(task)) return "text-red-500 bg-red-50";
+    if (isToday(parseISO(task.due_date))) return "text-amber-600 bg-amber-50";
     return "text-slate-600 bg-slate-50";
   };
 
@@ -85,7 +90,36 @@ export default function TaskCard({ task, onToggle, onEdit, index = 0 }) {
               <Badge variant="outline" className="text-xs text-slate-500">
                 {task.category}
               </Badge>
+
+              {(subtaskProgress.total > 0 || onSubtasksChange) && (
+                <Badge
+                  variant="outline"
+                  className={`text-xs ${onSubtasksChange ? "cursor-pointer" : ""} ${
+                    subtaskProgress.total > 0 && subtaskProgress.completed === subtaskProgress.total
+                      ? "text-green-600 bg-green-50"
+                      : "text-slate-600"
+                  }`}
+                  onClick={
+                    onSubtasksChange
+                      ? (e) => {
+                          e.stopPropagation();
+                          setShowSubtasks(!showSubtasks);
+                        }
+                      : undefined
+                  }
+                  title={onSubtasksChange ? (showSubtasks ? "Hide checklist" : "Show checklist") : "Checklist progress"}
+                >
+                  <ListChecks className="h-3 w-3 mr-1" />
+                  {subtaskProgress.total > 0
+                    ? `${subtaskProgress.completed}/${subtaskProgress.total}`
+                    : "Checklist"}
+                </Badge>
+              )}
             </div>
+
+            {onSubtasksChange && showSubtasks && (
+              <SubtaskChecklist task={task} onChange={(update) => onSubtasksChange(task, update)} />
+            )}
           </div>
         </div>
       </Card>
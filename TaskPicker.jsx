@@ -0,0 +1,101 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { Check, ChevronsUpDown, Search, AlertTriangle } from "lucide-react";
+
+/**
+ * TaskPicker Component
+ *
+ * Searchable task selector. Tasks are filtered by title as you type;
+ * a selected task that no longer exists is shown as deleted so it can
+ * be replaced or cleared.
+ *
+ * @param {string} id - Id for the trigger button (for labels)
+ * @param {Array} tasks - Task records to choose from
+ * @param {string} value - Selected task id
+ * @param {Function} onChange - Called with the task id, or undefined when cleared
+ * @param {string} emptyLabel - Label for "no task selected"
+ */
+export default function TaskPicker({ id, tasks = [], value, onChange, emptyLabel = "Any task" }) {
+  const [open, setOpen] = useState(false);
+  const [search, setSearch] = useState("");
+
+  const selected = tasks.find((task) => task.id === value);
+  const query = search.trim().toLowerCase();
+  const matches = tasks.filter((task) => !query || task.title?.toLowerCase().includes(query));
+
+  const choose = (taskId) => {
+    onChange(taskId);
+    setOpen(false);
+    setSearch("");
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          id={id}
+          type="button"
+          variant="outline"
+          role="combobox"
+          aria-expanded={open}
+          className="w-full justify-between font-normal"
+        >
+          {value && !selected ? (
+            <span className="flex items-center gap-2 text-red-600">
+              <AlertTriangle className="w-4 h-4" />
+              Deleted task
+            </span>
+          ) : (
+            <span className="truncate">{selected ? selected.title : emptyLabel}</span>
+          )}
+          <ChevronsUpDown className="w-4 h-4 ml-2 text-slate-400 flex-shrink-0" />
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-80 p-2" align="start">
+        <div className="relative mb-2">
+          <Search className="absolute left-2 top-2.5 w-4 h-4 text-slate-400" />
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search tasks..."
+            className="pl-8"
+            autoFocus
+          />
+        </div>
+        <div className="max-h-64 overflow-y-auto space-y-1">
+          <button
+            type="button"
+            onClick={() => choose(undefined)}
+            className="w-full flex items-center gap-2 text-left px-2 py-1.5 text-sm rounded hover:bg-slate-100"
+          >
+            <Check className={`w-4 h-4 ${value ? "invisible" : ""}`} />
+            {emptyLabel}
+          </button>
+          {matches.map((task) => (
+            <button
+              key={task.id}
+              type="button"
+              onClick={() => choose(task.id)}
+              className="w-full flex items-center gap-2 text-left px-2 py-1.5 text-sm rounded hover:bg-slate-100"
+            >
+              <Check className={`w-4 h-4 flex-shrink-0 ${task.id === value ? "" : "invisible"}`} />
+              <span className="truncate">{task.title}</span>
+              {task.status === "completed" && (
+                <span className="ml-auto text-xs text-slate-400">done</span>
+              )}
+            </button>
+          ))}
+          {matches.length === 0 && (
+            <p className="px-2 py-1.5 text-sm text-slate-500">No tasks match "{search}"</p>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -13,6 +13,8 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import TaskCard from "../components/TaskCard";
+import { useTaskAutomations } from "../components/useTaskAutomations";
+import { useTaskChecklist } from "../components/useTaskChecklist";
 import QuickAddBar from "../components/QuickAddBar";
 
 export default function Tasks() {
@@ -22,6 +24,8 @@ export default function Tasks() {
   const [priorityFilter, setPriorityFilter] = useState("all");
 
   const queryClient = useQueryClient();
+  const { notifyTaskCreated, notifyTaskUpdated } = useTaskAutomations();
+  const { updateChecklist } = useTaskChecklist();
 
   const { data: tasks = [] } = useQuery({
     queryKey: ["tasks"],
@@ -30,15 +34,17 @@ export default function Tasks() {
 
   const createTaskMutation = useMutation({
     mutationFn: (taskData) => base44.entities.Task.create(taskData),
-    onSuccess: () => {
+    onSuccess: (task) => {
       queryClient.invalidateQueries({ queryKey: ["tasks"] });
+      notifyTaskCreated(task);
     },
   });
 
   const updateTaskMutation = useMutation({
     mutationFn: ({ id, data }) => base44.entities.Task.update(id, data),
-    onSuccess: () => {
+    onSuccess: (task, { id, data, previous }) => {
       queryClient.invalidateQueries({ queryKey: ["tasks"] });
+      notifyTaskUpdated(previous, { ...previous, ...data, ...task, id });
     },
   });
 
@@ -54,6 +60,7 @@ export default function Tasks() {
   const handleToggleTask = (task, newStatus) => {
     updateTaskMutation.mutate({
       id: task.id,
+      previous: task,
       data: {
         ...task,
         status: newStatus,
@@ -165,6 +172,7 @@ export default function Tasks() {
                 task={task}
                 index={index}
                 onToggle={handleToggleTask}
+                onSubtasksChange={updateChecklist}
                 onEdit={() => {}}
               />
             ))
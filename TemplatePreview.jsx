@@ -0,0 +1,125 @@
+import React from "react";
+import { useQuery } from "@tanstack/react-query";
+import { base44 } from "@/api/base44Client";
+import { Badge } from "@/components/ui/badge";
+import { Eye, AlertCircle } from "lucide-react";
+import {
+  SAMPLE_TASK,
+  TEMPLATE_VARIABLES,
+  buildTemplateContext,
+  findUnknownVariables,
+  renderActionData,
+  renderTemplate,
+} from "./automationTemplating";
+import { buildTestEvent, redactActionData } from "./automationEngine";
+
+/**
+ * Describe the sample a preview was rendered against
+ * @param {Object} event - Test event from buildTestEvent
+ * @returns {string}
+ */
+function describeSample(event) {
+  if (event.session) return `sample ${event.session.duration}-minute focus session`;
+  if (event.note) return `sample note "${event.note.title}"`;
+  if (event.calendarEvent) return `sample event "${event.calendarEvent.title}"`;
+  if (event.task) return `sample task "${event.task.title}"`;
+  return "example payload";
+}
+
+/**
+ * TemplatePreview Component
+ *
+ * Live preview of automation action_data with {{variables}} substituted,
+ * rendered against a sample trigger (task, focus session, note or
+ * calendar event, depending on the trigger type) and the current user.
+ *
+ * @param {Object} actionData - action_data being edited
+ * @param {string} triggerType - Trigger type (picks the sample)
+ * @param {Object} payload - Example incoming webhook payload (for {{payload.*}})
+ * @param {Array} previousSteps - Earlier workflow steps (for {{steps.N.*}})
+ */
+export default function TemplatePreview({
+  actionData,
+  triggerType = "task_completed",
+  payload = null,
+  previousSteps = [],
+}) {
+  const { data: user } = useQuery({
+    queryKey: ["user"],
+    queryFn: () => base44.auth.me(),
+  });
+
+  const event = buildTestEvent(triggerType, SAMPLE_TASK, { payload: payload || {} });
+  const context = buildTemplateContext({
+    task: event.task,
+    user,
+    payload: event.payload,
+    session: event.session,
+    note: event.note,
+    calendarEvent: event.calendarEvent,
+  });
+  // Earlier steps haven't run, so they get placeholder IDs
+  previousSteps.forEach((step, index) => {
+    context.steps[index + 1] = {
+      ...renderActionData(step.action_data || {}, context),
+      id: `new-item-from-step-${index + 1}`,
+    };
+  });
+
+  const entries = Object.entries(redactActionData(actionData) || {}).filter(
+    ([, value]) => typeof value === "string" && value.trim()
+  );
+  const unknown = [
+    ...new Set(entries.flatMap(([, value]) => findUnknownVariables(value, context))),
+  ];
+
+  return (
+    <div className="space-y-3 p-4 bg-white border border-slate-200 rounded-lg">
+      <div className="flex items-center gap-2">
+        <Eye className="w-4 h-4 text-purple-600" />
+        <h4 className="font-medium text-slate-900 text-sm">Preview</h4>
+        <span className="text-xs text-slate-400">
+          using {describeSample(event)}
+        </span>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-xs text-slate-500">Fill in the action details to see a preview</p>
+      ) : (
+        <dl className="space-y-1 text-sm">
+          {entries.map(([key, value]) => (
+            <div key={key} className="flex gap-2">
+              <dt className="text-slate-500 min-w-24">{key}:</dt>
+              <dd className="text-slate-900 whitespace-pre-wrap">
+                {renderTemplate(value, context)}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      {unknown.length > 0 && (
+        <div className="flex items-center gap-2 text-xs text-amber-700">
+          <AlertCircle className="w-3 h-3" />
+          Unknown variables: {unknown.join(", ")}
+        </div>
+      )}
+
+      <div className="pt-2 border-t border-slate-100">
+        <p className="text-xs text-slate-500 mb-2">Available variables</p>
+        <div className="flex flex-wrap gap-1">
+          {TEMPLATE_VARIABLES.map((variable) => (
+            <Badge
+              key={variable.name}
+              variant="outline"
+              className="text-xs font-mono"
+              title={variable.description}
+            >
+              {`{{${variable.name}}}`}
+            </Badge>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React from "react";
+import { base44 } from "@/api/base44Client";
+import { useQuery } from "@tanstack/react-query";
+import { Badge } from "@/components/ui/badge";
+import { CheckCircle, XCircle, Webhook, ShieldAlert, Clock } from "lucide-react";
+
+const STATUS_BADGES = {
+  success: { className: "bg-green-100 text-green-700 hover:bg-green-200", icon: CheckCircle, label: "Delivered" },
+  failed: { className: "bg-red-100 text-red-700 hover:bg-red-200", icon: XCircle, label: "Failed" },
+  rejected: { className: "bg-amber-100 text-amber-700 hover:bg-amber-200", icon: ShieldAlert, label: "Rejected" },
+  pending: { className: "bg-slate-100 text-slate-600 hover:bg-slate-200", icon: Clock, label: "Pending" },
+};
+
+function DeliveryBadge({ delivery }) {
+  const badge = STATUS_BADGES[delivery.status] || STATUS_BADGES.failed;
+  const Icon = badge.icon;
+  return (
+    <Badge className={badge.className}>
+      <Icon className="w-3 h-3 mr-1" />
+      {delivery.response_status || badge.label}
+    </Badge>
+  );
+}
+
+/**
+ * WebhookDeliveryLog Component
+ *
+ * Recent WebhookDelivery records: endpoint or automation, HTTP status,
+ * attempts, response and errors. Filter by automation, direction or both.
+ *
+ * @param {string} automationId - Only show deliveries for this TaskAutomation
+ * @param {string} direction - Only show "outgoing" or "incoming" deliveries
+ * @param {Object} automationNames - Map of automation ID → name, shown on each delivery
+ * @param {number} limit - How many deliveries to show
+ */
+export default function WebhookDeliveryLog({ automationId, direction, automationNames = {}, limit = 20 }) {
+  const query = {
+    ...(automationId && { automation_id: automationId }),
+    ...(direction && { direction }),
+  };
+
+  const { data: deliveries = [], isLoading } = useQuery({
+    queryKey: ["webhookDeliveries", automationId, direction],
+    queryFn: () => base44.entities.WebhookDelivery.filter(query, "-created_date", limit),
+  });
+
+  if (isLoading) {
+    return <p className="text-sm text-slate-500">Loading deliveries...</p>;
+  }
+
+  if (deliveries.length === 0) {
+    return (
+      <div className="text-center py-6">
+        <Webhook className="w-8 h-8 text-slate-300 mx-auto mb-2" />
+        <p className="text-sm text-slate-500">No webhook deliveries yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {deliveries.map((delivery) => (
+        <div key={delivery.id} className="p-3 border border-slate-200 rounded-lg space-y-1">
+          <div className="flex items-center justify-between">
+            <DeliveryBadge delivery={delivery} />
+            <span className="text-xs text-slate-500">
+              {new Date(
+                delivery.delivered_at || delivery.received_at || delivery.created_date
+              ).toLocaleString()}
+              {delivery.duration_ms !== undefined && <> • {delivery.duration_ms}ms</>}
+            </span>
+          </div>
+
+          {delivery.direction === "incoming" ? (
+            <div className="text-xs text-slate-600">
+              {delivery.status === "pending"
+                ? "Waiting to be processed"
+                : automationNames[delivery.automation_id] || "Unknown automation"}
+              {delivery.delivery_id && <> • Delivery {delivery.delivery_id}</>}
+            </div>
+          ) : (
+            <>
+              <div className="text-xs text-slate-600 break-all">{delivery.url}</div>
+              <div className="text-xs text-slate-500">
+                {delivery.attempts || 1} attempt{delivery.attempts === 1 ? "" : "s"}
+              </div>
+            </>
+          )}
+
+          {delivery.direction === "incoming" && delivery.request_body && (
+            <pre className="text-xs bg-slate-50 p-2 rounded overflow-x-auto">
+              {JSON.stringify(delivery.request_body, null, 2)}
+            </pre>
+          )}
+
+          {delivery.response_body && (
+            <pre className="text-xs bg-slate-50 p-2 rounded overflow-x-auto">
+              {delivery.response_body}
+            </pre>
+          )}
+
+          {delivery.error && (
+            <p className="text-xs text-red-600 bg-red-50 p-2 rounded">{delivery.error}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
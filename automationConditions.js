@@ -0,0 +1,374 @@
+/**
+ * Automation Conditions
+ *
+ * Evaluates TaskAutomation.trigger_conditions against an automation event
+ * (task, focus session, note or calendar event).
+ *
+ * Stored format (a condition group; groups can be nested):
+ * {
+ *   logic: "and" | "or",
+ *   rules: [
+ *     { field: "priority", operator: "equals", value: "high" },
+ *     { field: "category", operator: "in", value: ["daily", "weekly"] },
+ *     { field: "title", operator: "contains", value: "report" },
+ *     { field: "due_date", operator: "within_days", value: 3 },
+ *     { field: "new_status", operator: "equals", value: "completed" },
+ *     { field: "sessions_today", operator: "at_least", value: 4 },
+ *     { field: "note_tags", operator: "includes", value: "todo" },
+ *     { logic: "or", rules: [ ... ] }
+ *   ]
+ * }
+ *
+ * A missing or empty group always matches; empty nested groups are ignored,
+ * so they don't make an "or" group match everything.
+ * Fields only apply to the triggers listed in their `triggers`.
+ */
+
+import { differenceInCalendarDays, parseISO } from "date-fns";
+import { isDueDatePast } from "./overdueDetection";
+
+// Triggers whose event carries a task
+export const TASK_TRIGGERS = ["task_completed", "task_created", "task_overdue", "time_based", "status_changed"];
+
+const NOTE_TRIGGERS = ["note_created", "note_tagged"];
+
+const STATUS_OPTIONS = [
+  { value: "todo", label: "To Do" },
+  { value: "in_progress", label: "In Progress" },
+  { value: "completed", label: "Completed" },
+];
+
+/**
+ * Fields available to conditions, with their operators and value options
+ */
+export const CONDITION_FIELDS = {
+  priority: {
+    label: "Priority",
+    operators: ["equals", "not_equals"],
+    options: [
+      { value: "low", label: "Low" },
+      { value: "medium", label: "Medium" },
+      { value: "high", label: "High" },
+    ],
+    triggers: TASK_TRIGGERS,
+  },
+  category: {
+    label: "Category",
+    operators: ["in", "not_in"],
+    options: [
+      { value: "daily", label: "Daily" },
+      { value: "weekly", label: "Weekly" },
+      { value: "project", label: "Project" },
+      { value: "someday", label: "Someday" },
+    ],
+    triggers: TASK_TRIGGERS,
+  },
+  title: {
+    label: "Title",
+    operators: ["contains", "not_contains", "equals"],
+    triggers: TASK_TRIGGERS,
+  },
+  due_date: {
+    label: "Due date",
+    operators: ["within_days", "is_overdue", "is_not_set"],
+    triggers: TASK_TRIGGERS,
+  },
+  old_status: {
+    label: "Old status",
+    operators: ["equals", "not_equals"],
+    options: STATUS_OPTIONS,
+    triggers: ["status_changed"],
+  },
+  new_status: {
+    label: "New status",
+    operators: ["equals", "not_equals"],
+    options: STATUS_OPTIONS,
+    triggers: ["status_changed"],
+  },
+  session_type: {
+    label: "Session type",
+    operators: ["equals", "not_equals"],
+    options: [
+      { value: "pomodoro", label: "Pomodoro" },
+      { value: "deep_work", label: "Deep work" },
+      { value: "quick_task", label: "Quick task" },
+    ],
+    triggers: ["focus_session_completed"],
+  },
+  session_duration: {
+    label: "Duration (min)",
+    type: "number",
+    operators: ["at_least", "at_most", "equals"],
+    triggers: ["focus_session_completed"],
+  },
+  sessions_today: {
+    label: "Sessions today",
+    type: "number",
+    operators: ["equals", "at_least", "at_most"],
+    triggers: ["focus_session_completed"],
+  },
+  note_title: {
+    label: "Note title",
+    operators: ["contains", "not_contains", "equals"],
+    triggers: NOTE_TRIGGERS,
+  },
+  // For note_tagged this is the tags that were just added
+  note_tags: {
+    label: "Tags",
+    operators: ["includes", "not_includes"],
+    triggers: NOTE_TRIGGERS,
+  },
+  event_title: {
+    label: "Event title",
+    operators: ["contains", "not_contains", "equals"],
+    triggers: ["event_starting"],
+  },
+};
+
+export const OPERATOR_LABELS = {
+  equals: "is",
+  not_equals: "is not",
+  in: "is one of",
+  not_in: "is not one of",
+  contains: "contains",
+  not_contains: "does not contain",
+  within_days: "is within (days)",
+  is_overdue: "is overdue",
+  is_not_set: "is not set",
+  at_least: "is at least",
+  at_most: "is at most",
+  includes: "includes",
+  not_includes: "does not include",
+};
+
+// Operators that don't take a value
+export const VALUELESS_OPERATORS = ["is_overdue", "is_not_set"];
+
+/**
+ * Check whether a rule entry is a nested group
+ * @param {Object} rule - Rule or group
+ * @returns {boolean}
+ */
+export function isConditionGroup(rule) {
+  return Array.isArray(rule?.rules);
+}
+
+/**
+ * Check whether a rule entry is a group with no rules (nested empty groups included)
+ * @param {Object} rule - Rule or group
+ * @returns {boolean}
+ */
+function isEmptyGroup(rule) {
+  return isConditionGroup(rule) && rule.rules.every(isEmptyGroup);
+}
+
+/**
+ * Create an empty condition group
+ * @returns {Object}
+ */
+export function createConditionGroup() {
+  return { logic: "and", rules: [] };
+}
+
+/**
+ * Drop rules on fields that don't apply to a trigger type
+ * Used when an automation switches trigger; empty nested groups are removed.
+ * @param {Object} conditions - Condition group
+ * @param {string} triggerType - New trigger type
+ * @returns {Object} Condition group (other keys such as schedule are kept)
+ */
+export function pruneConditions(conditions, triggerType) {
+  const group = conditions || createConditionGroup();
+  const rules = (group.rules || [])
+    .map((rule) => (isConditionGroup(rule) ? pruneConditions(rule, triggerType) : rule))
+    .filter((rule) => {
+      if (isConditionGroup(rule)) return rule.rules.length > 0;
+      const field = CONDITION_FIELDS[rule.field];
+      return field && (!field.triggers || field.triggers.includes(triggerType));
+    });
+  return { ...group, rules };
+}
+
+/**
+ * Normalize a tag for comparison ("#ToDo " → "todo")
+ * @param {string} tag - Tag as typed or stored
+ * @returns {string}
+ */
+export function normalizeTag(tag) {
+  return String(tag ?? "").trim().replace(/^#+/, "").toLowerCase();
+}
+
+/**
+ * Tags present on a note that weren't on its previous version
+ * @param {Object} previousNote - Note before the change (null for a new note)
+ * @param {Object} note - Note after the change
+ * @returns {string[]} Normalized tags
+ */
+export function getAddedTags(previousNote, note) {
+  const before = new Set((previousNote?.tags || []).map(normalizeTag));
+  return [...new Set((note?.tags || []).map(normalizeTag))].filter((tag) => tag && !before.has(tag));
+}
+
+/**
+ * Read the value a condition field refers to from an automation event
+ * @param {string} field - Condition field
+ * @param {Object} event - { task, previousTask, session, sessionsToday, note, previousNote, calendarEvent }
+ * @returns {any}
+ */
+function getFieldValue(field, event) {
+  switch (field) {
+    case "old_status":
+      return event.previousTask?.status;
+    case "new_status":
+      return event.task?.status;
+    case "session_type":
+      return event.session?.session_type;
+    case "session_duration":
+      return event.session?.duration;
+    case "sessions_today":
+      return event.sessionsToday;
+    case "note_title":
+      return event.note?.title;
+    case "note_tags":
+      return getAddedTags(event.previousNote, event.note);
+    case "event_title":
+      return event.calendarEvent?.title;
+    default:
+      return event.task?.[field];
+  }
+}
+
+/**
+ * Evaluate a single field comparison
+ * @param {Object} rule - { field, operator, value }
+ * @param {Object} event - Automation event
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+function evaluateRule(rule, event, now) {
+  const actual = getFieldValue(rule.field, event);
+  const expected = rule.value;
+
+  switch (rule.operator) {
+    case "equals":
+      return String(actual ?? "").toLowerCase() === String(expected ?? "").toLowerCase();
+    case "not_equals":
+      return String(actual ?? "").toLowerCase() !== String(expected ?? "").toLowerCase();
+    case "in":
+      return Array.isArray(expected) && expected.includes(actual);
+    case "not_in":
+      return !Array.isArray(expected) || !expected.includes(actual);
+    case "contains":
+      return String(actual ?? "").toLowerCase().includes(String(expected ?? "").toLowerCase());
+    case "not_contains":
+      return !String(actual ?? "").toLowerCase().includes(String(expected ?? "").toLowerCase());
+    case "within_days": {
+      if (!actual) return false;
+      const daysUntil = differenceInCalendarDays(parseISO(actual), now);
+      return daysUntil >= 0 && daysUntil <= Number(expected || 0);
+    }
+    case "is_overdue":
+      return isDueDatePast(actual, now);
+    case "is_not_set":
+      return !actual;
+    case "at_least":
+      return actual !== undefined && actual !== null && Number(actual) >= Number(expected);
+    case "at_most":
+      return actual !== undefined && actual !== null && Number(actual) <= Number(expected);
+    case "includes":
+      return Array.isArray(actual) && actual.includes(normalizeTag(expected));
+    case "not_includes":
+      return !Array.isArray(actual) || !actual.includes(normalizeTag(expected));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition group against an automation event
+ * @param {Object} conditions - Condition group (trigger_conditions)
+ * @param {Object} event - Automation event (see getFieldValue)
+ * @param {Date} now - Reference time
+ * @returns {{matched: boolean, results: Array<{rule: Object, matched: boolean}>}}
+ */
+export function evaluateConditions(conditions, event, now = new Date()) {
+  const rules = (conditions?.rules || []).filter((rule) => !isEmptyGroup(rule));
+  if (rules.length === 0) {
+    return { matched: true, results: [] };
+  }
+
+  const results = rules.map((rule) => ({
+    rule,
+    matched: isConditionGroup(rule)
+      ? evaluateConditions(rule, event, now).matched
+      : evaluateRule(rule, event, now),
+  }));
+
+  const matched = conditions.logic === "or"
+    ? results.some((r) => r.matched)
+    : results.every((r) => r.matched);
+
+  return { matched, results };
+}
+
+/**
+ * Describe a single field comparison in plain language
+ * @param {Object} rule - { field, operator, value }
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const field = CONDITION_FIELDS[rule.field];
+  const label = field?.label || rule.field;
+  const operator = OPERATOR_LABELS[rule.operator] || rule.operator;
+
+  if (VALUELESS_OPERATORS.includes(rule.operator)) {
+    return `${label} ${operator}`;
+  }
+
+  const value = Array.isArray(rule.value) ? rule.value.join(", ") : rule.value;
+  return `${label} ${operator} ${value ?? ""}`.trim();
+}
+
+/**
+ * Describe the conditions that matched an event, for the run history
+ * @param {Object} conditions - Condition group
+ * @param {Object} event - Automation event
+ * @param {Date} now - Reference time
+ * @returns {string[]} Plain-language descriptions of matched rules
+ */
+export function describeMatchedConditions(conditions, event, now = new Date()) {
+  const { results } = evaluateConditions(conditions, event, now);
+
+  return results
+    .filter((result) => result.matched)
+    .flatMap((result) =>
+      isConditionGroup(result.rule)
+        ? describeMatchedConditions(result.rule, event, now)
+        : [describeRule(result.rule)]
+    );
+}
+
+/**
+ * Explain every condition against an event, for test previews
+ * @param {Object} conditions - Condition group
+ * @param {Object} event - Automation event
+ * @param {Date} now - Reference time
+ * @param {number} depth - Nesting level
+ * @returns {Array<{description: string, matched: boolean, depth: number}>}
+ */
+export function explainConditions(conditions, event, now = new Date(), depth = 0) {
+  const { results } = evaluateConditions(conditions, event, now);
+
+  return results.flatMap((result) =>
+    isConditionGroup(result.rule)
+      ? [
+          {
+            description: `${result.rule.logic === "or" ? "Any" : "All"} of:`,
+            matched: result.matched,
+            depth,
+          },
+          ...explainConditions(result.rule, event, now, depth + 1),
+        ]
+      : [{ description: describeRule(result.rule), matched: result.matched, depth }]
+  );
+}
@@ -0,0 +1,1148 @@
+/**
+ * Automation Engine
+ *
+ * Runtime for TaskAutomation rules (trigger → action).
+ * - Maps task mutations and overdue detections (see overdueDetection.js),
+ *   completed focus sessions, new or newly tagged notes and upcoming
+ *   calendar events to trigger types
+ * - Matches them against active automations, including trigger_task_id
+ *   and trigger_conditions
+ * - Executes create_task, update_task, create_note, send_email and
+ *   call_webhook actions, substituting {{variables}} in action_data
+ *   (see automationTemplating.js and webhooks.js)
+ * - Runs multi-step workflows (TaskAutomation.actions) in order; later
+ *   steps can use what earlier ones created as {{steps.N.field}}, and each
+ *   step either aborts the workflow or continues when it fails. Rules saved
+ *   before workflows (action_type/action_data only) run as a single step.
+ * - Validates action_data against the Task and Note schemas
+ * - Records each run as an AutomationRun and on the automation
+ *   (trigger_count, last_triggered)
+ * - Guards against runaway rules: causation-chain loop detection,
+ *   per-automation rate limits and a global kill switch
+ * - Fires time_based automations on their cron schedule
+ *   (trigger_conditions.schedule) in the user's profile timezone
+ * - Runs incoming_webhook automations for verified requests
+ *   (see incomingWebhooks.js)
+ * - Fires event_starting automations a set number of minutes
+ *   (trigger_conditions.minutes_before) before each calendar event
+ *
+ * Usage:
+ * await runAutomations({ type: "task_updated", previousTask, task });
+ * await runAutomations({ type: "note_created", note });
+ * await runScheduledAutomations();
+ * await runEventStartingAutomations();
+ *
+ * Tasks and notes written by an action emit events of their own, so automations can
+ * chain. Every created entity stores the run that produced it
+ * (automation_run_id) and every run stores its causation_chain, which is how
+ * loops are detected.
+ */
+
+import { base44 } from "@/api/base44Client";
+import { addDays, format, isSameDay, parseISO } from "date-fns";
+import { safeAsync } from "./safeAsyncUtils";
+import { isTemplateValue, validateAgainstSchema } from "./schemaValidation";
+import taskSchema from "./task.schema.json";
+import noteSchema from "./note.schema.json";
+import {
+  describeMatchedConditions,
+  evaluateConditions,
+  explainConditions,
+  getAddedTags,
+} from "./automationConditions";
+import {
+  SAMPLE_EVENT,
+  SAMPLE_NOTE,
+  SAMPLE_SESSION,
+  buildTemplateContext,
+  renderActionData,
+} from "./automationTemplating";
+import { getNextCronRun, validateCron } from "./cronSchedule";
+import { getUserTimeZone } from "./timezoneUtils";
+import { buildWebhookPayload, deliverWebhook, isWebhookUrl, redactHeaders } from "./webhooks";
+
+// Lead time for event_starting automations that don't set minutes_before
+export const DEFAULT_EVENT_LEAD_MINUTES = 30;
+
+/**
+ * Work out which trigger types an automation event fires
+ * @param {Object} event - { type: "task_created" | "task_updated" | "task_overdue" | "scheduled" |
+ *   "incoming_webhook" | "focus_session_completed" | "note_created" | "note_updated" |
+ *   "event_starting", task, previousTask, payload, session, note, previousNote, calendarEvent }
+ * @returns {string[]} Trigger types
+ */
+export function getEventTriggers(event) {
+  if (event.type === "scheduled") {
+    return ["time_based"];
+  }
+
+  if (event.type === "focus_session_completed") {
+    return event.session?.completed === false ? [] : ["focus_session_completed"];
+  }
+
+  if (event.type === "note_created") {
+    return getAddedTags(null, event.note).length > 0
+      ? ["note_created", "note_tagged"]
+      : ["note_created"];
+  }
+
+  if (event.type === "note_updated") {
+    return getAddedTags(event.previousNote, event.note).length > 0 ? ["note_tagged"] : [];
+  }
+
+  if (event.type === "event_starting") {
+    return ["event_starting"];
+  }
+
+  if (event.type === "task_overdue") {
+    return ["task_overdue"];
+  }
+
+  if (event.type === "incoming_webhook") {
+    return ["incoming_webhook"];
+  }
+
+  if (event.type === "task_created") {
+    return ["task_created"];
+  }
+
+  if (event.type === "task_updated") {
+    const previousStatus = event.previousTask?.status;
+    const status = event.task?.status;
+    if (!previousStatus || previousStatus === status) return [];
+
+    return status === "completed"
+      ? ["status_changed", "task_completed"]
+      : ["status_changed"];
+  }
+
+  return [];
+}
+
+/**
+ * Check whether an automation should run for a trigger
+ * @param {Object} automation - TaskAutomation record
+ * @param {string} trigger - Trigger type that fired
+ * @param {Object} event - Task event
+ * @returns {boolean}
+ */
+export function matchesAutomation(automation, trigger, event) {
+  if (automation.is_active === false) return false;
+  if (automation.trigger_type !== trigger) return false;
+
+  if (automation.trigger_task_id && automation.trigger_task_id !== event.task?.id) {
+    return false;
+  }
+
+  return evaluateConditions(automation.trigger_conditions, event).matched;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Longest chain of automations triggering automations before we stop
+const MAX_CHAIN_DEPTH = 5;
+
+// Rate limits used when an automation doesn't set its own
+export const DEFAULT_RATE_LIMITS = {
+  max_runs_per_hour: 20,
+  max_runs_per_day: 100,
+};
+
+// What a workflow step does when its action fails
+export const STEP_ERROR_MODES = ["abort", "continue"];
+
+/**
+ * Create a new workflow step
+ * @param {string} actionType - TaskAutomation action type
+ * @returns {Object} { id, action_type, action_data, on_error }
+ */
+export function createActionStep(actionType = "create_task") {
+  return {
+    id: `step_${Math.random().toString(36).slice(2, 10)}`,
+    action_type: actionType,
+    action_data: {},
+    on_error: "abort",
+  };
+}
+
+/**
+ * Read an automation's ordered workflow steps
+ * Rules saved before workflows (action_type/action_data only) become one step.
+ * @param {Object} automation - TaskAutomation record
+ * @returns {Array<Object>} Steps: { id, action_type, action_data, on_error }
+ */
+export function getAutomationSteps(automation) {
+  if (Array.isArray(automation?.actions) && automation.actions.length > 0) {
+    return automation.actions.map((step, index) => ({
+      id: `step_${index + 1}`,
+      on_error: "abort",
+      ...step,
+      action_data: step.action_data || {},
+    }));
+  }
+
+  if (!automation?.action_type) return [];
+  return [
+    {
+      id: "step_1",
+      action_type: automation.action_type,
+      action_data: automation.action_data || {},
+      on_error: "abort",
+    },
+  ];
+}
+
+/**
+ * Build the TaskAutomation action fields to save for a list of steps
+ * The first step is mirrored into action_type/action_data so code reading
+ * single-action rules keeps working.
+ * @param {Array<Object>} steps - Workflow steps
+ * @returns {Object} { actions, action_type, action_data }
+ */
+export function buildActionFields(steps) {
+  const [first] = steps;
+  return {
+    actions: steps,
+    action_type: first?.action_type,
+    action_data: first?.action_data || {},
+  };
+}
+
+/**
+ * Validate action_data for an action type
+ * Unrendered {{templates}} are accepted; they are re-checked once rendered.
+ * @param {string} actionType - TaskAutomation action_type
+ * @param {Object} data - action_data
+ * @returns {Object} Map of field → error message (empty when valid)
+ */
+export function validateActionData(actionType, data = {}) {
+  switch (actionType) {
+    case "create_task": {
+      const { title, description, priority, category, due_date } = data;
+      return validateAgainstSchema(
+        { title, description, priority, category, due_date },
+        taskSchema,
+        { partial: true }
+      );
+    }
+
+    case "update_task": {
+      const { task_id, due_date_shift_days, ...patch } = data;
+      const errors = validateAgainstSchema(patch, taskSchema, { partial: true });
+      const hasChanges = Object.values(patch).some((value) => value !== undefined && value !== "");
+
+      if (due_date_shift_days !== undefined && !Number.isInteger(due_date_shift_days)) {
+        errors.due_date_shift_days = "Due date shift must be a whole number of days";
+      }
+      if (!hasChanges && !due_date_shift_days) {
+        errors.patch = "Choose at least one change to apply";
+      }
+      return errors;
+    }
+
+    case "create_note": {
+      const { title, content, tags } = data;
+      return validateAgainstSchema({ title, content, tags }, noteSchema);
+    }
+
+    case "send_email": {
+      const errors = {};
+      if (data.to && !isTemplateValue(data.to) && !EMAIL_PATTERN.test(data.to)) {
+        errors.to = "Recipient must be a valid email address";
+      }
+      if (!data.subject) {
+        errors.subject = "Subject is required";
+      }
+      return errors;
+    }
+
+    case "call_webhook": {
+      const errors = {};
+      if (!data.url) {
+        errors.url = "URL is required";
+      } else if (!isTemplateValue(data.url) && !isWebhookUrl(data.url)) {
+        errors.url = "URL must start with http:// or https://";
+      }
+      const headers = data.headers || {};
+      if (typeof headers !== "object" || Array.isArray(headers) ||
+          Object.entries(headers).some(([name, value]) => !name.trim() || typeof value !== "string")) {
+        errors.headers = "Headers need a name and a text value";
+      }
+      return errors;
+    }
+
+    default:
+      return {};
+  }
+}
+
+/**
+ * Hide secrets in rendered action_data before it is stored or shown
+ * The signing secret and custom header values are masked; header names stay.
+ * @param {Object} data - Rendered action_data
+ * @returns {Object}
+ */
+export function redactActionData(data) {
+  if (!data?.secret && !data?.headers) return data;
+  return {
+    ...data,
+    ...(data.secret && { secret: "••••••" }),
+    ...(data.headers && { headers: redactHeaders(data.headers) }),
+  };
+}
+
+/**
+ * Build the Task patch for an update_task action
+ * @param {Object} data - Rendered action_data
+ * @param {Object} target - Task being updated
+ * @returns {Object} Fields to update
+ */
+export function buildTaskPatch(data, target) {
+  const { task_id, due_date_shift_days, ...patch } = data;
+  const changes = Object.fromEntries(
+    Object.entries(patch).filter(([, value]) => value !== undefined && value !== "")
+  );
+
+  if (due_date_shift_days) {
+    const base = target?.due_date ? parseISO(target.due_date) : new Date();
+    changes.due_date = format(addDays(base, due_date_shift_days), "yyyy-MM-dd");
+  }
+
+  if (changes.status) {
+    changes.completed_at = changes.status === "completed" ? new Date().toISOString() : null;
+  }
+
+  return changes;
+}
+
+/**
+ * Validate every step of a workflow
+ * @param {Array<Object>} steps - Workflow steps
+ * @returns {Array<Object>} Field → error message maps, one per step
+ */
+export function validateActionSteps(steps) {
+  return steps.map((step) => validateActionData(step.action_type, step.action_data || {}));
+}
+
+/**
+ * Find task references in an automation that point at deleted tasks
+ * A rule whose trigger task is gone never fires, and an update_task step
+ * whose target is gone always fails, so both mark the rule as broken.
+ * @param {Object} automation - TaskAutomation record
+ * @param {Array<Object>} tasks - Current Task records
+ * @returns {string[]} What is broken (empty when every reference resolves)
+ */
+export function findBrokenTaskLinks(automation, tasks) {
+  const taskIds = new Set(tasks.map((task) => task.id));
+  const problems = [];
+
+  if (automation.trigger_task_id && !taskIds.has(automation.trigger_task_id)) {
+    problems.push("The task this automation is linked to was deleted");
+  }
+
+  const steps = getAutomationSteps(automation);
+  steps.forEach((step, index) => {
+    const targetId = step.action_type === "update_task" ? step.action_data.task_id : null;
+    if (targetId && !isTemplateValue(targetId) && !taskIds.has(targetId)) {
+      problems.push(
+        steps.length > 1
+          ? `Step ${index + 1} updates a task that was deleted`
+          : "The task this automation updates was deleted"
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Render and validate a workflow step's action_data for an event
+ * @param {Object} step - Workflow step (see getAutomationSteps)
+ * @param {Object} event - Task event that triggered it
+ * @param {Object} user - Current user (for template variables)
+ * @param {Object} stepResults - Step number → what that step created or changed
+ * @returns {Object} Rendered action_data
+ */
+export function renderActionStep(step, event, user = null, stepResults = {}) {
+  const context = buildTemplateContext({
+    task: event.task,
+    user,
+    payload: event.payload,
+    session: event.session,
+    note: event.note,
+    calendarEvent: event.calendarEvent,
+    steps: stepResults,
+  });
+  const data = renderActionData(step.action_data || {}, context);
+
+  const errors = validateActionData(step.action_type, data);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors).join("; "));
+  }
+
+  return data;
+}
+
+/**
+ * Work out what a workflow step would do, without writing anything
+ * @param {Object} automation - TaskAutomation record
+ * @param {Object} step - Workflow step
+ * @param {Object} data - Rendered action_data
+ * @param {Object} event - Task event that triggered it
+ * @param {Object} user - Current user
+ * @param {Object} stepResults - Results of earlier steps (update_task can target their tasks)
+ * @returns {Promise<Object>} Effect: { operation, entity, id?, label?, data }
+ */
+export async function planAction(automation, step, data, event, user = null, stepResults = {}) {
+  switch (step.action_type) {
+    case "create_task":
+      return {
+        operation: "create",
+        entity: "Task",
+        data: {
+          title: data.title || automation.name,
+          description: data.description || "",
+          priority: data.priority || "medium",
+          category: data.category || "daily",
+          due_date: data.due_date || undefined,
+          status: "todo",
+        },
+      };
+
+    case "update_task": {
+      const fromStep = Object.values(stepResults).find(
+        (result) => result?.entity === "Task" && result.id === data.task_id
+      );
+      const target = data.task_id
+        ? fromStep || (await base44.entities.Task.filter({ id: data.task_id }))[0]
+        : event.task;
+      if (!target?.id) throw new Error("No task to update");
+      return {
+        operation: "update",
+        entity: "Task",
+        id: target.id,
+        label: target.title,
+        data: buildTaskPatch(data, target),
+      };
+    }
+
+    case "create_note":
+      return {
+        operation: "create",
+        entity: "Note",
+        data: {
+          title: data.title || automation.name,
+          content: data.content || "",
+          tags: data.tags || [],
+        },
+      };
+
+    case "send_email": {
+      const to = data.to || user?.email;
+      if (!to) throw new Error("No email recipient");
+      return {
+        operation: "send",
+        entity: "Email",
+        data: {
+          to,
+          subject: data.subject || automation.name,
+          body: data.body || "",
+        },
+      };
+    }
+
+    case "call_webhook":
+      return {
+        operation: "send",
+        entity: "Webhook",
+        label: data.url,
+        data: {
+          url: data.url,
+          headers: data.headers || {},
+          payload: buildWebhookPayload(automation, event, stepResults),
+        },
+        // Kept out of data so previews and logs never show it
+        secret: data.secret || undefined,
+      };
+
+    default:
+      throw new Error(`Unknown action type: ${step.action_type}`);
+  }
+}
+
+/**
+ * Summarize what a step did, for {{steps.N.*}} in later steps
+ * @param {Object} effect - Applied (or planned) effect
+ * @param {any} result - Entity or response returned by the write
+ * @returns {Object} Entity fields plus { entity, operation }
+ */
+function toStepResult(effect, result) {
+  const written = result && typeof result === "object" ? result : {};
+  return {
+    ...effect.data,
+    ...written,
+    ...(effect.id && { id: effect.id }),
+    entity: effect.entity,
+    operation: effect.operation,
+  };
+}
+
+/**
+ * Apply a planned effect
+ * @param {Object} effect - From planAction
+ * @param {Object} run - AutomationRun producing the effect (stamped on created entities)
+ * @returns {Promise<any>} Entity created/updated, or the integration/delivery response
+ */
+async function applyEffect(effect, run) {
+  if (effect.entity === "Email") {
+    return base44.integrations.Core.SendEmail(effect.data);
+  }
+  if (effect.entity === "Webhook") {
+    return deliverWebhook(
+      { ...effect.data, secret: effect.secret },
+      { automationId: run?.automation_id, runId: run?.id }
+    );
+  }
+  if (effect.operation === "create") {
+    return base44.entities[effect.entity].create({ ...effect.data, automation_run_id: run?.id });
+  }
+  return base44.entities[effect.entity].update(effect.id, effect.data);
+}
+
+/**
+ * Find the run that caused an event, if an automation did
+ * @param {Object} event - Task event
+ * @returns {Promise<Object|null>} AutomationRun record
+ */
+async function loadCausingRun(event) {
+  const runId = event.causedByRunId ||
+    (event.type === "task_created" ? event.task?.automation_run_id : null) ||
+    (event.type === "note_created" ? event.note?.automation_run_id : null);
+  if (!runId) return null;
+
+  const [run] = await base44.entities.AutomationRun.filter({ id: runId });
+  return run || null;
+}
+
+/**
+ * Check an automation against its rate limits
+ * @param {Object} automation - TaskAutomation record
+ * @param {Date} now - Current time
+ * @returns {Promise<string|null>} Reason the limit was hit, or null
+ */
+export async function checkRateLimit(automation, now = new Date()) {
+  const perHour = automation.max_runs_per_hour || DEFAULT_RATE_LIMITS.max_runs_per_hour;
+  const perDay = automation.max_runs_per_day || DEFAULT_RATE_LIMITS.max_runs_per_day;
+
+  // Query each executed status separately so skipped runs don't use up the fetch limit
+  const runsByStatus = await Promise.all(
+    ["success", "partial", "failed"].map((status) =>
+      base44.entities.AutomationRun.filter(
+        { automation_id: automation.id, status },
+        "-created_date",
+        perDay
+      )
+    )
+  );
+  const executed = runsByStatus.flat();
+  const since = (ms) =>
+    executed.filter((run) => now - new Date(run.started_at || run.created_date) < ms).length;
+
+  if (since(60 * 60 * 1000) >= perHour) {
+    return `Rate limit reached: ${perHour} runs in the last hour`;
+  }
+  if (since(24 * 60 * 60 * 1000) >= perDay) {
+    return `Rate limit reached: ${perDay} runs in the last day`;
+  }
+  return null;
+}
+
+/**
+ * Pause an automation and record why
+ * @param {Object} automation - TaskAutomation record
+ * @param {string} reason - Shown on the automation card
+ */
+async function pauseAutomation(automation, reason) {
+  await safeAsync(
+    () =>
+      base44.entities.TaskAutomation.update(automation.id, {
+        is_active: false,
+        paused_reason: reason,
+        paused_at: new Date().toISOString(),
+      }),
+    { errorMessage: `Failed to pause "${automation.name}"` }
+  );
+}
+
+/**
+ * Emit follow-up events for tasks and notes an action wrote, so other automations can react
+ * @param {Object} effect - Applied effect
+ * @param {any} result - Entity returned by the write
+ * @param {Object} event - Original trigger event
+ * @param {string} runId - Run that wrote the entity
+ * @returns {Promise<{executed: number, failed: number, skipped: number}>}
+ */
+async function cascadeEvents(effect, result, event, runId) {
+  if (effect.entity === "Note" && effect.operation === "create") {
+    return runAutomations({ type: "note_created", note: result, causedByRunId: runId });
+  }
+
+  if (effect.entity !== "Task") {
+    return { executed: 0, failed: 0, skipped: 0 };
+  }
+
+  if (effect.operation === "create") {
+    return runAutomations({ type: "task_created", task: result, causedByRunId: runId });
+  }
+
+  const previousTask = effect.id === event.task?.id
+    ? event.task
+    : (await base44.entities.Task.filter({ id: effect.id }))[0];
+
+  return runAutomations({
+    type: "task_updated",
+    previousTask,
+    task: { ...previousTask, ...effect.data, id: effect.id },
+    causedByRunId: runId,
+  });
+}
+
+/**
+ * Snapshot the parts of an event worth keeping in the run history
+ * @param {Object} event - Task event
+ * @returns {Object}
+ */
+function snapshotEvent(event) {
+  return {
+    type: event.type,
+    task: event.task || null,
+    scheduledFor: event.scheduledFor,
+    payload: event.payload,
+    session: event.session,
+    sessionsToday: event.sessionsToday,
+    note: event.note,
+    previousNote: event.previousNote
+      ? { id: event.previousNote.id, tags: event.previousNote.tags || [] }
+      : undefined,
+    calendarEvent: event.calendarEvent,
+    previousTask: event.previousTask
+      ? { id: event.previousTask.id, status: event.previousTask.status }
+      : null,
+  };
+}
+
+/**
+ * Execute one automation for an event and record the run
+ * Steps run in order. A failed step stops the workflow unless it is set to
+ * continue; the run is "partial" when some steps failed but it went on.
+ * @param {Object} automation - TaskAutomation record
+ * @param {Object} event - Task event that triggered it
+ * @param {Object} options - { trigger, user, retryOf }
+ * @returns {Promise<Object>} { run, cascade } — AutomationRun data and follow-up run counts
+ */
+export async function executeAutomation(automation, event, { trigger, user = null, retryOf } = {}) {
+  const startedAt = new Date();
+  const parentRun = await loadCausingRun(event);
+  const chain = parentRun?.causation_chain || [];
+  const steps = getAutomationSteps(automation);
+
+  const run = {
+    automation_id: automation.id,
+    automation_name: automation.name,
+    trigger_type: trigger || automation.trigger_type,
+    trigger_event: snapshotEvent(event),
+    matched_conditions: describeMatchedConditions(automation.trigger_conditions, event),
+    action_type: steps.map((step) => step.action_type).join(" → "),
+    created_entity_ids: [],
+    started_at: startedAt.toISOString(),
+    retry_of: retryOf,
+    parent_run_id: parentRun?.id,
+    causation_chain: [...chain, automation.id],
+    status: "running",
+  };
+
+  // Guards: loops and rate limits are recorded as skipped runs
+  if (chain.includes(automation.id)) {
+    run.status = "skipped";
+    run.error = "Loop detected: this automation already ran earlier in the same chain";
+  } else if (chain.length >= MAX_CHAIN_DEPTH) {
+    run.status = "skipped";
+    run.error = `Chain too long: stopped after ${MAX_CHAIN_DEPTH} automations triggering each other`;
+  } else {
+    const limitReason = await checkRateLimit(automation, startedAt);
+    if (limitReason) {
+      await pauseAutomation(automation, limitReason);
+      run.status = "skipped";
+      run.error = `${limitReason}. Automation paused.`;
+    }
+  }
+
+  if (run.status === "skipped") {
+    await safeAsync(() => base44.entities.AutomationRun.create(run), {
+      errorMessage: `Failed to record run for "${automation.name}"`,
+    });
+    return { run, cascade: null };
+  }
+
+  // Create the run first so entities written by the action can point at it
+  const { data: savedRun } = await safeAsync(() => base44.entities.AutomationRun.create(run), {
+    errorMessage: `Failed to record run for "${automation.name}"`,
+  });
+
+  const stepResults = {};
+  const applied = [];
+  let aborted = false;
+  run.steps = [];
+
+  for (const [index, step] of steps.entries()) {
+    const number = index + 1;
+    const record = { step: number, action_type: step.action_type, on_error: step.on_error, status: "skipped" };
+    run.steps.push(record);
+    if (aborted) continue;
+
+    try {
+      const payload = renderActionStep(step, event, user, stepResults);
+      record.payload = redactActionData(payload);
+      const effect = await planAction(automation, step, payload, event, user, stepResults);
+      const result = await applyEffect(effect, savedRun);
+
+      stepResults[number] = toStepResult(effect, result);
+      if (effect.operation === "create" && result?.id) {
+        record.entity_id = result.id;
+        run.created_entity_ids.push(result.id);
+      }
+      applied.push({ effect, result });
+      record.status = "success";
+    } catch (error) {
+      console.error(`Automation "${automation.name}" step ${number} failed:`, error);
+      record.status = "failed";
+      record.error = error.message || String(error);
+      if (step.on_error !== "continue") aborted = true;
+    }
+  }
+
+  const failedSteps = run.steps.filter((record) => record.status === "failed");
+  if (steps.length === 0) {
+    run.status = "failed";
+    run.error = "This automation has no actions";
+  } else if (failedSteps.length === 0) {
+    run.status = "success";
+  } else {
+    run.status = aborted || applied.length === 0 ? "failed" : "partial";
+    run.error = failedSteps
+      .map((record) => (steps.length > 1 ? `Step ${record.step}: ${record.error}` : record.error))
+      .join("; ");
+  }
+
+  // Single-action rules keep their payload where the history has always shown it
+  if (steps.length === 1) {
+    run.action_payload = run.steps[0].payload;
+  }
+
+  run.duration_ms = Date.now() - startedAt.getTime();
+
+  if (savedRun?.id) {
+    await safeAsync(() => base44.entities.AutomationRun.update(savedRun.id, run), {
+      errorMessage: `Failed to record run for "${automation.name}"`,
+    });
+    run.id = savedRun.id;
+  }
+
+  await safeAsync(
+    async () => {
+      // Re-read the count: the same record may have run for other events since it was loaded
+      const [current] = await base44.entities.TaskAutomation.filter({ id: automation.id });
+      return base44.entities.TaskAutomation.update(automation.id, {
+        trigger_count: ((current || automation).trigger_count || 0) + 1,
+        last_triggered: run.started_at,
+      });
+    },
+    { errorMessage: `Failed to update "${automation.name}"` }
+  );
+
+  let cascade = null;
+  if (applied.length > 0 && run.id) {
+    cascade = { executed: 0, failed: 0, skipped: 0 };
+    for (const { effect, result } of applied) {
+      const cascadeResult = await safeAsync(() => cascadeEvents(effect, result, event, run.id), {
+        errorMessage: `Failed to run automations triggered by "${automation.name}"`,
+      });
+      cascade.executed += cascadeResult.data?.executed || 0;
+      cascade.failed += cascadeResult.data?.failed || 0;
+      cascade.skipped += cascadeResult.data?.skipped || 0;
+    }
+  }
+
+  return { run, cascade };
+}
+
+/**
+ * Count completed focus sessions on the same day as a session
+ * @param {Object} session - FocusSession record (included in the count)
+ * @returns {Promise<number>}
+ */
+export async function countSessionsToday(session) {
+  const day = new Date(session.ended_at || session.created_date || Date.now());
+  const sessions = await base44.entities.FocusSession.list("-created_date", 100);
+
+  const sameDay = sessions.filter(
+    (s) =>
+      s.completed !== false &&
+      s.id !== session.id &&
+      isSameDay(new Date(s.ended_at || s.created_date), day)
+  );
+  return sameDay.length + 1;
+}
+
+/**
+ * Run every automation matching an automation event
+ * @param {Object} event - { type, task, previousTask, session, note, previousNote, causedByRunId }
+ * @returns {Promise<{executed: number, failed: number, skipped: number}>}
+ */
+export async function runAutomations(event) {
+  const summary = { executed: 0, failed: 0, skipped: 0 };
+  const triggers = getEventTriggers(event);
+  if (triggers.length === 0) return summary;
+
+  const automations = await base44.entities.TaskAutomation.list();
+
+  // The sessions_today condition needs the day's count; only look it up when used
+  if (
+    event.type === "focus_session_completed" &&
+    event.sessionsToday === undefined &&
+    automations.some((automation) => automation.trigger_type === "focus_session_completed")
+  ) {
+    event = { ...event, sessionsToday: await countSessionsToday(event.session) };
+  }
+
+  const matching = automations
+    .map((automation) => ({
+      automation,
+      trigger: triggers.find((trigger) => matchesAutomation(automation, trigger, event)),
+    }))
+    .filter(({ trigger }) => trigger);
+
+  if (matching.length === 0) return summary;
+
+  const { data: user } = await safeAsync(() => base44.auth.me(), {
+    errorMessage: "Failed to load user for automations",
+  });
+
+  // Global kill switch
+  if (user?.automations_paused) return summary;
+
+  for (const { automation, trigger } of matching) {
+    const { run, cascade } = await executeAutomation(automation, event, { trigger, user });
+
+    if (run.status === "success") summary.executed++;
+    else if (run.status === "skipped") summary.skipped++;
+    else summary.failed++;
+
+    if (cascade) {
+      summary.executed += cascade.executed;
+      summary.failed += cascade.failed;
+      summary.skipped += cascade.skipped;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Compute when a time_based automation fires next
+ * @param {Object} automation - TaskAutomation record
+ * @param {string} timeZone - IANA timezone (the user's profile timezone)
+ * @param {Date} after - Find the first fire time after this instant
+ * @returns {Date|null} Next fire time, or null without a valid schedule
+ */
+export function getNextScheduledRun(automation, timeZone, after = new Date()) {
+  const cron = automation.trigger_conditions?.schedule?.cron;
+  if (automation.trigger_type !== "time_based" || !cron || validateCron(cron)) {
+    return null;
+  }
+  return getNextCronRun(cron, after, timeZone);
+}
+
+/**
+ * Run every time_based automation whose schedule came due
+ * A schedule that came due several times while the app was closed fires
+ * once, not once per missed slot.
+ * @param {Date} now - Current time
+ * @returns {Promise<{executed: number, failed: number, skipped: number}>}
+ */
+export async function runScheduledAutomations(now = new Date()) {
+  const summary = { executed: 0, failed: 0, skipped: 0 };
+
+  const automations = await base44.entities.TaskAutomation.filter({ trigger_type: "time_based" });
+  const active = automations.filter((automation) => automation.is_active !== false);
+  if (active.length === 0) return summary;
+
+  const user = await base44.auth.me();
+
+  // Global kill switch
+  if (user?.automations_paused) return summary;
+
+  const timeZone = getUserTimeZone(user);
+
+  for (const automation of active) {
+    // Count from the last run, or the last edit so pausing or rescheduling
+    // doesn't replay slots that passed in the meantime
+    const since = new Date(
+      Math.max(
+        new Date(automation.last_triggered || 0).getTime(),
+        new Date(automation.updated_date || automation.created_date || now).getTime()
+      )
+    );
+    const dueAt = getNextScheduledRun(automation, timeZone, since);
+    if (!dueAt || dueAt > now) continue;
+
+    const task = automation.trigger_task_id
+      ? (await base44.entities.Task.filter({ id: automation.trigger_task_id }))[0]
+      : null;
+    const event = { type: "scheduled", task: task || null, scheduledFor: dueAt.toISOString() };
+    if (!matchesAutomation(automation, "time_based", event)) continue;
+
+    const { run, cascade } = await executeAutomation(automation, event, { trigger: "time_based", user });
+
+    if (run.status === "success") summary.executed++;
+    else if (run.status === "skipped") summary.skipped++;
+    else summary.failed++;
+
+    if (cascade) {
+      summary.executed += cascade.executed;
+      summary.failed += cascade.failed;
+      summary.skipped += cascade.skipped;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Run every event_starting automation for calendar events entering its lead time
+ * Each automation fires once per event (and again if the event is moved).
+ * Events that have already started are skipped.
+ * @param {Date} now - Current time
+ * @returns {Promise<{executed: number, failed: number, skipped: number}>}
+ */
+export async function runEventStartingAutomations(now = new Date()) {
+  const summary = { executed: 0, failed: 0, skipped: 0 };
+
+  const automations = await base44.entities.TaskAutomation.filter({ trigger_type: "event_starting" });
+  const active = automations.filter((automation) => automation.is_active !== false);
+  if (active.length === 0) return summary;
+
+  const user = await base44.auth.me();
+
+  // Global kill switch
+  if (user?.automations_paused) return summary;
+
+  const getLeadMinutes = (automation) =>
+    Number(automation.trigger_conditions?.minutes_before ?? DEFAULT_EVENT_LEAD_MINUTES);
+  const longestLead = Math.max(...active.map(getLeadMinutes));
+
+  // Only events some automation is due for, soonest first, so a page limit
+  // never leaves out the ones about to start
+  const upcoming = await base44.entities.Event.filter(
+    {
+      start_time: {
+        $gt: now.toISOString(),
+        $lte: new Date(now.getTime() + longestLead * 60 * 1000).toISOString(),
+      },
+    },
+    "start_time"
+  );
+  if (upcoming.length === 0) return summary;
+
+  for (const automation of active) {
+    const leadMinutes = getLeadMinutes(automation);
+    const due = upcoming.filter(
+      (calendarEvent) =>
+        new Date(calendarEvent.start_time).getTime() - leadMinutes * 60 * 1000 <= now.getTime()
+    );
+    if (due.length === 0) continue;
+
+    // Events this automation already ran for, keyed by id and start time
+    const recentRuns = await base44.entities.AutomationRun.filter(
+      { automation_id: automation.id },
+      "-created_date",
+      100
+    );
+    const handled = new Set(
+      recentRuns
+        .map((run) => run.trigger_event?.calendarEvent)
+        .filter(Boolean)
+        .map((calendarEvent) => `${calendarEvent.id}@${calendarEvent.start_time}`)
+    );
+
+    for (const calendarEvent of due) {
+      if (handled.has(`${calendarEvent.id}@${calendarEvent.start_time}`)) continue;
+
+      const event = {
+        type: "event_starting",
+        task: null,
+        calendarEvent,
+        minutesUntil: Math.round((new Date(calendarEvent.start_time) - now) / 60000),
+      };
+      if (!matchesAutomation(automation, "event_starting", event)) continue;
+
+      const { run, cascade } = await executeAutomation(automation, event, {
+        trigger: "event_starting",
+        user,
+      });
+
+      if (run.status === "success") summary.executed++;
+      else if (run.status === "skipped") summary.skipped++;
+      else summary.failed++;
+
+      if (cascade) {
+        summary.executed += cascade.executed;
+        summary.failed += cascade.failed;
+        summary.skipped += cascade.skipped;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Re-run a recorded execution with its original trigger event
+ * The automation's current action settings are used.
+ * @param {Object} run - AutomationRun record
+ * @returns {Promise<Object>} New AutomationRun data
+ */
+export async function rerunAutomationRun(run) {
+  const [automation] = await base44.entities.TaskAutomation.filter({ id: run.automation_id });
+  if (!automation) throw new Error("This automation no longer exists");
+
+  const user = await base44.auth.me();
+  const { run: newRun } = await executeAutomation(
+    automation,
+    { ...run.trigger_event, causedByRunId: run.parent_run_id },
+    { trigger: run.trigger_type, user, retryOf: run.id }
+  );
+  return newRun;
+}
+
+/**
+ * Build a trigger event for testing an automation
+ * @param {string} triggerType - Trigger to simulate
+ * @param {Object} task - Existing or synthetic task
+ * @param {Object} options - { previousStatus } for status_changed, { payload } for incoming_webhook,
+ *   { session, sessionsToday } for focus_session_completed, { note } for note triggers,
+ *   { calendarEvent } for event_starting
+ * @returns {Object} Automation event
+ */
+export function buildTestEvent(
+  triggerType,
+  task,
+  {
+    previousStatus = "todo",
+    payload = {},
+    session = SAMPLE_SESSION,
+    sessionsToday = 1,
+    note = SAMPLE_NOTE,
+    calendarEvent = SAMPLE_EVENT,
+  } = {}
+) {
+  switch (triggerType) {
+    case "focus_session_completed":
+      return { type: "focus_session_completed", task: null, session, sessionsToday };
+    case "note_created":
+    case "note_tagged":
+      return { type: "note_created", task: null, note };
+    case "event_starting":
+      return {
+        type: "event_starting",
+        task: null,
+        calendarEvent,
+        minutesUntil: Math.round((new Date(calendarEvent.start_time) - new Date()) / 60000),
+      };
+    case "task_created":
+      return { type: "task_created", task };
+    case "task_completed":
+      return {
+        type: "task_updated",
+        previousTask: { ...task, status: previousStatus === "completed" ? "todo" : previousStatus },
+        task: { ...task, status: "completed" },
+      };
+    case "status_changed":
+      return { type: "task_updated", previousTask: { ...task, status: previousStatus }, task };
+    case "incoming_webhook":
+      return { type: "incoming_webhook", task: null, payload };
+    case "time_based":
+      return { type: "scheduled", task, scheduledFor: new Date().toISOString() };
+    default:
+      return { type: triggerType, task };
+  }
+}
+
+/**
+ * Dry-run an automation against an event without writing anything
+ * @param {Object} automation - TaskAutomation (saved or being edited)
+ * @param {Object} event - Task event (see buildTestEvent)
+ * @param {Object} user - Current user
+ * @returns {Promise<Object>} { wouldRun, triggerMatched, taskMatched, conditionsMatched,
+ *   conditions, steps, payload, effect, error } — payload and effect are the first step's;
+ *   steps holds { step, action_type, on_error, payload, effect, error, skipped } for each
+ */
+export async function previewAutomation(automation, event, user = null) {
+  const preview = {
+    triggerMatched: getEventTriggers(event).includes(automation.trigger_type),
+    taskMatched: !automation.trigger_task_id || automation.trigger_task_id === event.task?.id,
+    conditionsMatched: evaluateConditions(automation.trigger_conditions, event).matched,
+    conditions: explainConditions(automation.trigger_conditions, event),
+    steps: [],
+    payload: null,
+    effect: null,
+    error: null,
+  };
+
+  preview.wouldRun = preview.triggerMatched && preview.taskMatched && preview.conditionsMatched;
+
+  const stepResults = {};
+  let stopped = false;
+
+  for (const [index, step] of getAutomationSteps(automation).entries()) {
+    const number = index + 1;
+    const record = {
+      step: number,
+      action_type: step.action_type,
+      on_error: step.on_error,
+      payload: null,
+      effect: null,
+      error: null,
+      skipped: stopped,
+    };
+    preview.steps.push(record);
+    if (stopped) continue;
+
+    try {
+      const payload = renderActionStep(step, event, user, stepResults);
+      record.payload = redactActionData(payload);
+      record.effect = await planAction(automation, step, payload, event, user, stepResults);
+
+      // Nothing is created, so later steps see a placeholder ID
+      const placeholder = record.effect.operation === "create"
+        ? { id: `new-${record.effect.entity.toLowerCase()}-from-step-${number}` }
+        : null;
+      stepResults[number] = toStepResult(record.effect, placeholder);
+    } catch (error) {
+      record.error = error.message || String(error);
+      if (step.on_error !== "continue") stopped = true;
+    }
+  }
+
+  const [first] = preview.steps;
+  preview.payload = first?.payload ?? null;
+  preview.effect = first?.effect ?? null;
+  preview.error = preview.steps.length === 0
+    ? "This automation has no actions"
+    : preview.steps
+        .filter((record) => record.error)
+        .map((record) => (preview.steps.length > 1 ? `Step ${record.step}: ${record.error}` : record.error))
+        .join("; ") || null;
+
+  return preview;
+}
@@ -0,0 +1,220 @@
+/**
+ * Automation Import/Export
+ *
+ * Shares TaskAutomation rule sets as JSON files.
+ * - Export strips record metadata, run statistics and secrets (webhook
+ *   tokens, signing secrets and custom webhook header values; header names
+ *   are kept so they can be filled in again)
+ * - Task references (trigger_task_id, update_task steps' task_id) are exported
+ *   with the task's title and remapped on import to a task with the same
+ *   title; rules with a reference that doesn't match aren't imported, since
+ *   dropping it would make them act on every task
+ * - Import validates every rule against taskAutomation.schema.json and the
+ *   action's own checks before anything is created
+ *
+ * File format:
+ * { format: "timora-automations", version: 1, exported_at,
+ *   automations: [...], task_refs: { "<task id>": "<task title>" } }
+ *
+ * Usage:
+ * const file = buildAutomationExport(automations, tasks);
+ * const { automations, warnings, errors } = prepareAutomationImport(file, tasks);
+ */
+
+import taskAutomationSchema from "./taskAutomation.schema.json";
+import { isTemplateValue, validateAgainstSchema } from "./schemaValidation";
+import {
+  DEFAULT_RATE_LIMITS,
+  buildActionFields,
+  getAutomationSteps,
+  validateActionSteps,
+} from "./automationEngine";
+import { validateCron } from "./cronSchedule";
+import { generateWebhookSigningSecret, generateWebhookToken } from "./incomingWebhooks";
+
+export const EXPORT_FORMAT = "timora-automations";
+export const EXPORT_VERSION = 1;
+
+// Fields that describe a particular copy of a rule rather than the rule itself
+const EXCLUDED_FIELDS = [
+  "id",
+  "created_date",
+  "updated_date",
+  "created_by",
+  "trigger_count",
+  "last_triggered",
+  "paused_reason",
+  "paused_at",
+  "webhook_token",
+  "webhook_signing_secret",
+];
+
+/**
+ * Drop the signing secret and custom header values from action_data
+ * @param {Object} actionData - action_data
+ * @returns {Object}
+ */
+function withoutSecrets(actionData) {
+  if (!actionData?.secret && !actionData?.headers) return actionData;
+  const { secret, headers, ...rest } = actionData;
+  if (!headers || typeof headers !== "object") return rest;
+  // Header values are usually credentials (Authorization, API keys)
+  return { ...rest, headers: Object.fromEntries(Object.keys(headers).map((header) => [header, ""])) };
+}
+
+/**
+ * Strip metadata and secrets from an automation for sharing
+ * @param {Object} automation - TaskAutomation record
+ * @returns {Object}
+ */
+function toPortableAutomation(automation) {
+  const portable = Object.fromEntries(
+    Object.entries(automation).filter(([field]) => !EXCLUDED_FIELDS.includes(field))
+  );
+
+  if (portable.action_data) portable.action_data = withoutSecrets(portable.action_data);
+  if (Array.isArray(portable.actions)) {
+    portable.actions = portable.actions.map((step) =>
+      step && typeof step === "object" ? { ...step, action_data: withoutSecrets(step.action_data) } : step
+    );
+  }
+
+  return portable;
+}
+
+/**
+ * Build the export file contents
+ * @param {Array} automations - TaskAutomation records
+ * @param {Array} tasks - Task records (for reference titles)
+ * @returns {Object}
+ */
+export function buildAutomationExport(automations, tasks = []) {
+  const titles = Object.fromEntries(tasks.map((task) => [task.id, task.title]));
+  const taskRefs = {};
+
+  for (const automation of automations) {
+    const stepTaskIds = getAutomationSteps(automation).map((step) => step.action_data.task_id);
+    for (const id of [automation.trigger_task_id, ...stepTaskIds]) {
+      if (id && titles[id]) taskRefs[id] = titles[id];
+    }
+  }
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    automations: automations.map(toPortableAutomation),
+    task_refs: taskRefs,
+  };
+}
+
+/**
+ * Find a task by title, preferring ones that aren't completed
+ * @param {Array} tasks - Task records
+ * @param {string} title - Title to match (case-insensitive)
+ * @returns {Object|undefined}
+ */
+function findTaskByTitle(tasks, title) {
+  const wanted = String(title || "").trim().toLowerCase();
+  if (!wanted) return undefined;
+
+  const matches = tasks.filter((task) => task.title?.trim().toLowerCase() === wanted);
+  return matches.find((task) => task.status !== "completed") || matches[0];
+}
+
+/**
+ * Validate an export file and turn it into automations ready to create
+ * @param {Object} data - Parsed export file
+ * @param {Array} tasks - Current user's Task records (for remapping)
+ * @returns {{automations: Array, warnings: string[], errors: string[]}}
+ */
+export function prepareAutomationImport(data, tasks = []) {
+  if (!data || typeof data !== "object" || data.format !== EXPORT_FORMAT) {
+    throw new Error("This is not a Timora automations file");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error("This file was exported by a newer version of Timora");
+  }
+  if (!Array.isArray(data.automations) || data.automations.length === 0) {
+    throw new Error("The file doesn't contain any automations");
+  }
+
+  const taskRefs = data.task_refs || {};
+  const result = { automations: [], warnings: [], errors: [] };
+
+  data.automations.forEach((entry, index) => {
+    const name = entry?.name || `Automation ${index + 1}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      result.errors.push(`${name}: not an automation object`);
+      return;
+    }
+
+    const automation = toPortableAutomation(entry);
+    const steps = getAutomationSteps(automation);
+    if (Array.isArray(automation.actions)) Object.assign(automation, buildActionFields(steps));
+
+    const schemaErrors = validateAgainstSchema(automation, taskAutomationSchema);
+    const problems = Object.values(schemaErrors);
+
+    if (problems.length === 0) {
+      if (steps.length === 0) problems.push("No actions");
+      validateActionSteps(steps).forEach((stepErrors, stepIndex) => {
+        const prefix = steps.length > 1 ? `Step ${stepIndex + 1}: ` : "";
+        problems.push(...Object.values(stepErrors).map((error) => `${prefix}${error}`));
+      });
+    }
+
+    if (automation.trigger_type === "time_based") {
+      const cronError = validateCron(automation.trigger_conditions?.schedule?.cron);
+      if (cronError) problems.push(`Schedule: ${cronError}`);
+    }
+
+    if (problems.length > 0) {
+      result.errors.push(`"${name}": ${problems.join("; ")}`);
+      return;
+    }
+
+    const unmatched = [];
+    const remap = (id, label) => {
+      const task = findTaskByTitle(tasks, taskRefs[id]);
+      if (!task) unmatched.push(`no task named "${taskRefs[id] || id}" for its ${label}`);
+      return task?.id;
+    };
+
+    if (automation.trigger_task_id) {
+      automation.trigger_task_id = remap(automation.trigger_task_id, "trigger task");
+    }
+
+    // {{steps.N.id}} and other templated targets are resolved at run time
+    const remappedSteps = steps.map((step) => {
+      const targetId = step.action_data.task_id;
+      if (!targetId || isTemplateValue(targetId)) return step;
+      return { ...step, action_data: { ...step.action_data, task_id: remap(targetId, "update target") } };
+    });
+
+    // Without its task the rule would fire for, or update, whichever task triggered it
+    if (unmatched.length > 0) {
+      result.errors.push(`"${name}": ${unmatched.join("; ")}; create the task and import it again`);
+      return;
+    }
+    Object.assign(automation, buildActionFields(remappedSteps));
+
+    if (automation.trigger_type === "incoming_webhook") {
+      automation.webhook_token = generateWebhookToken();
+      automation.webhook_signing_secret = generateWebhookSigningSecret();
+      result.warnings.push(`"${name}": has a new webhook URL and signing secret; update the sending system`);
+    }
+    const webhookSteps = remappedSteps.filter((step) => step.action_type === "call_webhook");
+    if (webhookSteps.length > 0) {
+      result.warnings.push(`"${name}": signing secrets aren't exported; set one again if needed`);
+    }
+    const headerNames = [...new Set(webhookSteps.flatMap((step) => Object.keys(step.action_data.headers || {})))];
+    if (headerNames.length > 0) {
+      result.warnings.push(`"${name}": header values aren't exported; fill in ${headerNames.join(", ")} again`);
+    }
+
+    result.automations.push({ ...DEFAULT_RATE_LIMITS, ...automation });
+  });
+
+  return result;
+}
@@ -0,0 +1,264 @@
+/**
+ * Automation Templates
+ *
+ * Prebuilt TaskAutomation rules for the template gallery.
+ * Each template holds the automation data that gets created on install.
+ *
+ * Usage:
+ * const automation = buildAutomationFromTemplate(AUTOMATION_TEMPLATES[0]);
+ * await base44.entities.TaskAutomation.create(automation);
+ */
+
+import { buildCronExpression } from "./cronSchedule";
+import { DEFAULT_RATE_LIMITS, buildActionFields } from "./automationEngine";
+
+/**
+ * Build a schedule for a time_based template
+ * @param {Object} builder - Friendly schedule settings (see cronSchedule.js)
+ * @returns {Object} trigger_conditions with the schedule
+ */
+function scheduled(builder) {
+  return {
+    logic: "and",
+    rules: [],
+    schedule: { cron: buildCronExpression(builder), builder },
+  };
+}
+
+/**
+ * Build the action fields for a multi-step template
+ * @param {Array<Object>} steps - { action_type, action_data, on_error? } in order
+ * @returns {Object} { actions, action_type, action_data }
+ */
+function workflow(steps) {
+  return buildActionFields(
+    steps.map((step, index) => ({ id: `step_${index + 1}`, on_error: "abort", ...step }))
+  );
+}
+
+export const AUTOMATION_TEMPLATES = [
+  {
+    id: "review-high-priority",
+    title: "Review finished high-priority work",
+    description: "When a high-priority task is completed, create a review task due in two days.",
+    automation: {
+      name: "Review high-priority completions",
+      description: "Creates a review task for every completed high-priority task",
+      trigger_type: "task_completed",
+      trigger_conditions: {
+        logic: "and",
+        rules: [{ field: "priority", operator: "equals", value: "high" }],
+      },
+      action_type: "create_task",
+      action_data: {
+        title: "Review: {{task.title}}",
+        description: "Check the outcome of \"{{task.title}}\" and note any follow-ups",
+        priority: "medium",
+        category: "weekly",
+        due_date: "{{today+2d}}",
+      },
+    },
+  },
+  {
+    id: "weekly-cleanup-note",
+    title: "Weekly cleanup note",
+    description: "Every Friday afternoon, create a note to tidy up the week's loose ends.",
+    automation: {
+      name: "Weekly cleanup",
+      description: "Friday note for clearing out stale tasks",
+      trigger_type: "time_based",
+      trigger_conditions: scheduled({ frequency: "weekly", weekday: 5, time: "16:00" }),
+      action_type: "create_note",
+      action_data: {
+        title: "Weekly cleanup {{today}}",
+        content: "- Close or reschedule overdue tasks\n- Archive finished projects\n- Pick next week's top three",
+        tags: ["weekly", "cleanup"],
+      },
+    },
+  },
+  {
+    id: "escalate-overdue",
+    title: "Escalate overdue tasks",
+    description: "When a task goes overdue, raise it to high priority.",
+    automation: {
+      name: "Escalate overdue tasks",
+      description: "Bumps overdue tasks to high priority",
+      trigger_type: "task_overdue",
+      trigger_conditions: { logic: "and", rules: [] },
+      action_type: "update_task",
+      action_data: { priority: "high" },
+    },
+  },
+  {
+    id: "daily-planning",
+    title: "Daily planning task",
+    description: "Every weekday morning, add a task to plan the day.",
+    automation: {
+      name: "Plan the day",
+      description: "Weekday planning reminder",
+      trigger_type: "time_based",
+      trigger_conditions: scheduled({ frequency: "weekdays", time: "08:30" }),
+      action_type: "create_task",
+      action_data: {
+        title: "Plan today ({{today}})",
+        priority: "high",
+        category: "daily",
+        due_date: "{{today}}",
+      },
+    },
+  },
+  {
+    id: "project-completion-email",
+    title: "Email on project completion",
+    description: "Send yourself an email whenever a project task is completed.",
+    automation: {
+      name: "Project completion email",
+      description: "Emails you when project tasks are done",
+      trigger_type: "task_completed",
+      trigger_conditions: {
+        logic: "and",
+        rules: [{ field: "category", operator: "in", value: ["project"] }],
+      },
+      action_type: "send_email",
+      action_data: {
+        subject: "Completed: {{task.title}}",
+        body: "{{user.full_name}}, you finished \"{{task.title}}\" on {{today}}.",
+      },
+    },
+  },
+  {
+    id: "started-notes",
+    title: "Working notes when a task starts",
+    description: "When a task moves to In Progress, create a note for working notes.",
+    automation: {
+      name: "Working notes on start",
+      description: "Creates a note when a task is started",
+      trigger_type: "status_changed",
+      trigger_conditions: {
+        logic: "and",
+        rules: [{ field: "new_status", operator: "equals", value: "in_progress" }],
+      },
+      action_type: "create_note",
+      action_data: {
+        title: "Working notes: {{task.title}}",
+        content: "Started {{today}}.",
+        tags: ["working-notes"],
+      },
+    },
+  },
+  {
+    id: "focus-break",
+    title: "Break reminder after four focus sessions",
+    description: "After your fourth completed focus session of the day, create a note reminding you to take a longer break.",
+    automation: {
+      name: "Take a longer break",
+      description: "Break reminder after four focus sessions",
+      trigger_type: "focus_session_completed",
+      trigger_conditions: {
+        logic: "and",
+        rules: [{ field: "sessions_today", operator: "equals", value: 4 }],
+      },
+      action_type: "create_note",
+      action_data: {
+        title: "Time for a longer break",
+        content: "Four focus sessions done today. Step away for 20-30 minutes.",
+        tags: ["break"],
+      },
+    },
+  },
+  {
+    id: "todo-notes",
+    title: "Turn #todo notes into tasks",
+    description: "When a note tagged #todo is created, create a task from it.",
+    automation: {
+      name: "#todo notes to tasks",
+      description: "Creates a task for every note tagged todo",
+      trigger_type: "note_tagged",
+      trigger_conditions: {
+        logic: "and",
+        rules: [{ field: "note_tags", operator: "includes", value: "todo" }],
+      },
+      action_type: "create_task",
+      action_data: {
+        title: "{{note.title}}",
+        description: "{{note.content}}",
+        priority: "medium",
+        category: "daily",
+      },
+    },
+  },
+  {
+    id: "event-prep",
+    title: "Prep task before events",
+    description: "30 minutes before a calendar event, create a task to prepare for it.",
+    automation: {
+      name: "Prepare for events",
+      description: "Prep task ahead of each calendar event",
+      trigger_type: "event_starting",
+      trigger_conditions: { logic: "and", rules: [], minutes_before: 30 },
+      action_type: "create_task",
+      action_data: {
+        title: "Prepare: {{event.title}}",
+        priority: "high",
+        category: "daily",
+        due_date: "{{today}}",
+      },
+    },
+  },
+  {
+    id: "project-wrap-up",
+    title: "Project wrap-up workflow",
+    description:
+      "When a project task is completed, create a retrospective note and a follow-up task, then email yourself a summary.",
+    automation: {
+      name: "Project wrap-up",
+      description: "Retrospective note, follow-up task and summary email for finished projects",
+      trigger_type: "task_completed",
+      trigger_conditions: {
+        logic: "and",
+        rules: [{ field: "category", operator: "in", value: ["project"] }],
+      },
+      ...workflow([
+        {
+          action_type: "create_note",
+          action_data: {
+            title: "Retrospective: {{task.title}}",
+            content: "- What went well\n- What to change next time\n- Loose ends",
+            tags: ["retrospective"],
+          },
+        },
+        {
+          action_type: "create_task",
+          action_data: {
+            title: "Follow up on {{task.title}}",
+            description: "Go through the notes in \"{{steps.1.title}}\"",
+            priority: "medium",
+            category: "weekly",
+            due_date: "{{today+7d}}",
+          },
+        },
+        {
+          action_type: "send_email",
+          on_error: "continue",
+          action_data: {
+            subject: "Wrapped up: {{task.title}}",
+            body: "{{user.full_name}}, \"{{task.title}}\" is done. Follow-up \"{{steps.2.title}}\" is due {{steps.2.due_date}}.",
+          },
+        },
+      ]),
+    },
+  },
+];
+
+/**
+ * Build the automation data to create for a template
+ * @param {Object} template - Entry from AUTOMATION_TEMPLATES
+ * @returns {Object} TaskAutomation data
+ */
+export function buildAutomationFromTemplate(template) {
+  return {
+    ...DEFAULT_RATE_LIMITS,
+    ...JSON.parse(JSON.stringify(template.automation)),
+    is_active: true,
+  };
+}
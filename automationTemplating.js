@@ -0,0 +1,229 @@
+/**
+ * Automation Templating
+ *
+ * Substitutes {{variables}} in automation action_data.
+ * Values are looked up by path only; nothing is evaluated as code.
+ *
+ * Supported variables:
+ * - {{task.title}}, {{task.priority}}, {{task.due_date}}, ... (trigger task)
+ * - {{user.full_name}}, {{user.email}} (current user)
+ * - {{today}}, {{now}}
+ * - {{payload.field}} (incoming webhook payload, see incomingWebhooks.js)
+ * - {{session.duration}}, {{note.title}}, {{event.title}}, ... (focus session,
+ *   note or calendar event that triggered the automation)
+ * - {{steps.1.id}}, {{steps.2.title}}, ... (what earlier workflow steps
+ *   created or changed; steps are numbered from 1)
+ * - Date arithmetic on any date: {{today+3d}}, {{task.due_date-1w}}, {{today+1m}}
+ *
+ * Usage:
+ * renderTemplate("Follow up: {{task.title}}", { task });
+ * // => "Follow up: Quarterly report"
+ */
+
+import { addDays, addMonths, addWeeks, format, isValid, parseISO } from "date-fns";
+
+const TEMPLATE_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*(?:([+-])\s*(\d+)\s*([dwm]))?\s*\}\}/g;
+
+const ALLOWED_ROOTS = ["task", "user", "today", "now", "payload", "session", "note", "event", "steps"];
+
+/**
+ * Variables shown as hints in the automation editor
+ */
+export const TEMPLATE_VARIABLES = [
+  { name: "task.title", description: "Trigger task title" },
+  { name: "task.description", description: "Trigger task description" },
+  { name: "task.priority", description: "Trigger task priority" },
+  { name: "task.category", description: "Trigger task category" },
+  { name: "task.due_date", description: "Trigger task due date" },
+  { name: "user.full_name", description: "Your name" },
+  { name: "user.email", description: "Your email" },
+  { name: "today", description: "Today's date" },
+  { name: "today+3d", description: "Date arithmetic (d, w, m)" },
+  { name: "payload.title", description: "Field from an incoming webhook payload" },
+  { name: "session.duration", description: "Focus session length (minutes)" },
+  { name: "note.title", description: "Trigger note title" },
+  { name: "event.title", description: "Calendar event title" },
+  { name: "event.start_time", description: "Calendar event start" },
+  { name: "steps.1.id", description: "ID of what workflow step 1 created" },
+  { name: "steps.1.title", description: "Title of what workflow step 1 created or changed" },
+];
+
+/**
+ * Sample trigger task used for previews
+ */
+export const SAMPLE_TASK = {
+  id: "sample-task",
+  title: "Prepare quarterly report",
+  description: "Collect numbers from each team",
+  priority: "high",
+  category: "project",
+  status: "completed",
+  due_date: format(new Date(), "yyyy-MM-dd"),
+};
+
+/**
+ * Sample focus session, note and calendar event used for previews
+ */
+export const SAMPLE_SESSION = {
+  id: "sample-session",
+  duration: 25,
+  session_type: "pomodoro",
+  task_title: "Prepare quarterly report",
+  completed: true,
+  started_at: new Date(Date.now() - 25 * 60 * 1000).toISOString(),
+  ended_at: new Date().toISOString(),
+};
+
+export const SAMPLE_NOTE = {
+  id: "sample-note",
+  title: "Call the printer about the brochure",
+  content: "Ask for the proof by Friday #todo",
+  tags: ["todo"],
+};
+
+export const SAMPLE_EVENT = {
+  id: "sample-event",
+  title: "Client kickoff",
+  description: "Intro call with the new client",
+  start_time: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+  end_time: new Date(Date.now() + 90 * 60 * 1000).toISOString(),
+};
+
+/**
+ * Build the variable context for an automation run
+ * @param {Object} params - { task, user, now, payload, session, note, calendarEvent, steps }
+ * @returns {Object}
+ */
+export function buildTemplateContext({
+  task = null,
+  user = null,
+  now = new Date(),
+  payload = null,
+  session = null,
+  note = null,
+  calendarEvent = null,
+  steps = null,
+} = {}) {
+  return {
+    task: task || {},
+    user: user || {},
+    payload: payload || {},
+    session: session || {},
+    note: note || {},
+    event: calendarEvent || {},
+    steps: steps || {},
+    today: format(now, "yyyy-MM-dd"),
+    now: now.toISOString(),
+  };
+}
+
+/**
+ * Look up a dotted path on own properties only
+ * @param {Object} context - Template context
+ * @param {string} path - e.g. "task.title"
+ * @returns {any} Value or undefined
+ */
+function lookup(context, path) {
+  const [root, ...rest] = path.split(".");
+  if (!ALLOWED_ROOTS.includes(root)) return undefined;
+
+  let value = context[root];
+  for (const key of rest) {
+    if (value === null || typeof value !== "object") return undefined;
+    if (!Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Shift a date value by an offset
+ * @param {string} value - Date or date-time string
+ * @param {string} sign - "+" or "-"
+ * @param {number} amount - Offset amount
+ * @param {string} unit - "d", "w" or "m"
+ * @returns {string|undefined} yyyy-MM-dd
+ */
+function shiftDate(value, sign, amount, unit) {
+  const date = parseISO(String(value));
+  if (!isValid(date)) return undefined;
+
+  const offset = sign === "-" ? -amount : amount;
+  const shifted = unit === "w"
+    ? addWeeks(date, offset)
+    : unit === "m"
+    ? addMonths(date, offset)
+    : addDays(date, offset);
+
+  return format(shifted, "yyyy-MM-dd");
+}
+
+/**
+ * Render a single template string
+ * @param {string} template - Text containing {{variables}}
+ * @param {Object} context - Template context (see buildTemplateContext)
+ * @returns {string} Rendered text; unknown variables render empty
+ */
+export function renderTemplate(template, context) {
+  if (typeof template !== "string") return template;
+
+  return template.replace(TEMPLATE_PATTERN, (match, path, sign, amount, unit) => {
+    let value = lookup(context, path);
+    if (value !== undefined && sign) {
+      value = shiftDate(value, sign, parseInt(amount, 10), unit);
+    }
+    if (value === undefined || value === null) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Render every string inside action_data
+ * @param {any} data - action_data (object, array or string)
+ * @param {Object} context - Template context
+ * @returns {any} Copy of data with templates substituted
+ */
+export function renderActionData(data, context) {
+  if (typeof data === "string") return renderTemplate(data, context);
+  if (Array.isArray(data)) return data.map((item) => renderActionData(item, context));
+
+  if (data && typeof data === "object") {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [key, renderActionData(value, context)])
+    );
+  }
+
+  return data;
+}
+
+/**
+ * List variables in a template that don't resolve in the given context
+ * @param {string} template - Text containing {{variables}}
+ * @param {Object} context - Template context
+ * @returns {string[]} Unknown variable paths
+ */
+export function findUnknownVariables(template, context) {
+  if (typeof template !== "string") return [];
+
+  const unknown = [];
+  for (const [, path] of template.matchAll(TEMPLATE_PATTERN)) {
+    if (lookup(context, path) === undefined) unknown.push(path);
+  }
+  return unknown;
+}
+
+/**
+ * List every variable path used anywhere in action_data
+ * @param {any} data - action_data (object, array or string)
+ * @returns {string[]} Variable paths, without date offsets
+ */
+export function listTemplateVariables(data) {
+  if (typeof data === "string") {
+    return [...data.matchAll(TEMPLATE_PATTERN)].map(([, path]) => path);
+  }
+  if (Array.isArray(data)) return data.flatMap(listTemplateVariables);
+  if (data && typeof data === "object") {
+    return Object.values(data).flatMap(listTemplateVariables);
+  }
+  return [];
+}
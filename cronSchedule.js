@@ -0,0 +1,290 @@
+/**
+ * Cron Schedules
+ *
+ * Parses five-field cron expressions and computes fire times in a timezone.
+ * - minute hour day-of-month month day-of-week
+ * - Lists (1,15), ranges (1-5), steps (*\/15, 0-30/10) and names (MON, JAN)
+ * - Nth weekday of the month: MON#1 (first Monday), 5#3 (third Friday)
+ * - When both day-of-month and day-of-week are restricted, either may match
+ *   (standard cron behaviour)
+ * - Friendly schedules (every weekday at 9:00, first Monday of the month)
+ *   are built into cron expressions by buildCronExpression
+ *
+ * Usage:
+ * const next = getNextCronRun("0 9 * * 1-5", new Date(), "Europe/London");
+ */
+
+import { zonedTimeToUtc, getZonedParts } from "./timezoneUtils";
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+// Far enough ahead to find yearly and leap-day schedules
+const MAX_SEARCH_DAYS = 366 * 8;
+
+export const WEEKDAY_LABELS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const ORDINALS = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth" };
+
+/**
+ * Friendly schedule options shown in the automation editor
+ */
+export const SCHEDULE_FREQUENCIES = [
+  { value: "hourly", label: "Every hour" },
+  { value: "daily", label: "Every day" },
+  { value: "weekdays", label: "Every weekday" },
+  { value: "weekly", label: "Every week" },
+  { value: "monthly_day", label: "Monthly on a date" },
+  { value: "monthly_weekday", label: "Monthly on a weekday" },
+];
+
+/**
+ * Parse a single value, accepting names where the field has them
+ * @param {string} token - Value text
+ * @param {Object} field - Field definition
+ * @returns {number}
+ */
+function parseValue(token, field) {
+  const upper = token.toUpperCase();
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+  const value = nameIndex >= 0
+    ? nameIndex + (field.name === "month" ? 1 : 0)
+    : /^\d+$/.test(token) ? parseInt(token, 10) : NaN;
+
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value "${token}"`);
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {{values: Set<number>, nth: Array<{weekday: number, nth: number}>, restricted: boolean}}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  const nth = [];
+
+  for (const part of text.split(",")) {
+    const nthMatch = field.name === "day of week" && part.match(/^(\w+)#([1-5])$/);
+    if (nthMatch) {
+      nth.push({ weekday: parseValue(nthMatch[1], field) % 7, nth: parseInt(nthMatch[2], 10) });
+      continue;
+    }
+
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid range "${range}" in ${field.name}`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === "day of week" ? value % 7 : value);
+    }
+  }
+
+  return { values, nth, restricted: text !== "*" && !text.startsWith("*/") };
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "0 9 * * 1-5"
+ * @returns {Object} Parsed schedule
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCron(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error("Cron expression must have 5 fields: minute hour day month weekday");
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) =>
+    parseField(part, FIELDS[i])
+  );
+
+  return {
+    minutes: [...minute.values].sort((a, b) => a - b),
+    hours: [...hour.values].sort((a, b) => a - b),
+    daysOfMonth: dayOfMonth.values,
+    months: month.values,
+    daysOfWeek: dayOfWeek.values,
+    nthWeekdays: dayOfWeek.nth,
+    dayOfMonthRestricted: dayOfMonth.restricted,
+    dayOfWeekRestricted: dayOfWeek.restricted,
+  };
+}
+
+/**
+ * Validate a cron expression
+ * Expressions that parse but never fire (e.g. "0 9 31 2 *") are rejected.
+ * @param {string} expression - Cron expression
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCron(expression) {
+  try {
+    // Which days match doesn't depend on the timezone
+    if (!getNextCronRun(expression, new Date(), "UTC")) {
+      return "This schedule never runs: no date matches its day and month fields";
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Check whether a calendar day matches the day fields of a schedule
+ * @param {Object} cron - Parsed schedule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {boolean}
+ */
+function matchesDay(cron, year, month, day) {
+  if (!cron.months.has(month)) return false;
+
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const dayOfMonthMatch = cron.daysOfMonth.has(day);
+  const dayOfWeekMatch = cron.daysOfWeek.has(weekday) ||
+    cron.nthWeekdays.some((entry) => entry.weekday === weekday && Math.ceil(day / 7) === entry.nth);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  if (cron.dayOfWeekRestricted) return dayOfWeekMatch;
+  return dayOfMonthMatch;
+}
+
+/**
+ * Compute the next fire time of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Find the first fire time strictly after this instant
+ * @param {string} timeZone - IANA timezone the schedule is written in
+ * @returns {Date|null} Next fire time, or null if none in the search window
+ */
+export function getNextCronRun(expression, after, timeZone) {
+  const cron = parseCron(expression);
+  const start = getZonedParts(after, timeZone);
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    if (!matchesDay(cron, year, month, day)) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const runAt = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+        if (runAt > after) return runAt;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compute several upcoming fire times
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Start after this instant
+ * @param {string} timeZone - IANA timezone
+ * @param {number} count - How many fire times to return
+ * @returns {Date[]}
+ */
+export function getNextCronRuns(expression, after, timeZone, count = 5) {
+  const runs = [];
+  let cursor = after;
+
+  while (runs.length < count) {
+    const next = getNextCronRun(expression, cursor, timeZone);
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+
+  return runs;
+}
+
+/**
+ * Build a cron expression from friendly schedule settings
+ * @param {Object} builder - { frequency, time: "HH:MM", weekday, day_of_month, nth }
+ * @returns {string} Cron expression
+ */
+export function buildCronExpression(builder) {
+  const [hour = 9, minute = 0] = String(builder.time || "09:00").split(":").map(Number);
+
+  switch (builder.frequency) {
+    case "hourly":
+      return `${minute} * * * *`;
+    case "weekdays":
+      return `${minute} ${hour} * * 1-5`;
+    case "weekly":
+      return `${minute} ${hour} * * ${builder.weekday ?? 1}`;
+    case "monthly_day":
+      return `${minute} ${hour} ${builder.day_of_month || 1} * *`;
+    case "monthly_weekday":
+      return `${minute} ${hour} * * ${builder.weekday ?? 1}#${builder.nth || 1}`;
+    case "daily":
+    default:
+      return `${minute} ${hour} * * *`;
+  }
+}
+
+/**
+ * Create the default schedule for a new time_based automation
+ * @returns {Object} { cron, builder }
+ */
+export function createDefaultSchedule() {
+  const builder = { frequency: "weekdays", time: "09:00" };
+  return { cron: buildCronExpression(builder), builder };
+}
+
+/**
+ * Describe friendly schedule settings in plain language
+ * @param {Object} builder - Friendly schedule settings
+ * @returns {string}
+ */
+export function describeSchedule(builder) {
+  const time = builder.time || "09:00";
+  const weekday = WEEKDAY_LABELS[builder.weekday ?? 1];
+
+  switch (builder.frequency) {
+    case "hourly":
+      return `Every hour at :${time.split(":")[1] || "00"}`;
+    case "weekdays":
+      return `Every weekday at ${time}`;
+    case "weekly":
+      return `Every ${weekday} at ${time}`;
+    case "monthly_day":
+      return `Monthly on day ${builder.day_of_month || 1} at ${time}`;
+    case "monthly_weekday":
+      return `The ${ORDINALS[builder.nth || 1]} ${weekday} of every month at ${time}`;
+    case "daily":
+    default:
+      return `Every day at ${time}`;
+  }
+}
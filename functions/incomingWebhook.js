@@ -0,0 +1,125 @@
+/**
+ * Incoming Webhook Endpoint
+ *
+ * Backend function that receives requests for incoming_webhook automations
+ * (see incomingWebhooks.js for the request format and how they are run).
+ * - POST <server>/api/apps/<app id>/functions/incomingWebhook?token=<webhook_token>
+ * - Rejects requests for unknown tokens, bodies over 64 KB and requests
+ *   without a valid signature; nothing is stored for them
+ * - Stores accepted requests unmodified as pending incoming WebhookDelivery
+ *   records, with the automation they belong to and its owner; the owner's
+ *   app then checks the timestamp, delivery ID and payload and runs the
+ *   automation (processIncomingWebhooks)
+ * - Responds 202 once the request is stored
+ *
+ * Runs on Deno in the Base44 backend, with service role access so anyone
+ * holding the URL and signing secret can post without signing in.
+ */
+
+import { createClientFromRequest } from "npm:@base44/sdk@0.8";
+
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+// Only these headers are kept; the rest may carry the sender's own credentials
+const STORED_HEADERS = ["content-type", "x-timora-timestamp", "x-timora-delivery", "x-timora-signature"];
+
+/**
+ * Compute the HMAC-SHA256 signature of a payload (same as webhooks.js)
+ * @param {string} secret - Signing secret
+ * @param {string} message - Text to sign
+ * @returns {Promise<string>} Hex digest
+ */
+async function signPayload(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Compare two strings without exiting early on the first difference
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Build an error response
+ * @param {number} status - HTTP status
+ * @param {string} message - Reason shown to the sender
+ * @returns {Response}
+ */
+function reject(status, message) {
+  return Response.json({ error: message }, { status });
+}
+
+Deno.serve(async (req) => {
+  if (req.method !== "POST") {
+    return reject(405, "Webhooks must be sent with POST");
+  }
+
+  const token = new URL(req.url).searchParams.get("token");
+  if (!token) return reject(404, "Unknown webhook");
+
+  if (Number(req.headers.get("content-length")) > MAX_PAYLOAD_BYTES) {
+    return reject(413, "Payload is larger than 64 KB");
+  }
+  const rawBody = await req.text();
+  if (new TextEncoder().encode(rawBody).length > MAX_PAYLOAD_BYTES) {
+    return reject(413, "Payload is larger than 64 KB");
+  }
+
+  const headers = Object.fromEntries(
+    STORED_HEADERS.map((name) => [name, req.headers.get(name)]).filter(([, value]) => value !== null)
+  );
+  const timestamp = headers["x-timora-timestamp"];
+  const signature = headers["x-timora-signature"];
+  if (!timestamp || !headers["x-timora-delivery"] || !signature) {
+    return reject(400, "Missing X-Timora-Timestamp, X-Timora-Delivery or X-Timora-Signature header");
+  }
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const [automation] = await base44.asServiceRole.entities.TaskAutomation.filter({ webhook_token: token });
+    if (!automation || automation.trigger_type !== "incoming_webhook") {
+      return reject(404, "Unknown webhook");
+    }
+
+    const expected = automation.webhook_signing_secret
+      ? `sha256=${await signPayload(automation.webhook_signing_secret, `${timestamp}.${rawBody}`)}`
+      : null;
+    if (!expected || !safeEqual(signature, expected)) {
+      return reject(401, "Signature does not match");
+    }
+
+    const delivery = await base44.asServiceRole.entities.WebhookDelivery.create({
+      direction: "incoming",
+      status: "pending",
+      automation_id: automation.id,
+      // Written with the service role, so created_by isn't the automation's owner
+      owner: automation.created_by,
+      raw_body: rawBody,
+      request_headers: headers,
+      received_at: new Date().toISOString(),
+    });
+
+    return Response.json({ received: true, id: delivery.id }, { status: 202 });
+  } catch (error) {
+    console.error("Failed to store incoming webhook:", error);
+    return reject(500, "Failed to store the request; try again");
+  }
+});
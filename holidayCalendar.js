@@ -0,0 +1,181 @@
+/**
+ * Holiday Calendar
+ *
+ * Workdays and the user's holiday calendar (Holiday entities), consulted by
+ * the recurrence engine for rules limited to business days.
+ * - Weekends (Saturday, Sunday) and holidays are non-working days
+ * - Holidays are entered by hand or imported from an iCalendar (.ics) file
+ * - All-day events spanning several days become one holiday per day
+ * - Yearly repeating events (RRULE) are expanded through the end of next year
+ * - Imports skip dates that are already in the calendar
+ *
+ * Usage:
+ * const holidayDates = getHolidayDates(await base44.entities.Holiday.list());
+ * isWorkday(day, holidayDates); // => false on weekends and holidays
+ * const { holidays, warnings } = parseIcsHolidays(await file.text());
+ */
+
+import { addDays, addYears, endOfYear, format, parseISO, startOfDay } from "date-fns";
+import { expandRRule, validateRRule } from "./recurrenceRule";
+
+// Longest stretch of non-working days looked past when finding the next workday
+const MAX_WORKDAY_SEARCH_DAYS = 366;
+
+// Longest multi-day event imported as holidays
+const MAX_EVENT_DAYS = 31;
+
+/**
+ * Collect holiday dates for quick lookup
+ * @param {Array} holidays - Holiday records
+ * @returns {Set<string>} yyyy-MM-dd dates
+ */
+export function getHolidayDates(holidays = []) {
+  return new Set(holidays.map((holiday) => holiday.date).filter(Boolean));
+}
+
+/**
+ * Check whether a day is a workday (a weekday that isn't a holiday)
+ * @param {Date} day - Calendar day
+ * @param {Set<string>} holidayDates - From getHolidayDates
+ * @returns {boolean}
+ */
+export function isWorkday(day, holidayDates = new Set()) {
+  if ([0, 6].includes(day.getDay())) return false;
+  return !holidayDates.has(format(day, "yyyy-MM-dd"));
+}
+
+/**
+ * Find the first workday after a day
+ * @param {Date} day - Calendar day
+ * @param {Set<string>} holidayDates - From getHolidayDates
+ * @returns {Date|null} Start of the next workday, or null if none within a year
+ */
+export function getNextWorkday(day, holidayDates = new Set()) {
+  let next = addDays(startOfDay(day), 1);
+  for (let i = 0; i < MAX_WORKDAY_SEARCH_DAYS; i++) {
+    if (isWorkday(next, holidayDates)) return next;
+    next = addDays(next, 1);
+  }
+  return null;
+}
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} text - Escaped value
+ * @returns {string}
+ */
+function unescapeText(text) {
+  return text
+    .replace(/\\[nN]/g, " ")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into a calendar day
+ * @param {string} value - e.g. "20261225" or "20261225T000000Z"
+ * @returns {Date|null}
+ */
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || "");
+  if (!match) return null;
+  const day = parseISO(`${match[1]}-${match[2]}-${match[3]}`);
+  return Number.isNaN(day.getTime()) ? null : day;
+}
+
+/**
+ * Split an .ics file into VEVENT property maps
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Property name → value (parameters dropped)
+ */
+function readIcsEvents(text) {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+    } else if (line === "END:VEVENT") {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const separator = line.indexOf(":");
+      if (separator === -1) continue;
+      const name = line.slice(0, separator).split(";")[0].toUpperCase();
+      current[name] = line.slice(separator + 1);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Parse holidays from an iCalendar (.ics) file
+ * @param {string} text - File contents
+ * @param {Object} options - { now: expands repeating events through the end of next year }
+ * @returns {{holidays: Array<{date: string, name: string}>, warnings: string[]}}
+ */
+export function parseIcsHolidays(text, { now = new Date() } = {}) {
+  if (!/BEGIN:VCALENDAR/.test(text)) {
+    throw new Error("The file is not an iCalendar (.ics) file");
+  }
+
+  const holidays = [];
+  const warnings = [];
+  const expandUntil = endOfYear(addYears(now, 1));
+
+  for (const event of readIcsEvents(text)) {
+    const name = unescapeText(event.SUMMARY || "") || "Holiday";
+    const start = parseIcsDate(event.DTSTART);
+    if (!start) {
+      warnings.push(`"${name}" has no valid start date and was skipped`);
+      continue;
+    }
+
+    // DTEND is exclusive; events without one last a single day
+    const end = parseIcsDate(event.DTEND);
+    const length = Math.min(
+      Math.max(1, end ? Math.round((end - start) / 86400000) : 1),
+      MAX_EVENT_DAYS
+    );
+
+    let starts = [start];
+    if (event.RRULE) {
+      try {
+        if (validateRRule(event.RRULE)) throw new Error("Unsupported RRULE");
+        starts = expandRRule(event.RRULE, start, expandUntil);
+      } catch {
+        warnings.push(`"${name}" repeats in a way that isn't supported; only its first date was imported`);
+      }
+    }
+
+    for (const first of starts) {
+      for (let i = 0; i < length; i++) {
+        holidays.push({ date: format(addDays(first, i), "yyyy-MM-dd"), name });
+      }
+    }
+  }
+
+  if (holidays.length === 0) {
+    warnings.push("The file contains no events");
+  }
+
+  return { holidays, warnings };
+}
+
+/**
+ * Pick the imported holidays that aren't in the calendar yet
+ * @param {Array} imported - From parseIcsHolidays
+ * @param {Array} existing - Holiday records
+ * @returns {Array} One holiday per new date
+ */
+export function getNewHolidays(imported, existing = []) {
+  const known = getHolidayDates(existing);
+  return imported.filter((holiday) => {
+    if (known.has(holiday.date)) return false;
+    known.add(holiday.date);
+    return true;
+  });
+}
@@ -0,0 +1,270 @@
+/**
+ * Incoming Webhooks
+ *
+ * Lets external systems trigger incoming_webhook automations.
+ * - Each automation gets a secret webhook_token; its URL is the token
+ *   appended to the incoming webhook endpoint
+ * - Requests are signed with a separate webhook_signing_secret that never
+ *   appears in the URL, so knowing the URL isn't enough to send requests
+ * - Requests are verified before anything runs: JSON object body under
+ *   64 KB, HMAC signature, fresh timestamp and a delivery ID that hasn't
+ *   been seen before (replay protection)
+ * - The payload is exposed to action_data as {{payload.field}}; every
+ *   payload field the action uses must be present
+ * - Each request is logged as an incoming WebhookDelivery
+ *
+ * Requests are received by the incomingWebhook backend function
+ * (functions/incomingWebhook.js), which checks the token and signature and
+ * stores each request unmodified as a WebhookDelivery:
+ * { direction: "incoming", status: "pending", automation_id, owner,
+ *   raw_body, request_headers, received_at }
+ * processIncomingWebhooks() then verifies and runs the current user's
+ * requests in the app.
+ *
+ * Senders sign like outgoing webhooks (see webhooks.js), using the signing
+ * secret:
+ *   X-Timora-Timestamp: <Unix seconds>
+ *   X-Timora-Delivery: <unique ID>
+ *   X-Timora-Signature: sha256=<hex HMAC(signing secret, "<timestamp>.<raw body>")>
+ *
+ * Usage:
+ * const summary = await processIncomingWebhooks();
+ * // => { processed: 1, rejected: 0 }
+ */
+
+import { base44 } from "@/api/base44Client";
+import { safeAsync } from "./safeAsyncUtils";
+import { executeAutomation, getAutomationSteps } from "./automationEngine";
+import { listTemplateVariables } from "./automationTemplating";
+import { generateWebhookSecret, signWebhookPayload } from "./webhooks";
+
+// Backend function that receives the requests
+export const INCOMING_WEBHOOK_FUNCTION = "incomingWebhook";
+
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+// Requests signed longer ago than this are rejected as possible replays
+const TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Generate a new secret token for an automation
+ * @returns {string}
+ */
+export function generateWebhookToken() {
+  return generateWebhookSecret();
+}
+
+/**
+ * Generate a new signing secret for an automation
+ * @returns {string}
+ */
+export function generateWebhookSigningSecret() {
+  return generateWebhookSecret();
+}
+
+/**
+ * Build the URL external systems post to
+ * @param {string} token - Automation's webhook_token
+ * @returns {string}
+ */
+export function getIncomingWebhookUrl(token) {
+  const { serverUrl, appId } = base44.getConfig();
+  // Apps served by Base44 reach the API on their own origin
+  const origin = serverUrl || (typeof window !== "undefined" ? window.location.origin : "");
+  return `${origin}/api/apps/${appId}/functions/${INCOMING_WEBHOOK_FUNCTION}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Read a header regardless of case
+ * @param {Object} headers - Stored request headers
+ * @param {string} name - Header name
+ * @returns {string|undefined}
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Compare two strings without exiting early on the first difference
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Check a payload against the fields an automation's actions use
+ * @param {any} payload - Parsed request body
+ * @param {Object} automation - TaskAutomation record
+ * @returns {string[]} Problems (empty when valid)
+ */
+export function validateWebhookPayload(payload, automation) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return ["Payload must be a JSON object"];
+  }
+
+  const required = [
+    ...new Set(
+      getAutomationSteps(automation)
+        .flatMap((step) => listTemplateVariables(step.action_data))
+        .filter((path) => path.startsWith("payload."))
+        .map((path) => path.slice("payload.".length))
+    ),
+  ];
+
+  return required
+    .filter((path) => {
+      let value = payload;
+      for (const key of path.split(".")) {
+        if (value === null || typeof value !== "object" || !Object.prototype.hasOwnProperty.call(value, key)) {
+          return true;
+        }
+        value = value[key];
+      }
+      return value === undefined || value === null || value === "";
+    })
+    .map((path) => `Missing payload field "${path}"`);
+}
+
+/**
+ * Verify a stored request and parse its payload
+ * @param {Object} delivery - Pending incoming WebhookDelivery
+ * @param {Object} automation - TaskAutomation the token belongs to
+ * @returns {Promise<Object>} Parsed payload
+ * @throws {Error} Describing why the request was rejected
+ */
+export async function verifyIncomingDelivery(delivery, automation) {
+  const rawBody = delivery.raw_body || "";
+  if (new TextEncoder().encode(rawBody).length > MAX_PAYLOAD_BYTES) {
+    throw new Error("Payload is larger than 64 KB");
+  }
+
+  if (!automation.webhook_signing_secret) {
+    throw new Error("Automation has no signing secret; generate one in its webhook settings");
+  }
+
+  const timestamp = getHeader(delivery.request_headers, "X-Timora-Timestamp");
+  const deliveryId = getHeader(delivery.request_headers, "X-Timora-Delivery");
+  const signature = getHeader(delivery.request_headers, "X-Timora-Signature");
+  if (!timestamp || !deliveryId || !signature) {
+    throw new Error("Missing X-Timora-Timestamp, X-Timora-Delivery or X-Timora-Signature header");
+  }
+
+  const expected = `sha256=${await signWebhookPayload(
+    automation.webhook_signing_secret,
+    `${timestamp}.${rawBody}`
+  )}`;
+  if (!safeEqual(signature, expected)) {
+    throw new Error("Signature does not match");
+  }
+
+  const receivedAt = new Date(delivery.received_at || delivery.created_date).getTime();
+  const signedAt = Number(timestamp) * 1000;
+  if (!Number.isFinite(signedAt) || Math.abs(receivedAt - signedAt) > TIMESTAMP_TOLERANCE_MS) {
+    throw new Error("Timestamp is too old or in the future");
+  }
+
+  const earlier = await base44.entities.WebhookDelivery.filter({
+    automation_id: automation.id,
+    delivery_id: deliveryId,
+  });
+  // Rejected requests don't count: they may not have come from the sender
+  if (earlier.some((record) => record.id !== delivery.id && record.status !== "rejected")) {
+    throw new Error(`Delivery ${deliveryId} was already received`);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    throw new Error("Body is not valid JSON");
+  }
+
+  const problems = validateWebhookPayload(payload, automation);
+  if (problems.length > 0) {
+    throw new Error(problems.join("; "));
+  }
+
+  return payload;
+}
+
+/**
+ * Verify and run one stored request
+ * @param {Object} delivery - Pending incoming WebhookDelivery
+ * @param {Object} user - Current user
+ * @returns {Promise<string>} Final delivery status ("pending" if left for later)
+ */
+async function processDelivery(delivery, user) {
+  const [automation] = await base44.entities.TaskAutomation.filter({ id: delivery.automation_id });
+  // The endpoint already matched the token to this automation; not finding it
+  // here says nothing about the request, so leave it instead of rejecting it
+  if (!automation) return "pending";
+
+  const update = {
+    delivery_id: getHeader(delivery.request_headers, "X-Timora-Delivery"),
+    status: "rejected",
+    delivered_at: new Date().toISOString(),
+  };
+
+  try {
+    if (automation.trigger_type !== "incoming_webhook") {
+      throw new Error("Automation no longer runs on incoming webhooks");
+    }
+    if (automation.is_active === false) {
+      throw new Error("Automation is paused");
+    }
+    if (user?.automations_paused) {
+      throw new Error("All automations are switched off");
+    }
+
+    update.request_body = await verifyIncomingDelivery(delivery, automation);
+
+    const { run } = await executeAutomation(
+      automation,
+      { type: "incoming_webhook", task: null, payload: update.request_body },
+      { trigger: "incoming_webhook", user }
+    );
+    update.run_id = run.id;
+    update.status = run.status === "success" ? "success" : "failed";
+    update.error = run.error;
+  } catch (error) {
+    update.error = error.message || String(error);
+  }
+
+  await base44.entities.WebhookDelivery.update(delivery.id, update);
+  return update.status;
+}
+
+/**
+ * Verify and run the current user's pending incoming webhook requests
+ * @returns {Promise<{processed: number, rejected: number}>}
+ */
+export async function processIncomingWebhooks() {
+  const summary = { processed: 0, rejected: 0 };
+
+  const user = await base44.auth.me();
+  const pending = await base44.entities.WebhookDelivery.filter(
+    { direction: "incoming", status: "pending", owner: user.email },
+    "created_date"
+  );
+
+  for (const delivery of pending) {
+    const result = await safeAsync(() => processDelivery(delivery, user), {
+      errorMessage: "Failed to process incoming webhook",
+    });
+
+    if (result.success && result.data === "pending") continue;
+    if (result.success && result.data !== "rejected") summary.processed++;
+    else summary.rejected++;
+  }
+
+  return summary;
+}
@@ -0,0 +1,115 @@
+/**
+ * Overdue Detection
+ *
+ * Single definition of "overdue" shared by task cards, the Dashboard,
+ * automation conditions and the background detector.
+ * - A task is overdue once its due date is before today and it isn't completed
+ *   ("today" in the given timezone, the device's when omitted)
+ * - The moment a task becomes overdue is stored in `overdue_at`, so each
+ *   overdue episode is reported once. The stamp is only written after the
+ *   report succeeded; without a report callback nothing is stamped, so tasks
+ *   are still reported once automations become available
+ * - A stamp only counts for the due date it was made after, so moving the
+ *   due date forward lets the task go overdue again later (stale stamps are
+ *   also cleared when seen)
+ *
+ * Usage:
+ * if (isTaskOverdue(task)) { ... }
+ * const { newlyOverdue } = await detectOverdueTasks(new Date(), {
+ *   onOverdue: (task) => runAutomations(...),
+ *   timeZone: getUserTimeZone(user),
+ * });
+ */
+
+import { base44 } from "@/api/base44Client";
+import { differenceInCalendarDays, format, parseISO } from "date-fns";
+import { toZonedWallClock } from "./timezoneUtils";
+
+/**
+ * Get the calendar day of an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone (the device's when omitted)
+ * @returns {Date} Local date with the timezone's wall-clock day
+ */
+function toDay(date, timeZone) {
+  return timeZone ? toZonedWallClock(date, timeZone) : date;
+}
+
+/**
+ * Check whether a due date has passed (is before today)
+ * @param {string} dueDate - Due date (yyyy-MM-dd)
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - IANA timezone "today" is in (the device's when omitted)
+ * @returns {boolean}
+ */
+export function isDueDatePast(dueDate, now = new Date(), timeZone) {
+  if (!dueDate) return false;
+  return differenceInCalendarDays(parseISO(dueDate), toDay(now, timeZone)) < 0;
+}
+
+/**
+ * Check whether a task is overdue
+ * @param {Object} task - Task record
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - IANA timezone "today" is in (the device's when omitted)
+ * @returns {boolean}
+ */
+export function isTaskOverdue(task, now = new Date(), timeZone) {
+  return task.status !== "completed" && isDueDatePast(task.due_date, now, timeZone);
+}
+
+/**
+ * Get overdue tasks, most overdue first
+ * @param {Array} tasks - Task records
+ * @param {Date} now - Reference time
+ * @returns {Array}
+ */
+export function getOverdueTasks(tasks, now = new Date()) {
+  return tasks
+    .filter((task) => isTaskOverdue(task, now))
+    .sort((a, b) => a.due_date.localeCompare(b.due_date));
+}
+
+/**
+ * Record tasks that have become overdue since the last check
+ * A task is only stamped once `onOverdue` resolved for it; if it throws, the
+ * task is reported again on the next check.
+ * @param {Date} now - Current time
+ * @param {Object} options - { onOverdue: async callback run for each newly
+ *   overdue task (omit to only clear stale stamps), timeZone: IANA timezone
+ *   "today" is in (the user's profile timezone) }
+ * @returns {Promise<{newlyOverdue: Array, cleared: number}>} Tasks stamped with
+ *   overdue_at on this run, and how many stale stamps were cleared
+ */
+export async function detectOverdueTasks(now = new Date(), { onOverdue = null, timeZone } = {}) {
+  const tasks = await base44.entities.Task.list();
+  const newlyOverdue = [];
+  let cleared = 0;
+
+  for (const task of tasks) {
+    const overdue = isTaskOverdue(task, now, timeZone);
+    // Stamps made before the current due date passed belong to an earlier one
+    const reported =
+      !!task.overdue_at && format(toDay(new Date(task.overdue_at), timeZone), "yyyy-MM-dd") > task.due_date;
+
+    if (overdue && !reported) {
+      if (!onOverdue) continue;
+
+      const overdueAt = now.toISOString();
+      try {
+        await onOverdue({ ...task, overdue_at: overdueAt });
+      } catch (error) {
+        console.error(`Failed to report overdue task "${task.title}":`, error);
+        continue;
+      }
+      await base44.entities.Task.update(task.id, { overdue_at: overdueAt });
+      newlyOverdue.push({ ...task, overdue_at: overdueAt });
+    } else if (!overdue && task.overdue_at && task.status !== "completed") {
+      // Due date moved; completed tasks keep the stamp as a record
+      await base44.entities.Task.update(task.id, { overdue_at: null });
+      cleared++;
+    }
+  }
+
+  return { newlyOverdue, cleared };
+}
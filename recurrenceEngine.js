@@ -0,0 +1,759 @@
+/**
+ * Recurrence Engine
+ *
+ * Turns RecurringTask rules into real Task entities.
+ * - Expands each active rule into dated occurrences; "custom" rules
+ *   follow an iCalendar RRULE (see recurrenceRule.js)
+ * - Catches up on occurrences missed while the app was closed
+ * - Never creates a second task for the same occurrence
+ * - Monthly rules fall on a day of the month (clamped to the last day in
+ *   shorter months, so the 31st becomes Feb 28), the nth or last weekday,
+ *   the last day or the last weekday (Mon–Fri) of the month
+ * - "after_completion" rules are completion-relative: the next task is due
+ *   recurrence_interval days after the previous one was completed, and is only
+ *   generated once every earlier task of the rule is completed
+ * - Honors per-occurrence exceptions: a skipped date produces no task and a
+ *   moved date produces its task on the new day (RecurringTask.exceptions)
+ * - Rules limited to business days skip occurrences that land on a weekend or
+ *   holiday (see holidayCalendar.js), or shift them to the next workday
+ * - Rules with `max_occurrences` end once that many tasks were generated;
+ *   `occurrence_count` keeps the tally (rules saved before it existed start
+ *   from the number of tasks they already have)
+ * - Records progress in `last_generated`
+ * - Times are wall-clock times in the user's profile timezone: "09:00" stays
+ *   09:00 local across DST changes and on devices set to other zones. A time
+ *   skipped by a spring-forward jump happens after the jump (02:30 → 03:30);
+ *   a time repeated by a fall-back happens once, the first time
+ * - Validates rules and previews their upcoming occurrences for the editor
+ *
+ * Usage:
+ * const summary = await generateRecurringTasks();
+ * // => { created: 2, failed: 0 }
+ * describeRecurrence(rule); // => "Every 2 weeks on Mon, Fri"
+ */
+
+import { base44 } from "@/api/base44Client";
+import {
+  addDays,
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  differenceInCalendarWeeks,
+  format,
+  getDaysInMonth,
+  isSameDay,
+  parseISO,
+  startOfDay,
+  subDays,
+} from "date-fns";
+import { safeAsync } from "./safeAsyncUtils";
+import { describeRRule, expandRRule, formatOrdinal, validateRRule } from "./recurrenceRule";
+import { getHolidayDates, getNextWorkday, isWorkday } from "./holidayCalendar";
+import { getUserTimeZone, toZonedWallClock, zonedTimeToUtc } from "./timezoneUtils";
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const WEEK_ORDINALS = { 1: "first", 2: "second", 3: "third", 4: "fourth", "-1": "last" };
+
+// How far back a single run will look for missed occurrences
+const MAX_CATCH_UP_DAYS = 366;
+
+// How far ahead previews and validation look for occurrences
+const PREVIEW_SEARCH_DAYS = 366 * 5;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Get the first day a rule can produce an occurrence
+ * @param {Object} rule - RecurringTask record
+ * @returns {Date}
+ */
+export function getRuleStart(rule) {
+  if (rule.start_date) return startOfDay(parseISO(rule.start_date));
+  return startOfDay(rule.created_date ? new Date(rule.created_date) : new Date());
+}
+
+/**
+ * Apply the rule's "HH:MM" recurrence_time to a calendar day
+ * @param {Date} day - Calendar day
+ * @param {string} time - Time of day (HH:MM)
+ * @param {string} timeZone - IANA timezone the time is in (the device's when omitted)
+ * @returns {Date}
+ */
+export function applyRecurrenceTime(day, time, timeZone) {
+  const [hours, minutes] = (time || "00:00").split(":").map((n) => parseInt(n, 10) || 0);
+  if (timeZone) {
+    return zonedTimeToUtc(
+      { year: day.getFullYear(), month: day.getMonth() + 1, day: day.getDate(), hour: hours, minute: minutes },
+      timeZone
+    );
+  }
+
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+}
+
+/**
+ * Get the calendar day an instant falls on
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone (the device's when omitted)
+ * @returns {Date} Calendar day
+ */
+function toCalendarDay(date, timeZone) {
+  return startOfDay(timeZone ? toZonedWallClock(date, timeZone) : date);
+}
+
+/**
+ * Check whether a rule follows an RRULE rather than the simple patterns
+ * @param {Object} rule - RecurringTask record
+ * @returns {boolean}
+ */
+export function usesRRule(rule) {
+  return rule.recurrence_type === "custom" && Boolean(rule.rrule);
+}
+
+/**
+ * Work out the day of the month a monthly rule falls on
+ * @param {Object} rule - RecurringTask record (monthly_pattern, monthly_day,
+ *   monthly_week, monthly_weekday)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @returns {number|null} Day of the month, or null when the month has no such day
+ */
+export function getMonthlyOccurrenceDay(rule, year, month) {
+  const daysInMonth = getDaysInMonth(new Date(year, month, 1));
+
+  switch (rule.monthly_pattern) {
+    case "last_day":
+      return daysInMonth;
+
+    case "last_weekday": {
+      let day = daysInMonth;
+      while ([0, 6].includes(new Date(year, month, day).getDay())) day--;
+      return day;
+    }
+
+    case "nth_weekday": {
+      const weekday = WEEKDAY_INDEX[rule.monthly_weekday] ?? getRuleStart(rule).getDay();
+      const firstDay = ((weekday - new Date(year, month, 1).getDay() + 7) % 7) + 1;
+      const days = [];
+      for (let day = firstDay; day <= daysInMonth; day += 7) days.push(day);
+
+      const week = rule.monthly_week || 1;
+      return (week > 0 ? days[week - 1] : days[days.length + week]) ?? null;
+    }
+
+    case "day_of_month":
+    default:
+      // The 31st falls on the last day of shorter months rather than skipping them
+      return Math.min(rule.monthly_day || getRuleStart(rule).getDate(), daysInMonth);
+  }
+}
+
+/**
+ * Check whether a rule produces an occurrence on a given day
+ * @param {Object} rule - RecurringTask record
+ * @param {Date} day - Calendar day to check
+ * @returns {boolean}
+ */
+export function matchesRecurrence(rule, day) {
+  const start = getRuleStart(rule);
+  const interval = Math.max(1, rule.recurrence_interval || 1);
+  const daysSinceStart = differenceInCalendarDays(day, start);
+
+  if (daysSinceStart < 0) return false;
+
+  if (usesRRule(rule)) {
+    return expandRRule(rule.rrule, start, day, { from: day }).some((date) => isSameDay(date, day));
+  }
+
+  switch (rule.recurrence_type) {
+    case "daily":
+    case "custom":
+      return daysSinceStart % interval === 0;
+
+    case "weekly": {
+      const weekdays = rule.recurrence_days?.length
+        ? rule.recurrence_days.map((d) => WEEKDAY_INDEX[d])
+        : [start.getDay()];
+      if (!weekdays.includes(day.getDay())) return false;
+      return differenceInCalendarWeeks(day, start, { weekStartsOn: 1 }) % interval === 0;
+    }
+
+    case "monthly":
+      return (
+        differenceInCalendarMonths(day, start) % interval === 0 &&
+        day.getDate() === getMonthlyOccurrenceDay(rule, day.getFullYear(), day.getMonth())
+      );
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * List the days a rule occurs on within a time window, with their date-times
+ * @param {Object} rule - RecurringTask record
+ * @param {Object} window - { after (exclusive), until (inclusive), timeZone }
+ * @returns {Array<{day: Date, occursAt: Date}>} Ascending
+ */
+function listOccurrenceDays(rule, { after = null, until, timeZone }) {
+  const start = getRuleStart(rule);
+  const end = rule.end_date ? startOfDay(parseISO(rule.end_date)) : null;
+  const lastDay = toCalendarDay(until, timeZone);
+  const occurrences = [];
+
+  const add = (day) => {
+    const occursAt = applyRecurrenceTime(day, rule.recurrence_time, timeZone);
+    if ((!after || occursAt > after) && occursAt <= until) {
+      occurrences.push({ day, occursAt });
+    }
+  };
+
+  const afterDay = after && toCalendarDay(after, timeZone);
+
+  if (usesRRule(rule)) {
+    expandRRule(rule.rrule, start, end && end < lastDay ? end : lastDay, { from: afterDay }).forEach(add);
+    return occurrences;
+  }
+
+  let day = afterDay && afterDay > start ? afterDay : start;
+
+  while (day <= lastDay && (!end || day <= end)) {
+    if (matchesRecurrence(rule, day)) add(day);
+    day = addDays(day, 1);
+  }
+
+  return occurrences;
+}
+
+/**
+ * List the occurrences of a rule within a time window
+ * @param {Object} rule - RecurringTask record
+ * @param {Object} window - { after (exclusive), until (inclusive), timeZone: IANA
+ *   timezone recurrence_time is in (the device's when omitted) }
+ * @returns {Date[]} Occurrence date-times in ascending order
+ */
+export function getOccurrences(rule, window) {
+  return listOccurrenceDays(rule, window).map(({ occursAt }) => occursAt);
+}
+
+/**
+ * Check whether a rule has an occurrence on a day, within its end date
+ * @param {Object} rule - RecurringTask record
+ * @param {Date} day - Calendar day
+ * @returns {boolean}
+ */
+function isScheduledOn(rule, day) {
+  if (rule.end_date && day > startOfDay(parseISO(rule.end_date))) return false;
+  return matchesRecurrence(rule, day);
+}
+
+/**
+ * Work out when an occurrence of a business-days rule happens
+ * @param {Object} rule - RecurringTask record
+ * @param {Object} occurrence - { day, occursAt } the pattern produced
+ * @param {Set<string>} holidayDates - From getHolidayDates
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} occursAt on a workday; otherwise null when the rule
+ *   skips non-working days, or the same time on the next workday
+ */
+function applyWorkdays(rule, { day, occursAt }, holidayDates, timeZone) {
+  if (!rule.business_days_only || isWorkday(day, holidayDates)) return occursAt;
+  if (rule.non_workday_action !== "shift") return null;
+
+  const workday = getNextWorkday(day, holidayDates);
+  return workday && applyRecurrenceTime(workday, rule.recurrence_time, timeZone);
+}
+
+/**
+ * List a rule's occurrences within a window with exceptions applied
+ * Each entry keeps the date the pattern produced (the occurrence's identity)
+ * and when it actually happens: null when skipped, the new day when moved.
+ * Moved occurrences are placed in the window by their new date, and so are
+ * occurrences a business-days rule shifted off a weekend or holiday
+ * (`nonWorkday` is set on entries skipped or shifted that way). A shifted
+ * occurrence whose workday already has one is dropped (occursAt null), so a
+ * daily rule's weekend doesn't pile up on Monday.
+ * @param {Object} rule - RecurringTask record
+ * @param {Object} window - { after (exclusive), until (inclusive), movedSince: earliest
+ *   new date-time for moved occurrences (defaults to after), holidayDates, timeZone }
+ * @returns {Array<Object>} { date: "yyyy-MM-dd", scheduledAt, occursAt, exception, nonWorkday }, ascending
+ */
+export function getOccurrenceSchedule(
+  rule,
+  { after = null, until, movedSince = after, holidayDates = new Set(), timeZone }
+) {
+  const exceptions = new Map((rule.exceptions || []).map((exception) => [exception.date, exception]));
+  const entries = [];
+
+  for (const occurrence of listOccurrenceDays(rule, { after, until, timeZone })) {
+    const date = format(occurrence.day, "yyyy-MM-dd");
+    const scheduledAt = occurrence.occursAt;
+    const exception = exceptions.get(date) || null;
+    if (exception?.action === "move") continue;
+
+    // Explicit exceptions win over the rule's workday handling
+    const occursAt = exception?.action === "skip"
+      ? null
+      : applyWorkdays(rule, occurrence, holidayDates, timeZone);
+
+    // Shifted past the window; the next run picks it up
+    if (occursAt && occursAt > until) continue;
+
+    entries.push({
+      date,
+      scheduledAt,
+      occursAt,
+      exception,
+      nonWorkday: !exception && occursAt !== scheduledAt,
+    });
+  }
+
+  for (const exception of exceptions.values()) {
+    if (exception.action !== "move" || !exception.moved_to) continue;
+
+    const occursAt = applyRecurrenceTime(parseISO(exception.moved_to), rule.recurrence_time, timeZone);
+    if ((movedSince && occursAt <= movedSince) || occursAt > until) continue;
+
+    // Exceptions for dates the pattern no longer produces are ignored
+    const original = startOfDay(parseISO(exception.date));
+    if (!isScheduledOn(rule, original)) continue;
+
+    entries.push({
+      date: exception.date,
+      scheduledAt: applyRecurrenceTime(original, rule.recurrence_time, timeZone),
+      occursAt,
+      exception,
+      nonWorkday: false,
+    });
+  }
+
+  const taken = new Set(
+    entries.filter((entry) => entry.occursAt && !entry.nonWorkday).map((entry) => entry.occursAt.getTime())
+  );
+  for (const entry of entries) {
+    if (!entry.nonWorkday || !entry.occursAt) continue;
+    if (taken.has(entry.occursAt.getTime())) entry.occursAt = null;
+    else taken.add(entry.occursAt.getTime());
+  }
+
+  return entries.sort((a, b) => (a.occursAt || a.scheduledAt) - (b.occursAt || b.scheduledAt));
+}
+
+/**
+ * Record an exception for one occurrence, replacing any existing one
+ * @param {Object} rule - RecurringTask record
+ * @param {string} date - Occurrence date (yyyy-MM-dd) the pattern produces
+ * @param {Object|null} exception - { action: "skip" } or { action: "move", moved_to },
+ *   or null to restore the occurrence
+ * @returns {Array<Object>} Updated RecurringTask.exceptions
+ */
+export function setOccurrenceException(rule, date, exception) {
+  const others = (rule.exceptions || []).filter((existing) => existing.date !== date);
+  return exception ? [...others, { date, ...exception }] : others;
+}
+
+/**
+ * Count how many more tasks a rule may generate
+ * @param {Object} rule - RecurringTask record
+ * @param {number} generated - Tasks generated so far
+ * @returns {number|null} Remaining occurrences, or null when the rule has no limit
+ */
+export function getRemainingOccurrences(rule, generated = rule.occurrence_count || 0) {
+  if (!rule.max_occurrences) return null;
+  return Math.max(0, rule.max_occurrences - generated);
+}
+
+/**
+ * List a rule's next occurrences
+ * Skipped occurrences are left out and moved ones appear on their new day,
+ * and the list stops at the rule's occurrence limit.
+ * @param {Object} rule - RecurringTask record (or unsaved form data)
+ * @param {Object} options - { after: start after this instant, count, holidayDates, timeZone }
+ * @returns {Date[]} Up to `count` occurrence date-times, ascending
+ */
+export function getUpcomingOccurrences(
+  rule,
+  { after = new Date(), count = 10, holidayDates = new Set(), timeZone } = {}
+) {
+  const remaining = getRemainingOccurrences(rule);
+  const until = addDays(after, PREVIEW_SEARCH_DAYS);
+  return getOccurrenceSchedule(rule, { after, until, holidayDates, timeZone })
+    .filter((entry) => entry.occursAt)
+    .slice(0, remaining === null ? count : Math.min(count, remaining))
+    .map((entry) => entry.occursAt);
+}
+
+/**
+ * Validate a recurring rule before saving
+ * Catches combinations that would silently generate nothing or the wrong
+ * dates, such as a weekly rule with no days or an end before the start.
+ * @param {Object} rule - RecurringTask data
+ * @returns {Object} Map of field → error message (empty when valid)
+ */
+export function validateRecurringTask(rule) {
+  const errors = {};
+  const isValidDate = (value) => !Number.isNaN(parseISO(value).getTime());
+
+  if (rule.recurrence_type !== "custom" && rule.recurrence_interval !== undefined) {
+    if (!Number.isInteger(rule.recurrence_interval) || rule.recurrence_interval < 1) {
+      errors.recurrence_interval = "Repeat every must be a whole number of 1 or more";
+    }
+  }
+  if (rule.recurrence_type === "weekly" && !rule.recurrence_days?.length) {
+    errors.recurrence_days = "Pick at least one day of the week";
+  }
+  if (rule.recurrence_type === "monthly") {
+    if (
+      rule.monthly_day !== undefined && rule.monthly_day !== null &&
+      (!Number.isInteger(rule.monthly_day) || rule.monthly_day < 1 || rule.monthly_day > 31)
+    ) {
+      errors.monthly_day = "Day of month must be between 1 and 31";
+    }
+    if (rule.monthly_pattern === "nth_weekday" && rule.monthly_weekday && !(rule.monthly_weekday in WEEKDAY_INDEX)) {
+      errors.monthly_weekday = "Pick a day of the week";
+    }
+  }
+  if (rule.recurrence_type === "custom") {
+    const rruleError = validateRRule(rule.rrule);
+    if (rruleError) errors.rrule = rruleError;
+  }
+  if (rule.recurrence_time && !TIME_PATTERN.test(rule.recurrence_time)) {
+    errors.recurrence_time = "Time must be HH:MM";
+  }
+  if (rule.start_date && !isValidDate(rule.start_date)) {
+    errors.start_date = "Start date is not a valid date";
+  }
+  if (rule.end_date) {
+    if (!isValidDate(rule.end_date)) {
+      errors.end_date = "End date is not a valid date";
+    } else if (rule.start_date && !errors.start_date && rule.end_date < rule.start_date) {
+      errors.end_date = "End date must be on or after the start date";
+    }
+  }
+  if (
+    rule.max_occurrences !== undefined && rule.max_occurrences !== null &&
+    (!Number.isInteger(rule.max_occurrences) || rule.max_occurrences < 1)
+  ) {
+    errors.max_occurrences = "End after must be a whole number of 1 or more";
+  }
+  if (rule.auto_reminder_minutes < 0) {
+    errors.auto_reminder_minutes = "Reminder can't be negative";
+  }
+  if (rule.business_days_only && rule.non_workday_action && !["skip", "shift"].includes(rule.non_workday_action)) {
+    errors.non_workday_action = "Choose whether to skip or shift non-working days";
+  }
+
+  // Only worth checking once the rule itself makes sense; completion-relative
+  // rules have no calendar pattern
+  if (Object.keys(errors).length === 0 && rule.recurrence_type !== "after_completion") {
+    const start = getRuleStart(rule);
+    let schedule = [];
+    try {
+      schedule = getOccurrenceSchedule(rule, { until: addDays(start, PREVIEW_SEARCH_DAYS) });
+    } catch {
+      // The RRULE never produces a date
+    }
+    if (!schedule.some((entry) => entry.occursAt)) {
+      errors.pattern = "This schedule never produces a date; check the pattern and end date";
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describe the day a monthly rule falls on
+ * @param {Object} rule - RecurringTask record
+ * @returns {string} e.g. "the second Tuesday", "the 31st (or the last day of shorter months)"
+ */
+function describeMonthlyDay(rule) {
+  switch (rule.monthly_pattern) {
+    case "last_day":
+      return "the last day";
+    case "last_weekday":
+      return "the last weekday";
+    case "nth_weekday": {
+      const weekday = WEEKDAY_INDEX[rule.monthly_weekday] ?? getRuleStart(rule).getDay();
+      return `the ${WEEK_ORDINALS[rule.monthly_week || 1]} ${WEEKDAY_NAMES[weekday]}`;
+    }
+    case "day_of_month":
+    default: {
+      const day = rule.monthly_day || getRuleStart(rule).getDate();
+      return day > 28
+        ? `the ${formatOrdinal(day)} (or the last day of shorter months)`
+        : `the ${formatOrdinal(day)}`;
+    }
+  }
+}
+
+/**
+ * Describe a rule's recurrence pattern in plain language
+ * @param {Object} rule - RecurringTask record
+ * @returns {string} e.g. "Every 3 days", "Daily, skipping weekends and holidays"
+ */
+export function describeRecurrence(rule) {
+  const pattern = rule.max_occurrences
+    ? `${describePattern(rule)}, ${rule.max_occurrences} time${rule.max_occurrences === 1 ? "" : "s"}`
+    : describePattern(rule);
+  if (!rule.business_days_only) return pattern;
+
+  return rule.non_workday_action === "shift" || rule.recurrence_type === "after_completion"
+    ? `${pattern}, moved to the next workday on weekends and holidays`
+    : `${pattern}, skipping weekends and holidays`;
+}
+
+/**
+ * Describe a rule's calendar pattern
+ * @param {Object} rule - RecurringTask record
+ * @returns {string} e.g. "Weekly on Mon, Thu"
+ */
+function describePattern(rule) {
+  const interval = Math.max(1, rule.recurrence_interval || 1);
+
+  switch (rule.recurrence_type) {
+    case "daily":
+      return interval === 1 ? "Daily" : `Every ${interval} days`;
+    case "weekly":
+      return rule.recurrence_days?.length
+        ? `${interval === 1 ? "Weekly" : `Every ${interval} weeks`} on ${rule.recurrence_days.join(", ")}`
+        : interval === 1 ? "Weekly" : `Every ${interval} weeks`;
+    case "monthly":
+      return `${interval === 1 ? "Monthly" : `Every ${interval} months`} on ${describeMonthlyDay(rule)}`;
+    case "custom":
+      if (rule.rrule) return describeRRule(rule.rrule);
+      return interval === 1 ? "Daily" : `Every ${interval} days`;
+    case "after_completion":
+      return `${interval} day${interval === 1 ? "" : "s"} after completion`;
+    default:
+      return "Custom";
+  }
+}
+
+/**
+ * Build the Task payload for one occurrence of a rule
+ * @param {Object} rule - RecurringTask record
+ * @param {Date} occursAt - Occurrence date-time
+ * @param {string} occurrenceDate - Date the pattern produced (differs from
+ *   occursAt when the occurrence was moved; defaults to occursAt's date)
+ * @param {string} timeZone - IANA timezone the rule's dates are in
+ * @returns {Object} Task data
+ */
+export function buildTaskFromRule(rule, occursAt, occurrenceDate = null, timeZone) {
+  const dueDate = format(toCalendarDay(occursAt, timeZone), "yyyy-MM-dd");
+  return {
+    title: rule.title,
+    description: rule.description || "",
+    priority: rule.priority || "medium",
+    category: rule.category || "daily",
+    status: "todo",
+    due_date: dueDate,
+    recurring_task_id: rule.id,
+    occurrence_date: occurrenceDate || dueDate,
+  };
+}
+
+/**
+ * Work out when a completion-relative rule's next task is due
+ * Business-days rules always move to the next workday; there's nothing to skip to.
+ * @param {Object} rule - RecurringTask record with recurrence_type "after_completion"
+ * @param {Array} tasks - Tasks already generated for the rule
+ * @param {Set<string>} holidayDates - From getHolidayDates
+ * @param {string} timeZone - IANA timezone the rule's dates are in
+ * @returns {Date|null} Due date-time, or null while a task is still open or the rule has ended
+ */
+export function getNextCompletionOccurrence(rule, tasks, holidayDates = new Set(), timeZone) {
+  if (tasks.some((task) => task.status !== "completed")) return null;
+
+  const interval = Math.max(1, rule.recurrence_interval || 1);
+  const completedAt = tasks
+    .map((task) => new Date(task.completed_at || task.updated_date || task.due_date))
+    .filter((date) => !Number.isNaN(date.getTime()))
+    .sort((a, b) => b - a)[0];
+
+  // The first task is due on the start date
+  let day = completedAt ? addDays(toCalendarDay(completedAt, timeZone), interval) : getRuleStart(rule);
+
+  // Finishing a task early can't put the next one on or before an earlier occurrence
+  const latestOccurrence = tasks
+    .map((task) => task.occurrence_date)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  if (latestOccurrence && day <= startOfDay(parseISO(latestOccurrence))) {
+    day = addDays(startOfDay(parseISO(latestOccurrence)), 1);
+  }
+
+  if (rule.business_days_only && !isWorkday(day, holidayDates)) {
+    day = getNextWorkday(day, holidayDates);
+    if (!day) return null;
+  }
+
+  if (rule.end_date && day > startOfDay(parseISO(rule.end_date))) return null;
+
+  return applyRecurrenceTime(day, rule.recurrence_time, timeZone);
+}
+
+/**
+ * Generate the next task of a completion-relative rule
+ * The first task appears when its start date arrives; later ones as soon
+ * as the previous task is completed, due a set number of days later.
+ * @param {Object} rule - RecurringTask record
+ * @param {Date} now - Current time
+ * @param {Object} options - { holidayDates, timeZone }
+ * @returns {Promise<{created: number, failed: number}>}
+ */
+async function generateAfterCompletion(rule, now, { holidayDates, timeZone }) {
+  const existing = await base44.entities.Task.filter({ recurring_task_id: rule.id });
+  const generated = rule.occurrence_count ?? existing.length;
+  if (getRemainingOccurrences(rule, generated) === 0) {
+    return { created: 0, failed: 0 };
+  }
+
+  const occursAt = getNextCompletionOccurrence(rule, existing, holidayDates, timeZone);
+  if (!occursAt || (existing.length === 0 && occursAt > now)) {
+    return { created: 0, failed: 0 };
+  }
+
+  const taskData = buildTaskFromRule(rule, occursAt, null, timeZone);
+  if (existing.some((task) => task.occurrence_date === taskData.occurrence_date)) {
+    return { created: 0, failed: 0 };
+  }
+
+  const result = await safeAsync(() => base44.entities.Task.create(taskData), {
+    errorMessage: `Failed to generate task for "${rule.title}"`,
+  });
+  if (!result.success) return { created: 0, failed: 1 };
+
+  await base44.entities.RecurringTask.update(rule.id, {
+    last_generated: now.toISOString(),
+    occurrence_count: generated + 1,
+  });
+  return { created: 1, failed: 0 };
+}
+
+/**
+ * Generate all due tasks for a single rule
+ * @param {Object} rule - RecurringTask record
+ * @param {Date} now - Current time
+ * @param {Object} options - { holidayDates: from getHolidayDates, timeZone: IANA
+ *   timezone recurrence_time is in (the user's profile timezone) }
+ * @returns {Promise<{created: number, failed: number}>}
+ */
+export async function generateTasksForRule(
+  rule,
+  now = new Date(),
+  { holidayDates = new Set(), timeZone } = {}
+) {
+  if (rule.recurrence_type === "after_completion") {
+    return generateAfterCompletion(rule, now, { holidayDates, timeZone });
+  }
+  if (getRemainingOccurrences(rule) === 0) {
+    return { created: 0, failed: 0 };
+  }
+
+  const catchUpFloor = subDays(now, MAX_CATCH_UP_DAYS);
+  const lastGenerated = rule.last_generated ? new Date(rule.last_generated) : null;
+  const after = lastGenerated && lastGenerated > catchUpFloor ? lastGenerated : catchUpFloor;
+
+  // Moved occurrences can land before the cursor, so they're marked once
+  // generated instead; deleting their task doesn't bring them back
+  const occurrences = getOccurrenceSchedule(rule, {
+    after,
+    until: now,
+    movedSince: catchUpFloor,
+    holidayDates,
+    timeZone,
+  })
+    .filter((entry) => entry.occursAt && !entry.exception?.generated);
+  if (occurrences.length === 0) {
+    return { created: 0, failed: 0 };
+  }
+
+  // Tasks already generated for this rule, keyed by occurrence date
+  const existing = await base44.entities.Task.filter({ recurring_task_id: rule.id });
+  const generatedDates = new Set(existing.map((task) => task.occurrence_date));
+  const generated = rule.occurrence_count ?? existing.length;
+  const remaining = getRemainingOccurrences(rule, generated);
+
+  let created = 0;
+  let failed = 0;
+  let newest = null;
+  const movedDone = new Set();
+
+  for (const { date, occursAt, exception } of occurrences) {
+    // Occurrences past the limit stay ahead of the cursor in case it's raised
+    if (remaining !== null && created >= remaining) break;
+    newest = occursAt;
+
+    const taskData = buildTaskFromRule(rule, occursAt, date, timeZone);
+    if (!generatedDates.has(taskData.occurrence_date)) {
+      const result = await safeAsync(() => base44.entities.Task.create(taskData), {
+        errorMessage: `Failed to generate task for "${rule.title}"`,
+      });
+
+      if (!result.success) {
+        failed++;
+        continue;
+      }
+      generatedDates.add(taskData.occurrence_date);
+      created++;
+    }
+    if (exception?.action === "move") movedDone.add(date);
+  }
+
+  const updates = created > 0 ? { occurrence_count: generated + created } : {};
+  if (movedDone.size > 0) {
+    updates.exceptions = rule.exceptions.map((exception) =>
+      movedDone.has(exception.date) && exception.action === "move" ? { ...exception, generated: true } : exception
+    );
+  }
+
+  // Only advance the cursor when every occurrence made it, so failures are retried.
+  // Occurrences moved to an earlier day never move it backwards.
+  if (failed === 0 && newest && (!lastGenerated || newest > lastGenerated)) {
+    updates.last_generated = newest.toISOString();
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await base44.entities.RecurringTask.update(rule.id, updates);
+  }
+
+  return { created, failed };
+}
+
+/**
+ * Generate tasks for every active recurring rule
+ * @param {Date} now - Current time
+ * @returns {Promise<{created: number, failed: number}>}
+ */
+export async function generateRecurringTasks(now = new Date()) {
+  const rules = await base44.entities.RecurringTask.list();
+  const summary = { created: 0, failed: 0 };
+
+  // Rule times are wall-clock times in the profile timezone, whatever the device's zone
+  const timeZone = getUserTimeZone(await base44.auth.me());
+
+  // Only business-days rules need the holiday calendar
+  const holidayDates = rules.some((r) => r.is_active !== false && r.business_days_only)
+    ? getHolidayDates(await base44.entities.Holiday.list())
+    : new Set();
+
+  for (const rule of rules.filter((r) => r.is_active !== false)) {
+    const result = await safeAsync(() => generateTasksForRule(rule, now, { holidayDates, timeZone }), {
+      errorMessage: `Failed to process recurring task "${rule.title}"`,
+    });
+
+    if (result.success) {
+      summary.created += result.data.created;
+      summary.failed += result.data.failed;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,559 @@
+/**
+ * Recurrence Rules (RRULE)
+ *
+ * Parses, builds, describes and expands iCalendar (RFC 5545) RRULE strings
+ * for custom recurring tasks (RecurringTask.rrule).
+ * - FREQ: DAILY, WEEKLY, MONTHLY or YEARLY (tasks repeat at most daily)
+ * - INTERVAL, COUNT, UNTIL, WKST
+ * - BYDAY with optional ordinals for MONTHLY/YEARLY (2TU, -1FR)
+ * - BYMONTHDAY (negative counts from the end of the month), BYMONTH
+ * - BYSETPOS picks from the dates each period produces
+ *   (BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 is the last weekday of the month)
+ * - YEARLY rules apply BYDAY and BYMONTHDAY within BYMONTH; without BYMONTH
+ *   they cover the whole year (BYDAY=MO is every Monday, 20MO the year's
+ *   20th Monday, BYMONTHDAY=1 the 1st of every month)
+ * - Dates that don't exist in a month (the 31st in April) are skipped, as RFC 5545 says
+ *
+ * Occurrences are calendar days; the time of day comes from the rule's
+ * recurrence_time. COUNT counts from the rule's start date; rules without
+ * COUNT are expanded from the window asked for, however long ago they
+ * started.
+ *
+ * Usage:
+ * const error = validateRRule("FREQ=MONTHLY;BYDAY=2TU");
+ * const days = expandRRule("FREQ=WEEKLY;BYDAY=MO,WE", startDate, until, { from });
+ * describeRRule("FREQ=MONTHLY;BYDAY=2TU"); // => "Monthly on the second Tuesday"
+ */
+
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  differenceInCalendarDays,
+  differenceInCalendarMonths,
+  differenceInCalendarWeeks,
+  format,
+  getDaysInMonth,
+  isAfter,
+  isBefore,
+  parseISO,
+  startOfDay,
+  startOfWeek,
+} from "date-fns";
+
+export const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+export const RRULE_FREQUENCIES = [
+  { value: "DAILY", label: "Daily", unit: "day" },
+  { value: "WEEKLY", label: "Weekly", unit: "week" },
+  { value: "MONTHLY", label: "Monthly", unit: "month" },
+  { value: "YEARLY", label: "Yearly", unit: "year" },
+];
+
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+const ORDINAL_WORDS = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth", "-1": "last", "-2": "second-to-last" };
+
+// Rules that go this many periods without a date never produce one
+// (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_EMPTY_PERIODS = 5000;
+
+/**
+ * Parse a comma-separated list of integers within a range
+ * @param {string} name - RRULE part name (for errors)
+ * @param {string} text - Part value
+ * @param {number} max - Largest allowed absolute value
+ * @param {boolean} allowNegative - Whether values may count from the end
+ * @returns {number[]}
+ */
+function parseNumberList(name, text, max, allowNegative = true) {
+  return text.split(",").map((token) => {
+    const value = /^[+-]?\d+$/.test(token) ? parseInt(token, 10) : NaN;
+    if (Number.isNaN(value) || value === 0 || Math.abs(value) > max || (!allowNegative && value < 0)) {
+      throw new Error(`Invalid ${name} value "${token}"`);
+    }
+    return value;
+  });
+}
+
+/**
+ * Parse an UNTIL value (DATE or DATE-TIME form) into a yyyy-MM-dd string
+ * @param {string} text - e.g. "20261231" or "20261231T235959Z"
+ * @returns {string}
+ */
+function parseUntil(text) {
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+  if (!match) throw new Error(`Invalid UNTIL value "${text}"`);
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (Number.isNaN(parseISO(date).getTime())) throw new Error(`Invalid UNTIL value "${text}"`);
+  return date;
+}
+
+/**
+ * Parse an RRULE string
+ * @param {string} text - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE" (an "RRULE:" prefix is allowed)
+ * @returns {Object} { freq, interval, byDay: [{ weekday, nth }], byMonthDay, byMonth,
+ *   bySetPos, count, until, weekStart }
+ * @throws {Error} When the rule is invalid or uses unsupported parts
+ */
+export function parseRRule(text) {
+  const source = String(text || "").trim().replace(/^RRULE:/i, "");
+  if (!source) throw new Error("Recurrence rule is empty");
+
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    count: null,
+    until: null,
+    weekStart: 1,
+  };
+  const seen = new Set();
+
+  for (const part of source.split(";").filter(Boolean)) {
+    const [rawName, value] = part.split("=");
+    const name = rawName.trim().toUpperCase();
+    if (!value) throw new Error(`Missing value for ${name}`);
+    if (seen.has(name)) throw new Error(`${name} is set more than once`);
+    seen.add(name);
+
+    switch (name) {
+      case "FREQ": {
+        const freq = value.toUpperCase();
+        if (["SECONDLY", "MINUTELY", "HOURLY"].includes(freq)) {
+          throw new Error("Recurring tasks repeat at most daily");
+        }
+        if (!RRULE_FREQUENCIES.some((option) => option.value === freq)) {
+          throw new Error(`Unknown frequency "${value}"`);
+        }
+        rule.freq = freq;
+        break;
+      }
+      case "INTERVAL":
+        [rule.interval] = parseNumberList("INTERVAL", value, 1000, false);
+        break;
+      case "COUNT":
+        [rule.count] = parseNumberList("COUNT", value, 10000, false);
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        break;
+      case "WKST": {
+        const weekStart = RRULE_WEEKDAYS.indexOf(value.toUpperCase());
+        if (weekStart < 0) throw new Error(`Invalid WKST value "${value}"`);
+        rule.weekStart = weekStart;
+        break;
+      }
+      case "BYDAY":
+        rule.byDay = value.split(",").map((token) => {
+          const match = token.toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          const nth = match?.[1] ? parseInt(match[1], 10) : 0;
+          if (!match || (match[1] && (nth === 0 || Math.abs(nth) > 53))) {
+            throw new Error(`Invalid BYDAY value "${token}"`);
+          }
+          return { weekday: RRULE_WEEKDAYS.indexOf(match[2]), nth };
+        });
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parseNumberList("BYMONTHDAY", value, 31);
+        break;
+      case "BYMONTH":
+        rule.byMonth = parseNumberList("BYMONTH", value, 12, false);
+        break;
+      case "BYSETPOS":
+        rule.bySetPos = parseNumberList("BYSETPOS", value, 366);
+        break;
+      default:
+        throw new Error(`${name} is not supported`);
+    }
+  }
+
+  if (!rule.freq) throw new Error("FREQ is required");
+  if (rule.count && rule.until) throw new Error("Use either COUNT or UNTIL, not both");
+
+  const hasOrdinals = rule.byDay.some((entry) => entry.nth !== 0);
+  if (hasOrdinals && !["MONTHLY", "YEARLY"].includes(rule.freq)) {
+    throw new Error("Numbered days (like 2TU) need FREQ=MONTHLY or FREQ=YEARLY");
+  }
+  const nthWithinMonth = rule.freq === "MONTHLY" || rule.byMonth.length > 0;
+  if (hasOrdinals && nthWithinMonth && rule.byDay.some((entry) => Math.abs(entry.nth) > 5)) {
+    throw new Error("A month has at most 5 of each weekday");
+  }
+  if (rule.byMonthDay.length > 0 && rule.freq === "WEEKLY") {
+    throw new Error("BYMONTHDAY can't be used with FREQ=WEEKLY");
+  }
+  if (rule.bySetPos.length > 0 && rule.byDay.length + rule.byMonthDay.length + rule.byMonth.length === 0) {
+    throw new Error("BYSETPOS needs BYDAY, BYMONTHDAY or BYMONTH");
+  }
+
+  return rule;
+}
+
+/**
+ * Validate an RRULE string
+ * @param {string} text - RRULE string
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateRRule(text) {
+  try {
+    parseRRule(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Build an RRULE string from a parsed rule
+ * @param {Object} rule - Parsed rule (see parseRRule)
+ * @returns {string} e.g. "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+ */
+export function buildRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map((entry) => `${entry.nth || ""}${RRULE_WEEKDAYS[entry.weekday]}`).join(",")}`);
+  }
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(",")}`);
+  if (rule.weekStart !== undefined && rule.weekStart !== 1) parts.push(`WKST=${RRULE_WEEKDAYS[rule.weekStart]}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, "")}`);
+
+  return parts.join(";");
+}
+
+/**
+ * Pick BYSETPOS positions from a period's sorted dates
+ * @param {Date[]} dates - Dates in the period, ascending
+ * @param {number[]} positions - 1-based positions; negative counts from the end
+ * @returns {Date[]}
+ */
+function applySetPos(dates, positions) {
+  if (positions.length === 0) return dates;
+
+  const picked = new Set();
+  for (const position of positions) {
+    const date = position > 0 ? dates[position - 1] : dates[dates.length + position];
+    if (date) picked.add(date.getTime());
+  }
+  return [...picked].sort((a, b) => a - b).map((time) => new Date(time));
+}
+
+/**
+ * List the days in one month that a rule's BYDAY/BYMONTHDAY produce
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {Date} start - Rule start (its day of month is the default)
+ * @returns {Date[]} Ascending
+ */
+function getMonthDays(rule, year, month, start) {
+  const daysInMonth = getDaysInMonth(new Date(year, month, 1));
+  let days = null;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map((day) => (day > 0 ? day : daysInMonth + day + 1))
+      .filter((day) => day >= 1 && day <= daysInMonth);
+  }
+
+  if (rule.byDay.length > 0) {
+    const weekdayDays = [];
+    for (const entry of rule.byDay) {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(year, month, day).getDay() === entry.weekday) matching.push(day);
+      }
+      if (entry.nth === 0) weekdayDays.push(...matching);
+      else {
+        const day = entry.nth > 0 ? matching[entry.nth - 1] : matching[matching.length + entry.nth];
+        if (day) weekdayDays.push(day);
+      }
+    }
+    days = days ? days.filter((day) => weekdayDays.includes(day)) : weekdayDays;
+  }
+
+  if (!days) {
+    days = start.getDate() <= daysInMonth ? [start.getDate()] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map((day) => new Date(year, month, day));
+}
+
+/**
+ * List the days in one year that a YEARLY rule produces
+ * With BYMONTH, BYDAY and BYMONTHDAY apply within those months; without it
+ * they apply to the whole year, and numbered days count within the year.
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {Date} start - Rule start (its month and day are the default)
+ * @returns {Date[]} Ascending
+ */
+function getYearDays(rule, year, start) {
+  const months = rule.byMonth.length > 0
+    ? [...rule.byMonth].sort((a, b) => a - b)
+    : rule.byDay.length === 0 && rule.byMonthDay.length === 0
+      ? [start.getMonth() + 1]
+      : null;
+  if (months) return months.flatMap((month) => getMonthDays(rule, year, month - 1, start));
+
+  let days = null;
+  if (rule.byMonthDay.length > 0) {
+    days = Array.from({ length: 12 }, (_, month) => getMonthDays({ ...rule, byDay: [] }, year, month, start))
+      .flat();
+  }
+
+  if (rule.byDay.length > 0) {
+    const yearDays = Array.from(
+      { length: differenceInCalendarDays(new Date(year + 1, 0, 1), new Date(year, 0, 1)) },
+      (_, offset) => new Date(year, 0, 1 + offset)
+    );
+    const weekdayDays = rule.byDay.flatMap((entry) => {
+      const matching = yearDays.filter((day) => day.getDay() === entry.weekday);
+      if (entry.nth === 0) return matching;
+      const day = entry.nth > 0 ? matching[entry.nth - 1] : matching[matching.length + entry.nth];
+      return day ? [day] : [];
+    });
+    const times = new Set(weekdayDays.map((day) => day.getTime()));
+    days = days ? days.filter((day) => times.has(day.getTime())) : weekdayDays;
+  }
+
+  return [...new Set(days.map((day) => day.getTime()))].sort((a, b) => a - b).map((time) => new Date(time));
+}
+
+/**
+ * List the candidate days of one period (day, week, month or year)
+ * @param {Object} rule - Parsed rule
+ * @param {number} index - Period number from the start
+ * @param {Date} start - Rule start (start of day)
+ * @returns {{begin: Date, days: Date[]}}
+ */
+function getPeriodDays(rule, index, start) {
+  const step = index * rule.interval;
+
+  switch (rule.freq) {
+    case "DAILY": {
+      const day = addDays(start, step);
+      const matches =
+        (rule.byMonth.length === 0 || rule.byMonth.includes(day.getMonth() + 1)) &&
+        (rule.byMonthDay.length === 0 ||
+          getMonthDays({ ...rule, byDay: [] }, day.getFullYear(), day.getMonth(), start)
+            .some((candidate) => candidate.getDate() === day.getDate())) &&
+        (rule.byDay.length === 0 || rule.byDay.some((entry) => entry.weekday === day.getDay()));
+      return { begin: day, days: matches ? [day] : [] };
+    }
+
+    case "WEEKLY": {
+      const begin = addWeeks(startOfWeek(start, { weekStartsOn: rule.weekStart }), step);
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map((entry) => entry.weekday) : [start.getDay()];
+      const days = [...new Set(weekdays)]
+        .map((weekday) => addDays(begin, (weekday - rule.weekStart + 7) % 7))
+        .filter((day) => rule.byMonth.length === 0 || rule.byMonth.includes(day.getMonth() + 1))
+        .sort((a, b) => a - b);
+      return { begin, days };
+    }
+
+    case "MONTHLY": {
+      const begin = addMonths(new Date(start.getFullYear(), start.getMonth(), 1), step);
+      const inMonth = rule.byMonth.length === 0 || rule.byMonth.includes(begin.getMonth() + 1);
+      return { begin, days: inMonth ? getMonthDays(rule, begin.getFullYear(), begin.getMonth(), start) : [] };
+    }
+
+    case "YEARLY":
+    default: {
+      const year = start.getFullYear() + step;
+      return { begin: new Date(year, 0, 1), days: getYearDays(rule, year, start) };
+    }
+  }
+}
+
+/**
+ * Find the period (day, week, month or year) a day falls in
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - Rule start (start of day)
+ * @param {Date} day - Day on or after the start
+ * @returns {number} Period number from the start
+ */
+function getPeriodIndex(rule, start, day) {
+  switch (rule.freq) {
+    case "DAILY":
+      return Math.floor(differenceInCalendarDays(day, start) / rule.interval);
+    case "WEEKLY":
+      return Math.floor(differenceInCalendarWeeks(day, start, { weekStartsOn: rule.weekStart }) / rule.interval);
+    case "MONTHLY":
+      return Math.floor(differenceInCalendarMonths(day, start) / rule.interval);
+    case "YEARLY":
+    default:
+      return Math.floor((day.getFullYear() - start.getFullYear()) / rule.interval);
+  }
+}
+
+/**
+ * Expand a rule into the days it occurs on
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {Date} start - First day the rule can occur (COUNT counts from here)
+ * @param {Date} until - Last day to return (inclusive)
+ * @param {Object} options - { from: first day to return (defaults to start);
+ *   rules without COUNT skip straight to it }
+ * @returns {Date[]} Occurrence days (start of day), ascending
+ * @throws {Error} When the rule never produces a date
+ */
+export function expandRRule(rrule, start, until, { from = null } = {}) {
+  const rule = typeof rrule === "string" ? parseRRule(rrule) : rrule;
+  const first = startOfDay(start);
+  const wanted = from && isAfter(from, first) ? startOfDay(from) : first;
+  const last = rule.until && isBefore(parseISO(rule.until), until)
+    ? startOfDay(parseISO(rule.until))
+    : startOfDay(until);
+  const days = [];
+  let generated = 0;
+  let emptyPeriods = 0;
+
+  // COUNT rules start at the beginning so earlier dates are counted
+  for (let index = rule.count ? 0 : getPeriodIndex(rule, first, wanted); ; index++) {
+    const period = getPeriodDays(rule, index, first);
+    if (isAfter(period.begin, last)) break;
+
+    const periodDays = applySetPos(period.days, rule.bySetPos).filter((day) => !isBefore(day, first));
+    emptyPeriods = periodDays.length > 0 ? 0 : emptyPeriods + 1;
+    if (emptyPeriods >= MAX_EMPTY_PERIODS) {
+      throw new Error("This rule never produces a date");
+    }
+
+    for (const day of periodDays) {
+      if (isAfter(day, last)) return days;
+
+      generated++;
+      if (!isBefore(day, wanted)) days.push(day);
+      if (rule.count && generated >= rule.count) return days;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Join words as "a, b and c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+function joinWords(items) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Format a day number as an ordinal ("1st", "22nd", "31st")
+ * @param {number} day - Positive number
+ * @returns {string}
+ */
+export function formatOrdinal(day) {
+  const suffix = day % 10 === 1 && day % 100 !== 11 ? "st"
+    : day % 10 === 2 && day % 100 !== 12 ? "nd"
+    : day % 10 === 3 && day % 100 !== 13 ? "rd"
+    : "th";
+  return `${day}${suffix}`;
+}
+
+/**
+ * Describe a day of the month ("the 15th", "the last day")
+ * @param {number} day - BYMONTHDAY value
+ * @returns {string}
+ */
+function describeMonthDay(day) {
+  if (day === -1) return "the last day";
+  if (day < 0) return `${-day} days before the end of the month`;
+  return `the ${formatOrdinal(day)}`;
+}
+
+/**
+ * Describe a BYDAY/BYSETPOS position ("second", "last", "20th")
+ * @param {number} nth - Position; negative counts from the end
+ * @returns {string}
+ */
+function describePosition(nth) {
+  if (ORDINAL_WORDS[nth]) return ORDINAL_WORDS[nth];
+  return nth > 0 ? formatOrdinal(nth) : `${formatOrdinal(-nth)}-to-last`;
+}
+
+/**
+ * Describe a set of weekdays, naming weekdays/weekend days as such
+ * @param {number[]} weekdays - 0 (Sunday) to 6
+ * @param {boolean} plural - "Mondays and Fridays" rather than "Monday and Friday"
+ * @returns {string}
+ */
+function describeWeekdaySet(weekdays, plural = false) {
+  const suffix = plural ? "s" : "";
+  const sorted = [...new Set(weekdays)].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+  if (sorted.length === 5 && [1, 2, 3, 4, 5].every((day) => sorted.includes(day))) return `weekday${suffix}`;
+  if (sorted.length === 2 && sorted.includes(0) && sorted.includes(6)) return `weekend day${suffix}`;
+  if (sorted.length === 7) return `day${suffix}`;
+  return joinWords(sorted.map((day) => `${WEEKDAY_NAMES[day]}${suffix}`));
+}
+
+/**
+ * Describe an RRULE in plain language
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @returns {string} e.g. "Every 2 weeks on Monday and Wednesday, 10 times"
+ */
+export function describeRRule(rrule) {
+  let rule;
+  try {
+    rule = typeof rrule === "string" ? parseRRule(rrule) : rrule;
+  } catch {
+    return "Custom";
+  }
+
+  const frequency = RRULE_FREQUENCIES.find((option) => option.value === rule.freq);
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${frequency.unit}s` : frequency.label;
+
+  const plainDays = rule.byDay.filter((entry) => entry.nth === 0).map((entry) => entry.weekday);
+  const numberedDays = rule.byDay.filter((entry) => entry.nth !== 0);
+  const details = [];
+
+  if (rule.bySetPos.length > 0 && plainDays.length > 0 && rule.byMonthDay.length === 0) {
+    const positions = rule.bySetPos.map(describePosition);
+    details.push(`on the ${joinWords(positions)} ${describeWeekdaySet(plainDays)}`);
+  } else {
+    if (rule.byMonthDay.length > 0) {
+      const everyMonth = rule.freq === "YEARLY" && rule.byMonth.length === 0 ? " of every month" : "";
+      details.push(`on ${joinWords(rule.byMonthDay.map(describeMonthDay))}${everyMonth}`);
+    }
+    if (numberedDays.length > 0) {
+      const ofYear = rule.freq === "YEARLY" && rule.byMonth.length === 0 ? " of the year" : "";
+      details.push(
+        `on the ${joinWords(numberedDays.map((entry) =>
+          `${describePosition(entry.nth)} ${WEEKDAY_NAMES[entry.weekday]}`
+        ))}${ofYear}`
+      );
+    }
+    if (plainDays.length > 0) {
+      if (rule.byMonthDay.length > 0) details.push(`if it's a ${describeWeekdaySet(plainDays)}`);
+      else if (plainDays.length < 7) details.push(`on ${describeWeekdaySet(plainDays, true)}`);
+    }
+    if (rule.bySetPos.length > 0) {
+      details.push(`(occurrence ${joinWords(rule.bySetPos.map(String))} of each ${frequency.unit})`);
+    }
+  }
+
+  if (rule.byMonth.length > 0) {
+    details.push(`in ${joinWords(rule.byMonth.map((month) => MONTH_NAMES[month - 1]))}`);
+  }
+
+  if (details.length > 0) text += ` ${details.join(" ")}`;
+  if (rule.count) text += `, ${rule.count} time${rule.count === 1 ? "" : "s"}`;
+  if (rule.until) text += `, until ${format(parseISO(rule.until), "MMM d, yyyy")}`;
+
+  return text;
+}
@@ -0,0 +1,78 @@
+/**
+ * Recurrence Stats
+ *
+ * Shows how well a recurring routine sticks, from the tasks it generated.
+ * - Open tasks that aren't due yet don't count for or against the rule
+ * - Completion delay is measured against the due time (due date at the
+ *   rule's recurrence_time in the user's timezone); negative means finished early
+ * - The streak counts the most recent due occurrences completed in a row
+ *
+ * Usage:
+ * const stats = getRecurrenceStats(rule, tasks, new Date(), getUserTimeZone(user));
+ * // => { generated: 12, completed: 9, completionRate: 0.82, averageDelayMinutes: 95, streak: 4 }
+ */
+
+import { parseISO } from "date-fns";
+import { applyRecurrenceTime } from "./recurrenceEngine";
+
+/**
+ * Get when a generated task was due
+ * @param {Object} rule - RecurringTask record
+ * @param {Object} task - Task record
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null}
+ */
+function getDueAt(rule, task, timeZone) {
+  if (!task.due_date) return null;
+  return applyRecurrenceTime(parseISO(task.due_date), rule.recurrence_time, timeZone);
+}
+
+/**
+ * Summarize how a rule's generated tasks were completed
+ * @param {Object} rule - RecurringTask record
+ * @param {Array} tasks - Task records (any; only the rule's own are used)
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - IANA timezone the rule's times are in
+ * @returns {Object} { generated, completed, completionRate (0-1, null when
+ *   nothing is due yet), averageDelayMinutes (null without completion times), streak }
+ */
+export function getRecurrenceStats(rule, tasks, now = new Date(), timeZone) {
+  const ruleTasks = tasks.filter((task) => task.recurring_task_id === rule.id);
+
+  const due = ruleTasks
+    .filter((task) => {
+      if (task.status === "completed") return true;
+      const dueAt = getDueAt(rule, task, timeZone);
+      return dueAt && dueAt <= now;
+    })
+    .sort((a, b) =>
+      (b.occurrence_date || b.due_date || "").localeCompare(a.occurrence_date || a.due_date || "")
+    );
+  const completed = due.filter((task) => task.status === "completed");
+
+  const delays = completed
+    .map((task) => {
+      const dueAt = getDueAt(rule, task, timeZone);
+      const completedAt = task.completed_at ? new Date(task.completed_at) : null;
+      if (!dueAt || !completedAt || Number.isNaN(completedAt.getTime())) return null;
+      return (completedAt - dueAt) / 60000;
+    })
+    .filter((delay) => delay !== null);
+
+  let streak = 0;
+  for (const task of due) {
+    if (task.status !== "completed") break;
+    streak++;
+  }
+
+  return {
+    generated: ruleTasks.length,
+    completed: completed.length,
+    completionRate: due.length > 0 ? completed.length / due.length : null,
+    averageDelayMinutes:
+      delays.length > 0
+        ? Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length)
+        : null,
+    streak,
+  };
+}
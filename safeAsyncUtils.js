@@ -23,6 +23,8 @@ export async function safeAsync(asyncFn, options = {}) {
     showNotification = false,
     retryCount = 0,
     retryDelay = 1000,
+    backoffFactor = 1,
+    shouldRetry = null,
     onError = null,
     onSuccess = null,
   } = options;
@@ -46,8 +48,11 @@ export async function safeAsync(asyncFn, options = {}) {
       console.error(`Attempt ${attempt + 1} failed:`, error);
 
       // If we have more retries, wait and try again
-      if (attempt < retryCount) {
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      // (backoffFactor > 1 grows the wait after each failed attempt;
+      // shouldRetry(error) returning false gives up straight away)
+      if (attempt < retryCount && (!shouldRetry || shouldRetry(error))) {
+        const delay = retryDelay * Math.pow(backoffFactor, attempt);
+        await new Promise(resolve => setTimeout(resolve, delay));
         continue;
       }
 
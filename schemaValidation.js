@@ -0,0 +1,121 @@
+/**
+ * Schema Validation
+ *
+ * Lightweight validation of entity data against the JSON entity schemas
+ * (task.schema.json, note.schema.json, ...).
+ * Covers what the schemas use: required, type, enum and date formats.
+ *
+ * Usage:
+ * const errors = validateAgainstSchema(data, taskSchema, { partial: true });
+ * // => { priority: "Priority must be one of: low, medium, high" }
+ */
+
+import { isValid, parseISO } from "date-fns";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a value is an unrendered {{template}}
+ * Templates are only checked once rendered, at run time.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isTemplateValue(value) {
+  return typeof value === "string" && value.includes("{{");
+}
+
+function humanize(field) {
+  const label = field.replace(/_/g, " ");
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && !isNaN(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate a single value against a schema property
+ * @param {string} field - Field name
+ * @param {any} value - Value to check
+ * @param {Object} property - JSON schema property
+ * @returns {string|null} Error message or null if valid
+ */
+function validateProperty(field, value, property) {
+  const label = humanize(field);
+
+  if (!checkType(value, property.type)) {
+    return `${label} must be a ${property.type}`;
+  }
+
+  if (property.enum && !property.enum.includes(value)) {
+    return `${label} must be one of: ${property.enum.join(", ")}`;
+  }
+
+  if (property.format === "date" && (!DATE_PATTERN.test(value) || !isValid(parseISO(value)))) {
+    return `${label} must be a date (YYYY-MM-DD)`;
+  }
+
+  if (property.format === "date-time" && isNaN(Date.parse(value))) {
+    return `${label} must be a date and time`;
+  }
+
+  if (property.type === "array" && property.items?.type) {
+    const invalidItem = value.find((item) => !checkType(item, property.items.type));
+    if (invalidItem !== undefined) {
+      return `${label} must only contain ${property.items.type} values`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate data against an entity schema
+ * @param {Object} data - Data to validate
+ * @param {Object} schema - Entity JSON schema
+ * @param {Object} options - { partial: skip required checks (for patches) }
+ * @returns {Object} Map of field → error message (empty when valid)
+ */
+export function validateAgainstSchema(data, schema, { partial = false } = {}) {
+  const errors = {};
+
+  if (!partial) {
+    for (const field of schema.required || []) {
+      const value = data?.[field];
+      if (value === undefined || value === null || value === "") {
+        errors[field] = `${humanize(field)} is required`;
+      }
+    }
+  }
+
+  for (const [field, value] of Object.entries(data || {})) {
+    if (errors[field]) continue;
+
+    const property = schema.properties?.[field];
+    if (!property) {
+      errors[field] = `Unknown ${schema.name} field "${field}"`;
+      continue;
+    }
+
+    if (value === undefined || value === null || value === "") continue;
+    if (isTemplateValue(value)) continue;
+
+    const error = validateProperty(field, value, property);
+    if (error) errors[field] = error;
+  }
+
+  return errors;
+}
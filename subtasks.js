@@ -0,0 +1,106 @@
+/**
+ * Subtasks
+ *
+ * Checklist items stored on a Task (Task.subtasks), each with its own
+ * completion state.
+ * - Progress counts completed items ("3/5")
+ * - With `auto_complete_subtasks` on, ticking the last open item completes
+ *   the task, and unticking (or adding) an item on a completed task reopens it
+ * - Every helper returns only the Task fields to change; pass it to
+ *   useTaskChecklist so it runs against the latest copy of the task
+ *
+ * Usage:
+ * const { completed, total } = getSubtaskProgress(task);
+ * updateChecklist(task, (latest) => toggleSubtask(latest, subtaskId, true));
+ */
+
+/**
+ * Count a task's completed checklist items
+ * @param {Object} task - Task record
+ * @returns {{completed: number, total: number}}
+ */
+export function getSubtaskProgress(task) {
+  const subtasks = task.subtasks || [];
+  return {
+    completed: subtasks.filter((subtask) => subtask.completed).length,
+    total: subtasks.length,
+  };
+}
+
+/**
+ * Work out the task's status after its checklist changed
+ * @param {Object} task - Task record (before the change)
+ * @param {Array} subtasks - Updated checklist
+ * @returns {Object} Task fields to save
+ */
+function withParentStatus(task, subtasks) {
+  const changes = { subtasks };
+  if (!task.auto_complete_subtasks || subtasks.length === 0) return changes;
+
+  const allDone = subtasks.every((subtask) => subtask.completed);
+  if (allDone && task.status !== "completed") {
+    changes.status = "completed";
+    changes.completed_at = new Date().toISOString();
+  } else if (!allDone && task.status === "completed") {
+    changes.status = "in_progress";
+    changes.completed_at = null;
+  }
+  return changes;
+}
+
+/**
+ * Tick or untick a checklist item
+ * @param {Object} task - Task record
+ * @param {string} subtaskId - Item id
+ * @param {boolean} completed - New state
+ * @returns {Object} Task fields to save
+ */
+export function toggleSubtask(task, subtaskId, completed) {
+  const subtasks = (task.subtasks || []).map((subtask) =>
+    subtask.id === subtaskId ? { ...subtask, completed } : subtask
+  );
+  return withParentStatus(task, subtasks);
+}
+
+/**
+ * Add a checklist item
+ * @param {Object} task - Task record
+ * @param {string} title - Item text
+ * @returns {Object} Task fields to save
+ */
+export function addSubtask(task, title) {
+  const subtask = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    title: title.trim(),
+    completed: false,
+  };
+  return withParentStatus(task, [...(task.subtasks || []), subtask]);
+}
+
+/**
+ * Remove a checklist item
+ * @param {Object} task - Task record
+ * @param {string} subtaskId - Item id
+ * @returns {Object} Task fields to save
+ */
+export function removeSubtask(task, subtaskId) {
+  const subtasks = (task.subtasks || []).filter((subtask) => subtask.id !== subtaskId);
+  return withParentStatus(task, subtasks);
+}
+
+/**
+ * Turn auto-completion on or off
+ * Turning it on completes the task right away if every item is already done.
+ * @param {Object} task - Task record
+ * @param {boolean} enabled - Complete the task once every item is done
+ * @returns {Object} Task fields to save
+ */
+export function setAutoCompleteSubtasks(task, enabled) {
+  const changes = { auto_complete_subtasks: enabled };
+  const { completed, total } = getSubtaskProgress(task);
+  if (enabled && total > 0 && completed === total && task.status !== "completed") {
+    changes.status = "completed";
+    changes.completed_at = new Date().toISOString();
+  }
+  return changes;
+}
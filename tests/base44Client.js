@@ -0,0 +1,52 @@
+/**
+ * In-memory Base44 Client
+ *
+ * Stands in for "@/api/base44Client" in tests. Each entity keeps its records
+ * in `store`; filter() matches fields exactly. Call resetBase44() before each test.
+ *
+ * Usage:
+ * resetBase44({ user: { timezone: "America/New_York" } });
+ * store.RecurringTask.push(rule);
+ */
+
+export const store = {};
+
+let currentUser = null;
+let nextId = 0;
+
+/**
+ * Clear every entity and set the signed-in user
+ * @param {Object} options - { user } returned by auth.me()
+ */
+export function resetBase44({ user = null } = {}) {
+  for (const name of Object.keys(store)) delete store[name];
+  currentUser = user;
+  nextId = 0;
+}
+
+function records(name) {
+  store[name] ||= [];
+  return store[name];
+}
+
+function entity(name) {
+  return {
+    list: async () => [...records(name)],
+    filter: async (query = {}) =>
+      records(name).filter((record) => Object.entries(query).every(([field, value]) => record[field] === value)),
+    create: async (data) => {
+      const record = { id: `${name}-${++nextId}`, created_date: new Date().toISOString(), ...data };
+      records(name).push(record);
+      return record;
+    },
+    update: async (id, data) => Object.assign(records(name).find((record) => record.id === id), data),
+    delete: async (id) => {
+      store[name] = records(name).filter((record) => record.id !== id);
+    },
+  };
+}
+
+export const base44 = {
+  entities: new Proxy({}, { get: (_, name) => entity(name) }),
+  auth: { me: async () => currentUser },
+};
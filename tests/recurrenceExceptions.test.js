@@ -0,0 +1,56 @@
+/**
+ * Occurrences moved to another day
+ *
+ * A moved occurrence is generated once: deleting its task must not bring it
+ * back or use up another occurrence of the rule's limit.
+ */
+
+process.env.TZ = "UTC";
+
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { base44, store, resetBase44 } from "./base44Client.js";
+import { generateTasksForRule } from "../recurrenceEngine.js";
+
+const TIME_ZONE = "UTC";
+
+beforeEach(() => resetBase44({ user: { timezone: TIME_ZONE } }));
+
+test("a moved occurrence isn't generated again after its task is deleted", async () => {
+  const rule = {
+    id: "rule-1",
+    title: "Stand-up",
+    recurrence_type: "daily",
+    recurrence_time: "09:00",
+    start_date: "2025-03-05",
+    max_occurrences: 10,
+    exceptions: [{ date: "2025-03-12", action: "move", moved_to: "2025-03-04" }],
+  };
+  store.RecurringTask = [rule];
+
+  await generateTasksForRule(rule, new Date("2025-03-06T12:00:00Z"), { timeZone: TIME_ZONE });
+  assert.deepEqual(
+    store.Task.map((task) => [task.occurrence_date, task.due_date]),
+    [
+      ["2025-03-12", "2025-03-04"],
+      ["2025-03-05", "2025-03-05"],
+      ["2025-03-06", "2025-03-06"],
+    ]
+  );
+  assert.equal(rule.occurrence_count, 3);
+  assert.equal(rule.exceptions[0].generated, true);
+
+  const moved = store.Task.find((task) => task.occurrence_date === "2025-03-12");
+  await base44.entities.Task.delete(moved.id);
+
+  await generateTasksForRule(rule, new Date("2025-03-06T12:01:00Z"), { timeZone: TIME_ZONE });
+  assert.deepEqual(
+    store.Task.map((task) => task.occurrence_date),
+    ["2025-03-05", "2025-03-06"]
+  );
+  assert.equal(rule.occurrence_count, 3);
+
+  // Its original date stays taken by the exception
+  await generateTasksForRule(rule, new Date("2025-03-12T12:00:00Z"), { timeZone: TIME_ZONE });
+  assert.ok(!store.Task.some((task) => task.occurrence_date === "2025-03-12"));
+});
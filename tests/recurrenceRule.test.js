@@ -0,0 +1,70 @@
+/**
+ * RRULE expansion far from the rule's start
+ *
+ * Rules without COUNT are expanded from the window asked for, so they keep
+ * producing dates however long ago they started; rules that never produce a
+ * date are reported instead of being cut off.
+ */
+
+process.env.TZ = "UTC";
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { format } from "date-fns";
+import { expandRRule } from "../recurrenceRule.js";
+import { getOccurrences, matchesRecurrence, validateRecurringTask } from "../recurrenceEngine.js";
+
+const days = (dates) => dates.map((date) => format(date, "yyyy-MM-dd"));
+
+test("a daily rule still produces dates decades after its start", () => {
+  const rule = { recurrence_type: "custom", rrule: "FREQ=DAILY", recurrence_time: "09:00", start_date: "2000-01-01" };
+  const after = new Date("2030-06-01T00:00:00Z");
+  const until = new Date("2030-06-03T23:59:00Z");
+
+  assert.deepEqual(
+    getOccurrences(rule, { after, until, timeZone: "UTC" }).map((date) => date.toISOString()),
+    ["2030-06-01T09:00:00.000Z", "2030-06-02T09:00:00.000Z", "2030-06-03T09:00:00.000Z"]
+  );
+  assert.equal(matchesRecurrence(rule, new Date(2030, 5, 2)), true);
+});
+
+test("expansion from a later day matches expanding from the start", () => {
+  const start = new Date(2000, 0, 1);
+  const from = new Date(2030, 0, 1);
+  const until = new Date(2030, 11, 31);
+
+  for (const rrule of [
+    "FREQ=DAILY;INTERVAL=3",
+    "FREQ=WEEKLY;INTERVAL=2;BYDAY=SA,MO",
+    "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1",
+    "FREQ=MONTHLY;INTERVAL=5;BYMONTHDAY=-1",
+    "FREQ=YEARLY;INTERVAL=3;BYDAY=20MO",
+  ]) {
+    const expected = days(expandRRule(rrule, start, until)).filter((day) => day >= "2030-01-01");
+    assert.ok(expected.length > 0, rrule);
+    assert.deepEqual(days(expandRRule(rrule, start, until, { from })), expected, rrule);
+  }
+});
+
+test("COUNT still counts from the start", () => {
+  const start = new Date(2025, 0, 1);
+  const from = new Date(2025, 0, 2);
+  assert.deepEqual(days(expandRRule("FREQ=DAILY;COUNT=3", start, new Date(2025, 0, 31), { from })), [
+    "2025-01-02",
+    "2025-01-03",
+  ]);
+});
+
+test("a rule that never produces a date is reported, not cut off", () => {
+  assert.throws(
+    () => expandRRule("FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=31", new Date(2025, 0, 1), new Date(9999, 0, 1)),
+    /never produces a date/
+  );
+
+  const errors = validateRecurringTask({
+    recurrence_type: "custom",
+    rrule: "FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30",
+    start_date: "2025-01-01",
+  });
+  assert.match(errors.pattern, /never produces a date/);
+});
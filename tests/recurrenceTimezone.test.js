@@ -0,0 +1,139 @@
+/**
+ * Recurrence times across DST changes
+ *
+ * Rules are anchored to the profile timezone (America/New_York), which changed
+ * to daylight time on 2025-03-09 (02:00 → 03:00) and back on 2025-11-02
+ * (02:00 → 01:00). The device runs in Tokyo, so every expectation also checks
+ * that the device's own timezone doesn't leak into the result.
+ */
+
+// Before any date is computed: the device timezone differs from the profile's
+process.env.TZ = "Asia/Tokyo";
+
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { store, resetBase44 } from "./base44Client.js";
+import { zonedTimeToUtc } from "../timezoneUtils.js";
+import { generateTasksForRule, generateRecurringTasks, getOccurrences } from "../recurrenceEngine.js";
+
+const PROFILE_TZ = "America/New_York";
+
+/**
+ * List a daily rule's occurrences as UTC ISO strings
+ * @param {string} time - recurrence_time
+ * @param {string} startDate - First day (yyyy-MM-dd)
+ * @param {number} days - How many days to list
+ * @returns {string[]}
+ */
+function dailyOccurrences(time, startDate, days) {
+  const rule = { recurrence_type: "daily", recurrence_time: time, start_date: startDate };
+  const after = new Date(`${startDate}T00:00:00Z`);
+  const until = new Date(after.getTime() + days * 24 * 60 * 60 * 1000);
+  return getOccurrences(rule, { after, until, timeZone: PROFILE_TZ }).map((date) => date.toISOString());
+}
+
+test("the device timezone differs from the profile timezone", () => {
+  assert.equal(Intl.DateTimeFormat().resolvedOptions().timeZone, "Asia/Tokyo");
+  assert.equal(new Date("2025-03-09T00:00:00Z").getTimezoneOffset(), -540);
+});
+
+describe("zonedTimeToUtc", () => {
+  test("a time in the spring-forward gap happens after the jump (02:30 → 03:30)", () => {
+    const date = zonedTimeToUtc({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, PROFILE_TZ);
+    assert.equal(date.toISOString(), "2025-03-09T07:30:00.000Z"); // 03:30 EDT
+  });
+
+  test("a time in the repeated fall-back hour resolves to its first occurrence", () => {
+    const date = zonedTimeToUtc({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, PROFILE_TZ);
+    assert.equal(date.toISOString(), "2025-11-02T05:30:00.000Z"); // 01:30 EDT, not EST
+  });
+
+  test("09:00 stays 09:00 on both sides of each change", () => {
+    const at = (month, day) =>
+      zonedTimeToUtc({ year: 2025, month, day, hour: 9, minute: 0 }, PROFILE_TZ).toISOString();
+
+    assert.equal(at(3, 8), "2025-03-08T14:00:00.000Z"); // EST
+    assert.equal(at(3, 9), "2025-03-09T13:00:00.000Z"); // EDT
+    assert.equal(at(11, 1), "2025-11-01T13:00:00.000Z"); // EDT
+    assert.equal(at(11, 2), "2025-11-02T14:00:00.000Z"); // EST
+  });
+});
+
+describe("getOccurrences", () => {
+  test("a daily 09:00 rule keeps its wall-clock time through spring forward", () => {
+    assert.deepEqual(dailyOccurrences("09:00", "2025-03-08", 3), [
+      "2025-03-08T14:00:00.000Z",
+      "2025-03-09T13:00:00.000Z",
+      "2025-03-10T13:00:00.000Z",
+    ]);
+  });
+
+  test("a daily 09:00 rule keeps its wall-clock time through fall back", () => {
+    assert.deepEqual(dailyOccurrences("09:00", "2025-11-01", 3), [
+      "2025-11-01T13:00:00.000Z",
+      "2025-11-02T14:00:00.000Z",
+      "2025-11-03T14:00:00.000Z",
+    ]);
+  });
+
+  test("a daily 02:30 rule moves to 03:30 on the spring-forward day only", () => {
+    assert.deepEqual(dailyOccurrences("02:30", "2025-03-08", 3), [
+      "2025-03-08T07:30:00.000Z", // 02:30 EST
+      "2025-03-09T07:30:00.000Z", // 03:30 EDT
+      "2025-03-10T06:30:00.000Z", // 02:30 EDT
+    ]);
+  });
+
+  test("a daily 01:30 rule happens once on the fall-back day, the first time", () => {
+    assert.deepEqual(dailyOccurrences("01:30", "2025-11-01", 3), [
+      "2025-11-01T05:30:00.000Z", // 01:30 EDT
+      "2025-11-02T05:30:00.000Z", // first 01:30 (EDT)
+      "2025-11-03T06:30:00.000Z", // 01:30 EST
+    ]);
+  });
+});
+
+describe("generated tasks", () => {
+  beforeEach(() => resetBase44({ user: { timezone: PROFILE_TZ } }));
+
+  test("due dates follow the profile's calendar day, not the device's", async () => {
+    // Mondays at 21:00 New York time are already Tuesday in Tokyo
+    const rule = {
+      id: "rule-1",
+      title: "Weekly review",
+      recurrence_type: "weekly",
+      recurrence_days: ["Mon"],
+      recurrence_time: "21:00",
+      start_date: "2025-03-03",
+    };
+    store.RecurringTask = [rule];
+
+    // One minute before Monday 2025-03-10 21:00 EDT
+    await generateTasksForRule(rule, new Date("2025-03-11T00:59:00Z"), { timeZone: PROFILE_TZ });
+    assert.deepEqual(store.Task.map((task) => task.due_date), ["2025-03-03"]);
+
+    // The store updates the rule in place (last_generated, occurrence_count)
+    await generateTasksForRule(rule, new Date("2025-03-11T01:00:00Z"), { timeZone: PROFILE_TZ });
+    assert.deepEqual(store.Task.map((task) => task.due_date), ["2025-03-03", "2025-03-10"]);
+  });
+
+  test("generateRecurringTasks uses the profile timezone across the fall-back change", async () => {
+    store.RecurringTask = [
+      {
+        id: "rule-2",
+        title: "Stand-up",
+        recurrence_type: "daily",
+        recurrence_time: "09:00",
+        start_date: "2025-11-01",
+        is_active: true,
+      },
+    ];
+
+    // 08:59 EST on 2025-11-02: only Saturday's stand-up (09:00 EDT) is due
+    await generateRecurringTasks(new Date("2025-11-02T13:59:00Z"));
+    assert.deepEqual(store.Task.map((task) => task.due_date), ["2025-11-01"]);
+
+    await generateRecurringTasks(new Date("2025-11-02T14:00:00Z"));
+    assert.deepEqual(store.Task.map((task) => task.due_date), ["2025-11-01", "2025-11-02"]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Business-days rules that shift weekend occurrences to the next workday
+ *
+ * A shifted occurrence must not pile up on a workday that already has one:
+ * each workday gets at most one task.
+ */
+
+process.env.TZ = "UTC";
+
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import { store, resetBase44 } from "./base44Client.js";
+import { generateTasksForRule, getOccurrenceSchedule } from "../recurrenceEngine.js";
+
+const TIME_ZONE = "UTC";
+
+beforeEach(() => resetBase44({ user: { timezone: TIME_ZONE } }));
+
+test("a daily rule's weekend doesn't add tasks to Monday", async () => {
+  const rule = {
+    id: "rule-1",
+    title: "Check inbox",
+    recurrence_type: "daily",
+    recurrence_time: "09:00",
+    start_date: "2025-03-07", // Friday
+    business_days_only: true,
+    non_workday_action: "shift",
+  };
+  store.RecurringTask = [rule];
+
+  await generateTasksForRule(rule, new Date("2025-03-10T12:00:00Z"), { timeZone: TIME_ZONE });
+
+  assert.deepEqual(
+    store.Task.map((task) => [task.occurrence_date, task.due_date]),
+    [
+      ["2025-03-07", "2025-03-07"],
+      ["2025-03-10", "2025-03-10"],
+    ]
+  );
+  assert.equal(store.RecurringTask[0].occurrence_count, 2);
+});
+
+test("weekend-only occurrences shifted to the same Monday become one task", async () => {
+  const rule = {
+    id: "rule-2",
+    title: "Water the plants",
+    recurrence_type: "weekly",
+    recurrence_days: ["Sat", "Sun"],
+    recurrence_time: "09:00",
+    start_date: "2025-03-08",
+    business_days_only: true,
+    non_workday_action: "shift",
+  };
+  store.RecurringTask = [rule];
+
+  await generateTasksForRule(rule, new Date("2025-03-10T12:00:00Z"), { timeZone: TIME_ZONE });
+
+  assert.deepEqual(
+    store.Task.map((task) => [task.occurrence_date, task.due_date]),
+    [["2025-03-08", "2025-03-10"]]
+  );
+});
+
+test("dropped weekend occurrences stay in the schedule as non-working days", () => {
+  const rule = {
+    recurrence_type: "daily",
+    recurrence_time: "09:00",
+    start_date: "2025-03-07",
+    business_days_only: true,
+    non_workday_action: "shift",
+  };
+
+  const schedule = getOccurrenceSchedule(rule, {
+    until: new Date("2025-03-10T12:00:00Z"),
+    timeZone: TIME_ZONE,
+  });
+
+  assert.deepEqual(
+    schedule.map(({ date, occursAt, nonWorkday }) => [date, occursAt?.toISOString() ?? null, nonWorkday]),
+    [
+      ["2025-03-07", "2025-03-07T09:00:00.000Z", false],
+      ["2025-03-08", null, true],
+      ["2025-03-09", null, true],
+      ["2025-03-10", "2025-03-10T09:00:00.000Z", false],
+    ]
+  );
+});
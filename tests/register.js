@@ -0,0 +1,10 @@
+/**
+ * Test Module Resolution
+ *
+ * Lets Node load the app's modules the way the app bundler does
+ * (see resolveHooks.js). Loaded with `node --import` by `npm test`.
+ */
+
+import { register } from "node:module";
+
+register("./resolveHooks.js", import.meta.url);
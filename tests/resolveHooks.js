@@ -0,0 +1,19 @@
+/**
+ * Resolve Hooks
+ *
+ * Node module resolution hooks for the tests.
+ * - "@/api/base44Client" loads the in-memory client in tests/base44Client.js
+ * - Relative imports without an extension ("./timezoneUtils") get ".js"
+ */
+
+const BASE44_CLIENT = new URL("./base44Client.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === "@/api/base44Client") {
+    return { url: BASE44_CLIENT, shortCircuit: true };
+  }
+  if (/^\.\.?\//.test(specifier) && !/\.[a-z]+$/i.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,163 @@
+/**
+ * Timezone Utilities
+ *
+ * Wall-clock conversions for IANA timezones using Intl (no extra dependencies).
+ * - Read the user's profile timezone
+ * - Split an instant into wall-clock parts in a timezone
+ * - Read an instant's wall-clock time in a timezone as a local Date (for
+ *   date-fns formatting and day arithmetic)
+ * - Turn a wall-clock time in a timezone back into an instant
+ * - Format an instant in a timezone
+ *
+ * Usage:
+ * const timeZone = getUserTimeZone(user);
+ * const nineAm = zonedTimeToUtc({ year: 2025, month: 3, day: 10, hour: 9, minute: 0 }, timeZone);
+ */
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that yields numeric parts in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getPartsFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the browser's timezone
+ * @returns {string} IANA timezone
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Check whether a timezone name is known to Intl
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getPartsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the timezone set on the user's profile, falling back to the browser's
+ * @param {Object} user - Current user
+ * @returns {string} IANA timezone
+ */
+export function getUserTimeZone(user) {
+  return isValidTimeZone(user?.timezone) ? user.timezone : getLocalTimeZone();
+}
+
+/**
+ * Split an instant into wall-clock parts in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ *   month is 1-12
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = parseInt(value, 10);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Read an instant's wall-clock time in a timezone as a local Date
+ * The result's local fields (getDate, getHours, date-fns format) show the
+ * time as seen in the timezone; it isn't the same instant.
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function toZonedWallClock(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  return new Date(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * Times skipped by a DST jump resolve to the same clock reading after the
+ * jump (02:30 becomes 03:30); repeated times resolve to the first one.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Try the offsets just before and just after the wall-clock time and keep
+  // the earliest one that reads back as the requested time
+  const offsets = [
+    getTimeZoneOffset(new Date(wallClock - 24 * 60 * 60 * 1000), timeZone),
+    getTimeZoneOffset(new Date(wallClock + 24 * 60 * 60 * 1000), timeZone),
+  ];
+  const candidates = offsets
+    .map((offset) => wallClock - offset)
+    .sort((a, b) => a - b);
+
+  for (const candidate of candidates) {
+    if (candidate + getTimeZoneOffset(new Date(candidate), timeZone) === wallClock) {
+      return new Date(candidate);
+    }
+  }
+
+  // In a DST gap: neither offset reads back, so shift forward by the jump
+  return new Date(wallClock - Math.min(...offsets));
+}
+
+/**
+ * Format an instant in a timezone
+ * @param {Date|string} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export function formatInTimeZone(date, timeZone, options = { dateStyle: "medium", timeStyle: "short" }) {
+  return new Date(date).toLocaleString(undefined, { ...options, timeZone });
+}
@@ -0,0 +1,63 @@
+import React from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { useSubscription } from "./SubscriptionChecker";
+import { runAutomations } from "./automationEngine";
+import { safeAsync } from "./safeAsyncUtils";
+
+/**
+ * Hook to feed task, note and focus session mutations into the automation runtime
+ *
+ * Call the returned notifiers from a mutation's onSuccess.
+ * Automations only run for premium users.
+ *
+ * @returns {Object} { notifyTaskCreated, notifyTaskUpdated, notifyNoteCreated,
+ *   notifyNoteUpdated, notifyFocusSessionCompleted }
+ */
+export function useTaskAutomations() {
+  const queryClient = useQueryClient();
+  const { isPremium } = useSubscription();
+
+  const run = React.useCallback(async (event) => {
+    if (!isPremium) return;
+
+    const result = await safeAsync(() => runAutomations(event), {
+      errorMessage: "Failed to run automations",
+    });
+
+    const { executed = 0, failed = 0, skipped = 0 } = result.data || {};
+    if (result.success && executed + failed + skipped > 0) {
+      queryClient.invalidateQueries({ queryKey: ["tasks"] });
+      queryClient.invalidateQueries({ queryKey: ["notes"] });
+      queryClient.invalidateQueries({ queryKey: ["automations"] });
+      queryClient.invalidateQueries({ queryKey: ["automationRuns"] });
+    }
+  }, [isPremium, queryClient]);
+
+  const notifyTaskCreated = React.useCallback((task) => {
+    return run({ type: "task_created", task });
+  }, [run]);
+
+  const notifyTaskUpdated = React.useCallback((previousTask, task) => {
+    return run({ type: "task_updated", previousTask, task });
+  }, [run]);
+
+  const notifyNoteCreated = React.useCallback((note) => {
+    return run({ type: "note_created", note });
+  }, [run]);
+
+  const notifyNoteUpdated = React.useCallback((previousNote, note) => {
+    return run({ type: "note_updated", previousNote, note });
+  }, [run]);
+
+  const notifyFocusSessionCompleted = React.useCallback((session) => {
+    return run({ type: "focus_session_completed", session });
+  }, [run]);
+
+  return {
+    notifyTaskCreated,
+    notifyTaskUpdated,
+    notifyNoteCreated,
+    notifyNoteUpdated,
+    notifyFocusSessionCompleted,
+  };
+}
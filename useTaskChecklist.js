@@ -0,0 +1,62 @@
+import React from "react";
+import { base44 } from "@/api/base44Client";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useTaskAutomations } from "./useTaskAutomations";
+
+/**
+ * Hook to save checklist changes made on task cards
+ *
+ * Each change is built from the latest cached task (not the card's possibly
+ * stale prop) and applied to the cache right away; saves go out one at a
+ * time and only send the fields the change touched. Ticking two items
+ * before the list refetches keeps both.
+ *
+ * Pass updateChecklist to a card's onSubtasksChange; it is called with the
+ * task and an updater from subtasks.js, e.g.
+ * updateChecklist(task, (latest) => toggleSubtask(latest, subtaskId, true))
+ *
+ * @returns {Object} { updateChecklist }
+ */
+export function useTaskChecklist() {
+  const queryClient = useQueryClient();
+  const { notifyTaskUpdated } = useTaskAutomations();
+  const queue = React.useRef(Promise.resolve());
+  const pending = React.useRef(0);
+
+  const { mutate } = useMutation({
+    mutationFn: ({ id, changes }) => {
+      // Wait for earlier saves so they land in the order they were made
+      const save = queue.current.catch(() => {}).then(() => base44.entities.Task.update(id, changes));
+      queue.current = save;
+      return save;
+    },
+    onSuccess: (task, { id, changes, previous }) => {
+      notifyTaskUpdated(previous, { ...previous, ...changes, ...task, id });
+    },
+    onError: (error) => {
+      console.error("Failed to save checklist:", error);
+    },
+    onSettled: () => {
+      // Refetch once the last queued save is done, so it can't undo newer ticks
+      // (and so a failed save is replaced by what was actually stored)
+      pending.current--;
+      if (pending.current === 0) queryClient.invalidateQueries({ queryKey: ["tasks"] });
+    },
+  });
+
+  const updateChecklist = React.useCallback((task, update) => {
+    const latest = queryClient.getQueryData(["tasks"])?.find((cached) => cached.id === task.id) || task;
+    const changes = update(latest);
+
+    // Show the change right away; a refetch already under way would bring back the old list
+    queryClient.cancelQueries({ queryKey: ["tasks"] });
+    queryClient.setQueryData(["tasks"], (tasks) =>
+      tasks?.map((cached) => (cached.id === task.id ? { ...cached, ...changes } : cached))
+    );
+
+    pending.current++;
+    mutate({ id: task.id, previous: latest, changes });
+  }, [queryClient, mutate]);
+
+  return { updateChecklist };
+}
@@ -0,0 +1,221 @@
+/**
+ * Webhooks
+ *
+ * Outgoing webhooks for the call_webhook automation action.
+ * - POSTs a JSON description of the trigger event to a configured URL
+ * - Signs each request with HMAC-SHA256 when a secret is set
+ * - Retries network errors, timeouts, 408, 429 and 5xx responses with
+ *   exponential backoff (via safeAsync); other responses won't change on retry
+ * - Logs every delivery as a WebhookDelivery record, with custom header
+ *   values (usually credentials) redacted
+ *
+ * Requests are sent from the browser, so the receiver must allow
+ * cross-origin POSTs (CORS) from the app's origin.
+ *
+ * Signature: X-Timora-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+ * where <timestamp> is the X-Timora-Timestamp header (Unix seconds).
+ *
+ * Usage:
+ * const delivery = await deliverWebhook(
+ *   { url, headers, secret, payload },
+ *   { automationId, runId }
+ * );
+ */
+
+import { base44 } from "@/api/base44Client";
+import { safeAsync } from "./safeAsyncUtils";
+
+// Retry schedule: 1s, 2s, 4s
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Give up on an attempt after this long
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How much of the response body to keep in the delivery log
+const MAX_LOGGED_RESPONSE = 1000;
+
+// Error responses worth retrying (besides 5xx)
+const RETRYABLE_STATUSES = [408, 429];
+
+// Header names the action can't override
+export const RESERVED_HEADERS = [
+  "content-type",
+  "x-timora-event",
+  "x-timora-delivery",
+  "x-timora-timestamp",
+  "x-timora-signature",
+];
+
+/**
+ * Check whether a string is an http(s) URL
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+export function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hide custom header values, keeping only the names
+ * @param {Object} headers - Header name → value
+ * @returns {Object}
+ */
+export function redactHeaders(headers) {
+  return Object.fromEntries(Object.keys(headers).map((name) => [name, "••••••"]));
+}
+
+/**
+ * Check whether a failed delivery attempt may succeed on retry
+ * @param {Error} error - Attempt error (with `status` for HTTP error responses)
+ * @returns {boolean}
+ */
+function isRetryableFailure(error) {
+  if (!error.status) return true; // Network error or timeout
+  return error.status >= 500 || RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Generate a random signing secret
+ * @returns {string} 64 hex characters
+ */
+export function generateWebhookSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Compute the HMAC-SHA256 signature of a payload
+ * @param {string} secret - Signing secret
+ * @param {string} message - Text to sign
+ * @returns {Promise<string>} Hex digest
+ */
+export async function signWebhookPayload(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Build the JSON body sent for a trigger event
+ * @param {Object} automation - TaskAutomation record
+ * @param {Object} event - Trigger event
+ * @param {Object} stepResults - What earlier workflow steps created or changed
+ * @returns {Object}
+ */
+export function buildWebhookPayload(automation, event, stepResults = {}) {
+  return {
+    event: automation.trigger_type,
+    automation: { id: automation.id, name: automation.name },
+    task: event.task || null,
+    previous_status: event.previousTask?.status,
+    ...(event.session && { session: event.session, sessions_today: event.sessionsToday }),
+    ...(event.note && { note: event.note }),
+    ...(event.calendarEvent && { calendar_event: event.calendarEvent }),
+    ...(Object.keys(stepResults).length > 0 && { steps: stepResults }),
+    triggered_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * POST a webhook, retrying transient failures, and log the delivery
+ * @param {Object} request - { url, headers, secret, payload }
+ * @param {Object} context - { automationId, runId }
+ * @returns {Promise<Object>} WebhookDelivery data
+ * @throws {Error} When every attempt failed (after logging the delivery)
+ */
+export async function deliverWebhook({ url, headers = {}, secret, payload }, { automationId, runId } = {}) {
+  const startedAt = Date.now();
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(startedAt / 1000));
+
+  const customHeaders = Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !RESERVED_HEADERS.includes(name.toLowerCase()))
+  );
+  const requestHeaders = {
+    ...customHeaders,
+    "Content-Type": "application/json",
+    "X-Timora-Event": payload.event || "",
+    "X-Timora-Delivery": crypto.randomUUID(),
+    "X-Timora-Timestamp": timestamp,
+  };
+  if (secret) {
+    requestHeaders["X-Timora-Signature"] = `sha256=${await signWebhookPayload(secret, `${timestamp}.${body}`)}`;
+  }
+
+  let attempts = 0;
+  let lastResponse = null;
+
+  const result = await safeAsync(
+    async () => {
+      attempts++;
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+      try {
+        const response = await fetch(url, {
+          method: "POST",
+          headers: requestHeaders,
+          body,
+          signal: controller.signal,
+        });
+        lastResponse = {
+          status: response.status,
+          body: (await response.text()).slice(0, MAX_LOGGED_RESPONSE),
+        };
+        if (!response.ok) {
+          const error = new Error(`Webhook responded with HTTP ${response.status}`);
+          error.status = response.status;
+          throw error;
+        }
+        return lastResponse;
+      } finally {
+        clearTimeout(timeout);
+      }
+    },
+    {
+      errorMessage: `Webhook delivery to ${url} failed`,
+      retryCount: MAX_RETRIES,
+      retryDelay: RETRY_DELAY_MS,
+      backoffFactor: 2,
+      shouldRetry: isRetryableFailure,
+    }
+  );
+
+  const delivery = {
+    automation_id: automationId,
+    run_id: runId,
+    direction: "outgoing",
+    url,
+    request_headers: { ...requestHeaders, ...redactHeaders(customHeaders) },
+    request_body: payload,
+    status: result.success ? "success" : "failed",
+    response_status: lastResponse?.status,
+    response_body: lastResponse?.body,
+    attempts,
+    error: result.success ? undefined : result.error?.message || String(result.error),
+    duration_ms: Date.now() - startedAt,
+    delivered_at: new Date().toISOString(),
+  };
+
+  await safeAsync(() => base44.entities.WebhookDelivery.create(delivery), {
+    errorMessage: "Failed to log webhook delivery",
+  });
+
+  if (!result.success) {
+    throw new Error(`${delivery.error} (after ${attempts} attempt${attempts === 1 ? "" : "s"})`);
+  }
+  return delivery;
+}